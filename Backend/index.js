@@ -6,6 +6,7 @@ const {
 } = require("./src/middleware/errorHandler");
 const services = require("./src/services");
 const config = require("./src/config");
+const { initializeRepositories } = require("./src/repositories");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -26,6 +27,39 @@ app.use(notFoundHandler);
 // Error handler
 app.use(errorHandler);
 
-app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
+const startServer = async () => {
+  config.validateConfig();
+  await initializeRepositories();
+
+  // Connect to the chain and IPFS before serving requests
+  try {
+    await config.blockchainService.initialize();
+  } catch (error) {
+    console.error("Continuing without blockchain connection:", error.message);
+  }
+  // Subscribe before the indexer starts so backfilled events are delivered
+  if (config.config.indexer.enabled) {
+    services.eventStreamService.start();
+  }
+  if (config.config.webhooks.enabled) {
+    services.webhookService.start();
+  }
+  if (config.config.features.enableEmailNotifications) {
+    services.emailService.start();
+  }
+  // Backfills in the background; progress is at GET /api/indexer/status
+  if (config.blockchainService.initialized && config.config.indexer.enabled) {
+    await services.indexerService.start();
+  }
+  await services.ipfsService.initialize();
+  services.datasetService.startCleanup();
+
+  app.listen(PORT, () => {
+    console.log(`Server is running on port ${PORT}`);
+  });
+};
+
+startServer().catch((error) => {
+  console.error("Failed to start server:", error);
+  process.exit(1);
 });
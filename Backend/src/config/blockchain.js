@@ -1,4 +1,6 @@
 const { ethers } = require('ethers');
+const { APIError } = require('../utils/errors');
+const { HTTP_STATUS, ERROR_CODES } = require('../utils/constants');
 
 /**
  * Blockchain Configuration
@@ -13,6 +15,9 @@ const CONTRACT_ABI = [
   "event SubmissionVerified(uint256 indexed submissionId, uint256 indexed requestId, bool approved, uint8 qualityScore, string qualityReportCid)",
   "event PaymentReleased(uint256 indexed submissionId, address indexed seller, uint256 amount)",
   "event RefundIssued(uint256 indexed requestId, address indexed buyer, uint256 amount)",
+  "event QualityVerifierUpdated(address indexed verifier)",
+  "event SellerWhitelistUpdated(address indexed seller, bool allowed)",
+  "event ModelRegistryUpdated(address indexed model, bool allowed)",
   
   // Read functions
   "function owner() view returns (address)",
@@ -44,6 +49,7 @@ class BlockchainService {
     this.provider = null;
     this.contract = null;
     this.signer = null;
+    this.adminSigner = null;
     this.initialized = false;
   }
 
@@ -83,6 +89,13 @@ class BlockchainService {
         console.log(`✅ Verifier wallet initialized: ${this.signer.address}`);
       }
 
+      // Initialize admin signer if a separate owner key is provided
+      const adminPrivateKey = process.env.ADMIN_PRIVATE_KEY;
+      if (adminPrivateKey) {
+        this.adminSigner = new ethers.Wallet(adminPrivateKey, this.provider);
+        console.log(`✅ Admin wallet initialized: ${this.adminSigner.address}`);
+      }
+
       this.initialized = true;
       return true;
     } catch (error) {
@@ -101,6 +114,20 @@ class BlockchainService {
     return this.contract.connect(this.signer);
   }
 
+  /**
+   * Get contract instance with the admin (owner) signer
+   */
+  getContractWithAdminSigner() {
+    if (!this.adminSigner) {
+      throw new APIError(
+        'Admin signer not configured: set ADMIN_PRIVATE_KEY to the contract owner key',
+        HTTP_STATUS.SERVICE_UNAVAILABLE,
+        ERROR_CODES.SERVICE_UNAVAILABLE
+      );
+    }
+    return this.contract.connect(this.adminSigner);
+  }
+
   /**
    * Check if service is initialized
    */
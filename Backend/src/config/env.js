@@ -1,11 +1,18 @@
 const dotenv = require('dotenv');
 const path = require('path');
+const { SCORING_PROFILES } = require('./scoringProfiles');
+const { FILE_EXTENSIONS, ARCHIVE_EXTENSIONS } = require('../utils/constants');
 
 /**
  * Load environment variables
  */
 dotenv.config({ path: path.join(__dirname, '../../.env') });
 
+// Every extension a format check reads, plus archives for MIXED datasets
+const DEFAULT_ALLOWED_FORMATS = [
+  ...new Set([...Object.values(FILE_EXTENSIONS).flat(), ...ARCHIVE_EXTENSIONS])
+];
+
 /**
  * Environment Configuration
  * Centralizes all environment variables with defaults and validation
@@ -23,6 +30,8 @@ const config = {
 
   // Database
   database: {
+    driver: process.env.DATABASE_DRIVER || 'file', // 'file' or 'mongodb'
+    dataDir: process.env.DATA_DIR || './data/db',
     uri: process.env.MONGODB_URI || 'mongodb://localhost:27017/synthetic-data-market',
     options: {
       useNewUrlParser: true,
@@ -37,11 +46,22 @@ const config = {
     chainId: parseInt(process.env.CHAIN_ID || '1', 10),
     networkName: process.env.NETWORK_NAME || 'mainnet',
     verifierPrivateKey: process.env.VERIFIER_PRIVATE_KEY,
+    adminPrivateKey: process.env.ADMIN_PRIVATE_KEY,
     gasLimit: parseInt(process.env.GAS_LIMIT || '500000', 10),
     gasPriceMultiplier: parseFloat(process.env.GAS_PRICE_MULTIPLIER || '1.2'),
     confirmations: parseInt(process.env.CONFIRMATIONS || '2', 10)
   },
 
+  // Event indexer
+  indexer: {
+    enabled: process.env.INDEXER_ENABLED !== 'false',
+    // Contract deploy block, required when the indexer is enabled
+    startBlock: process.env.INDEXER_START_BLOCK ? parseInt(process.env.INDEXER_START_BLOCK, 10) : null,
+    chunkSize: parseInt(process.env.INDEXER_CHUNK_SIZE || '2000', 10),
+    pollInterval: parseInt(process.env.INDEXER_POLL_INTERVAL || '15000', 10), // 15 sec
+    storePath: process.env.INDEXER_STORE_PATH || './data/index.json'
+  },
+
   // IPFS
   ipfs: {
     host: process.env.IPFS_HOST || 'ipfs.infura.io',
@@ -65,6 +85,7 @@ const config = {
   security: {
     jwtSecret: process.env.JWT_SECRET || 'your-secret-key-change-in-production',
     jwtExpiresIn: process.env.JWT_EXPIRES_IN || '7d',
+    authNonceTtlMs: parseInt(process.env.AUTH_NONCE_TTL_MS || '300000', 10), // 5 min
     bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS || '10', 10),
     corsOrigin: process.env.CORS_ORIGIN || '*',
     rateLimitWindowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '900000', 10), // 15 min
@@ -76,14 +97,17 @@ const config = {
     openaiApiKey: process.env.OPENAI_API_KEY,
     huggingfaceApiKey: process.env.HUGGINGFACE_API_KEY,
     stabilityApiKey: process.env.STABILITY_API_KEY,
-    qualityCheckModel: process.env.QUALITY_CHECK_MODEL || 'default',
-    qualityThreshold: parseFloat(process.env.QUALITY_THRESHOLD || '70')
+    qualityCheckModel: process.env.QUALITY_CHECK_MODEL || 'default', // Scoring profile name
+    qualityThreshold: parseFloat(process.env.QUALITY_THRESHOLD || '70'),
+    biasLexiconPath: process.env.BIAS_LEXICON_PATH // Bundled lexicon when unset
   },
 
   // File Upload
   upload: {
     maxFileSize: parseInt(process.env.MAX_FILE_SIZE || '104857600', 10), // 100MB
-    allowedFormats: (process.env.ALLOWED_FORMATS || 'csv,json,txt,wav,mp3,jpg,png,mp4').split(','),
+    allowedFormats: process.env.ALLOWED_FORMATS
+      ? process.env.ALLOWED_FORMATS.split(',').map(format => format.trim().toLowerCase())
+      : DEFAULT_ALLOWED_FORMATS,
     tempDir: process.env.TEMP_DIR || './temp',
     cleanupInterval: parseInt(process.env.CLEANUP_INTERVAL || '3600000', 10) // 1 hour
   },
@@ -109,7 +133,10 @@ const config = {
   // Webhooks (optional)
   webhooks: {
     enabled: process.env.WEBHOOKS_ENABLED === 'true',
+    // Signs deliveries to endpoints registered before per-endpoint secrets
     secret: process.env.WEBHOOK_SECRET,
+    // Allow endpoints on loopback and private networks, for local development
+    allowPrivateTargets: process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true',
     retryAttempts: parseInt(process.env.WEBHOOK_RETRY_ATTEMPTS || '3', 10)
   },
 
@@ -123,21 +150,34 @@ const config = {
 };
 
 /**
- * Validate required configuration
+ * Validate configuration at startup. Missing chain settings only warn, as
+ * the server can run without a blockchain connection; an indexer without
+ * a start block is disabled rather than scanning from genesis
  */
 const validateConfig = () => {
   const required = [
-    { key: 'MONGODB_URI', value: config.database.uri },
     { key: 'BLOCKCHAIN_RPC_URL', value: config.blockchain.rpcUrl },
     { key: 'CONTRACT_ADDRESS', value: config.blockchain.contractAddress }
   ];
+  if (config.database.driver === 'mongodb') {
+    required.push({ key: 'MONGODB_URI', value: config.database.uri });
+  }
 
   const missing = required.filter(item => !item.value);
 
   if (missing.length > 0) {
-    console.error('❌ Missing required environment variables:');
-    missing.forEach(item => console.error(`   - ${item.key}`));
-    throw new Error('Missing required environment variables');
+    console.warn('⚠️  Missing environment variables:');
+    missing.forEach(item => console.warn(`   - ${item.key}`));
+  }
+
+  if (!SCORING_PROFILES[config.ai.qualityCheckModel]) {
+    console.error(`❌ Unknown scoring profile in QUALITY_CHECK_MODEL: ${config.ai.qualityCheckModel}`);
+    throw new Error('Invalid scoring profile');
+  }
+
+  if (config.indexer.enabled && !Number.isInteger(config.indexer.startBlock)) {
+    console.warn('⚠️  INDEXER_START_BLOCK is not set to the contract deploy block; the event indexer is disabled');
+    config.indexer.enabled = false;
   }
 
   console.log('✅ Configuration validated successfully');
@@ -5,6 +5,7 @@
 
 const { blockchainService, CONTRACT_ABI } = require('./blockchain');
 const { config, validateConfig, getConfig } = require('./env');
+const { SCORING_PROFILES, resolveScoringProfile } = require('./scoringProfiles');
 
 module.exports = {
   // Blockchain
@@ -14,5 +15,9 @@ module.exports = {
   // Environment
   config,
   validateConfig,
-  getConfig
+  getConfig,
+
+  // Quality scoring
+  SCORING_PROFILES,
+  resolveScoringProfile
 };
@@ -0,0 +1,111 @@
+/**
+ * Scoring Profiles
+ * Named ways of turning quality metrics into an overall score: per-metric
+ * weights for the weighted average, and per-metric minimums that reject a
+ * submission whatever its average. Formats may override both.
+ */
+
+const SCORING_PROFILES = {
+  // Weighted towards correctness and privacy over presentation
+  default: {
+    description: 'Correctness and privacy weigh most; validity and privacy of at least 50',
+    weights: {
+      accuracy: 3,
+      validity: 3,
+      completeness: 2,
+      consistency: 2,
+      privacyPreservation: 2,
+      uniqueness: 1.5,
+      biasScore: 1.5,
+      diversityScore: 1,
+      distributionScore: 1,
+      syntheticQuality: 1,
+      formatCompliance: 0.5
+    },
+    // Privacy below 50 means PII in most records or mostly re-identifiable
+    // records, which no average should make up for
+    minimums: {
+      validity: 50,
+      privacyPreservation: 50
+    },
+    formats: {
+      IMAGE: { weights: { diversityScore: 2 } },
+      AUDIO: { weights: { consistency: 2.5 } },
+      TEXT: { weights: { biasScore: 2, diversityScore: 1.5 } },
+      VIDEO: { weights: { consistency: 2.5 } },
+      MIXED: { weights: { formatCompliance: 1 } }
+    }
+  },
+
+  // For buyers training production models
+  strict: {
+    description: 'Default weights with minimums on validity, privacy and bias',
+    weights: {
+      accuracy: 3,
+      validity: 3,
+      completeness: 2,
+      consistency: 2,
+      privacyPreservation: 3,
+      uniqueness: 2,
+      biasScore: 2,
+      diversityScore: 1,
+      distributionScore: 1,
+      syntheticQuality: 1,
+      formatCompliance: 0.5
+    },
+    minimums: {
+      accuracy: 60,
+      validity: 70,
+      completeness: 60,
+      uniqueness: 60,
+      privacyPreservation: 80,
+      biasScore: 60
+    },
+    formats: {
+      CSV: { minimums: { consistency: 70 } },
+      IMAGE: { weights: { diversityScore: 2 }, minimums: { diversityScore: 50 } },
+      TEXT: { weights: { diversityScore: 1.5 }, minimums: { diversityScore: 50 } }
+    }
+  },
+
+  // Plain average of all metrics, as scores were computed originally
+  equal: {
+    description: 'Every metric weighs the same; no minimums',
+    weights: {},
+    minimums: {},
+    formats: {}
+  }
+};
+
+// Weight of a metric a profile does not list
+const DEFAULT_WEIGHT = 1;
+
+/**
+ * Resolve a profile's weights and minimums for a data format
+ *
+ * @param {string} name - Profile name
+ * @param {string} format - Data format name (DATA_FORMAT_NAMES)
+ * @returns {Object} { profile, format, weights, minimums, defaultWeight }
+ */
+const resolveScoringProfile = (name, format) => {
+  const profile = SCORING_PROFILES[name];
+  if (!profile) {
+    throw new Error(
+      `Unknown scoring profile "${name}"; expected one of ${Object.keys(SCORING_PROFILES).join(', ')}`
+    );
+  }
+
+  const overrides = profile.formats[format] || {};
+  return {
+    profile: name,
+    format,
+    weights: { ...profile.weights, ...overrides.weights },
+    minimums: { ...profile.minimums, ...overrides.minimums },
+    defaultWeight: DEFAULT_WEIGHT
+  };
+};
+
+module.exports = {
+  SCORING_PROFILES,
+  resolveScoringProfile
+};
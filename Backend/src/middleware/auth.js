@@ -0,0 +1,46 @@
+const { APIError } = require('./errorHandler');
+const authService = require('../services/authService');
+const { HTTP_STATUS, ERROR_CODES } = require('../utils/constants');
+
+/**
+ * Authentication Middleware
+ * Resolves the wallet address from a `Bearer` session token
+ */
+
+/**
+ * Require a valid session token; sets `req.user = { address }`
+ */
+const requireAuth = (req, res, next) => {
+  const header = req.get('authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return next(new APIError(
+      'Authentication required',
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_CODES.UNAUTHORIZED
+    ));
+  }
+
+  try {
+    req.user = authService.verifyToken(token);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resolve the session token when one is sent, without requiring it
+ */
+const optionalAuth = (req, res, next) => {
+  if (!req.get('authorization')) {
+    return next();
+  }
+  requireAuth(req, res, next);
+};
+
+module.exports = {
+  requireAuth,
+  optionalAuth
+};
@@ -1,24 +1,12 @@
 const { HTTP_STATUS, ERROR_CODES } = require('../utils/constants');
 const { formatError } = require('../utils/formatters');
+const { APIError } = require('../utils/errors');
 
 /**
  * Error Handler Middleware
  * Centralized error handling for the application
  */
 
-/**
- * Custom API Error class
- */
-class APIError extends Error {
-  constructor(message, statusCode = HTTP_STATUS.INTERNAL_SERVER_ERROR, errorCode = ERROR_CODES.INTERNAL_ERROR) {
-    super(message);
-    this.statusCode = statusCode;
-    this.errorCode = errorCode;
-    this.isOperational = true;
-    Error.captureStackTrace(this, this.constructor);
-  }
-}
-
 /**
  * Error handler middleware
  */
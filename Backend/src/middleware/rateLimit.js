@@ -0,0 +1,64 @@
+const { APIError } = require('./errorHandler');
+const { config } = require('../config');
+const { HTTP_STATUS, ERROR_CODES } = require('../utils/constants');
+
+/**
+ * Rate Limit Middleware
+ * Fixed-window request limits per client IP, kept in memory
+ */
+
+// Clients tracked per limiter; the oldest windows are dropped beyond this
+const MAX_TRACKED_CLIENTS = 10000;
+
+/**
+ * Limit each client IP to `max` requests per `windowMs`
+ * (RATE_LIMIT_MAX per RATE_LIMIT_WINDOW_MS by default)
+ */
+const rateLimit = ({
+  windowMs = config.security.rateLimitWindowMs,
+  max = config.security.rateLimitMax
+} = {}) => {
+  // ip -> { count, resetAt }, oldest window first
+  const windows = new Map();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const key = req.ip;
+
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      windows.delete(key);
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+
+      for (const [oldKey, oldWindow] of windows) {
+        const expired = oldWindow.resetAt <= now;
+        if (!expired && windows.size <= MAX_TRACKED_CLIENTS) break;
+        windows.delete(oldKey);
+      }
+    }
+
+    window.count++;
+    const resetSeconds = Math.ceil((window.resetAt - now) / 1000);
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - window.count)),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (window.count > max) {
+      res.set('Retry-After', String(resetSeconds));
+      return next(new APIError(
+        'Too many requests, please retry later',
+        HTTP_STATUS.TOO_MANY_REQUESTS,
+        ERROR_CODES.RATE_LIMITED
+      ));
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  rateLimit
+};
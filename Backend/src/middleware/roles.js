@@ -0,0 +1,50 @@
+const { APIError } = require('./errorHandler');
+const roleService = require('../services/roleService');
+const { HTTP_STATUS, ERROR_CODES } = require('../utils/constants');
+
+/**
+ * Role Middleware
+ * Authorizes authenticated addresses against roles held on chain
+ */
+
+/**
+ * Require the authenticated address to hold one of the given roles.
+ * `requestParam` / `submissionParam` name the route params that give the
+ * buyer and seller roles their context. Sets `req.roles`.
+ */
+const requireRole = (roles, { requestParam, submissionParam } = {}) => {
+  const allowed = Array.isArray(roles) ? roles : [roles];
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        throw new APIError(
+          'Authentication required',
+          HTTP_STATUS.UNAUTHORIZED,
+          ERROR_CODES.UNAUTHORIZED
+        );
+      }
+
+      req.roles = await roleService.resolveRoles(req.user.address, {
+        requestId: requestParam && req.params[requestParam],
+        submissionId: submissionParam && req.params[submissionParam]
+      });
+
+      if (!req.roles.some(role => allowed.includes(role))) {
+        throw new APIError(
+          `Requires one of the roles: ${allowed.join(', ')}`,
+          HTTP_STATUS.FORBIDDEN,
+          ERROR_CODES.UNAUTHORIZED
+        );
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  requireRole
+};
@@ -0,0 +1,88 @@
+const { APIError } = require('./errorHandler');
+const { HTTP_STATUS, ERROR_CODES } = require('../utils/constants');
+const {
+  isValidRequestId,
+  isValidAddress,
+  isValidFormat
+} = require('../utils/validators');
+
+/**
+ * Validation Middleware
+ * Route parameter validation shared across routers
+ */
+
+/**
+ * Validate a numeric on-chain id route parameter and coerce it to a number
+ */
+const validateIdParam = (param, label = 'ID') => (req, res, next) => {
+  const value = req.params[param];
+
+  if (!isValidRequestId(value) || String(parseInt(value, 10)) !== value) {
+    return next(new APIError(
+      `Invalid ${label}: ${value}`,
+      HTTP_STATUS.BAD_REQUEST,
+      ERROR_CODES.INVALID_PARAMETERS
+    ));
+  }
+
+  req.params[param] = parseInt(value, 10);
+  next();
+};
+
+/**
+ * Validate an Ethereum address route parameter and normalize it to lowercase
+ */
+const validateAddressParam = (param) => (req, res, next) => {
+  const value = req.params[param];
+
+  if (!isValidAddress(value)) {
+    return next(new APIError(
+      `Invalid Ethereum address: ${value}`,
+      HTTP_STATUS.BAD_REQUEST,
+      ERROR_CODES.INVALID_ADDRESS
+    ));
+  }
+
+  req.params[param] = value.toLowerCase();
+  next();
+};
+
+/**
+ * Parse an optional status query filter against a list of status names
+ */
+const parseStatusFilter = (status, statusNames) => {
+  if (status === undefined || status === '') return null;
+
+  const statusName = String(status).toUpperCase();
+  if (!statusNames.includes(statusName)) {
+    throw new APIError(
+      `Invalid status: ${status}`,
+      HTTP_STATUS.BAD_REQUEST,
+      ERROR_CODES.INVALID_PARAMETERS
+    );
+  }
+  return statusName;
+};
+
+/**
+ * Parse an optional data format query filter
+ */
+const parseFormatFilter = (format) => {
+  if (format === undefined || format === '') return null;
+
+  if (typeof format !== 'string' || !isValidFormat(format)) {
+    throw new APIError(
+      `Invalid data format: ${format}`,
+      HTTP_STATUS.BAD_REQUEST,
+      ERROR_CODES.INVALID_FORMAT
+    );
+  }
+  return format.toUpperCase();
+};
+
+module.exports = {
+  validateIdParam,
+  validateAddressParam,
+  parseStatusFilter,
+  parseFormatFilter
+};
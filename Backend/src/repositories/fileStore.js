@@ -0,0 +1,138 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * File Store
+ * Embedded persistence backend: one JSON file per collection, loaded into
+ * memory and rewritten atomically on every change. Works fully offline.
+ */
+
+/**
+ * Check a document against an equality filter
+ */
+const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([key, value]) => doc[key] === value);
+
+/**
+ * Sort documents by a `{ field: 1 | -1 }` spec
+ */
+const sortDocuments = (docs, sort) => {
+  if (!sort) return docs;
+  const [[field, direction]] = Object.entries(sort);
+  return [...docs].sort((a, b) => {
+    if (a[field] === b[field]) return 0;
+    return (a[field] > b[field] ? 1 : -1) * direction;
+  });
+};
+
+class FileCollection {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.docs = [];
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      const content = await fs.promises.readFile(this.filePath, "utf-8");
+      this.docs = JSON.parse(content);
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      this.docs = [];
+    }
+  }
+
+  /**
+   * Persist the collection; writes are queued so they never interleave.
+   * A failed write is reported to its caller only, so later writes still
+   * run
+   */
+  persist() {
+    const snapshot = JSON.stringify(this.docs);
+    const write = this.writeQueue
+      .catch(() => {})
+      .then(async () => {
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.promises.writeFile(tempPath, snapshot);
+        await fs.promises.rename(tempPath, this.filePath);
+      });
+    this.writeQueue = write;
+    return write;
+  }
+
+  async findOne(filter) {
+    const doc = this.docs.find((d) => matches(d, filter));
+    return doc ? { ...doc } : null;
+  }
+
+  async find(filter, { sort, skip = 0, limit } = {}) {
+    const docs = sortDocuments(
+      this.docs.filter((d) => matches(d, filter)),
+      sort
+    );
+    const end = limit !== undefined ? skip + limit : undefined;
+    return docs.slice(skip, end).map((d) => ({ ...d }));
+  }
+
+  async countDocuments(filter) {
+    return this.docs.filter((d) => matches(d, filter)).length;
+  }
+
+  async insertOne(doc) {
+    const stored = { _id: crypto.randomUUID(), ...doc };
+    this.docs.push(stored);
+    await this.persist();
+    return { ...stored };
+  }
+
+  /**
+   * Merge changes into the first matching document, inserting the filter
+   * plus changes when nothing matches and `upsert` is set
+   */
+  async updateOne(filter, changes, { upsert = false } = {}) {
+    const index = this.docs.findIndex((d) => matches(d, filter));
+
+    if (index === -1) {
+      if (!upsert) return null;
+      return this.insertOne({ ...filter, ...changes });
+    }
+
+    this.docs[index] = { ...this.docs[index], ...changes };
+    await this.persist();
+    return { ...this.docs[index] };
+  }
+
+  async deleteOne(filter) {
+    const index = this.docs.findIndex((d) => matches(d, filter));
+    if (index === -1) return false;
+
+    this.docs.splice(index, 1);
+    await this.persist();
+    return true;
+  }
+}
+
+class FileStore {
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+    this.collections = new Map();
+  }
+
+  async connect() {
+    await fs.promises.mkdir(this.dataDir, { recursive: true });
+    console.log(`✅ File store ready: ${path.resolve(this.dataDir)}`);
+  }
+
+  async collection(name) {
+    if (!this.collections.has(name)) {
+      const collection = new FileCollection(
+        path.join(this.dataDir, `${name}.json`)
+      );
+      this.collections.set(name, collection.load().then(() => collection));
+    }
+    return this.collections.get(name);
+  }
+}
+
+module.exports = FileStore;
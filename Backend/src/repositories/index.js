@@ -0,0 +1,67 @@
+const { config } = require("../config");
+const FileStore = require("./fileStore");
+const MongoStore = require("./mongoStore");
+const Repository = require("./repository");
+
+/**
+ * Repositories Index
+ * Persistence for requests, submissions, verifications, AI model logs,
+ * webhooks and email notifications.
+ * The backend is picked by `config.database.driver`: the embedded file
+ * store (default) or MongoDB.
+ */
+
+let storePromise = null;
+
+/**
+ * Connect the configured store once; later calls share the connection
+ */
+const getStore = () => {
+  if (!storePromise) {
+    const store =
+      config.database.driver === "mongodb"
+        ? new MongoStore(config.database.uri)
+        : new FileStore(config.database.dataDir);
+
+    storePromise = store.connect().then(() => store);
+    storePromise.catch(() => {
+      storePromise = null;
+    });
+  }
+  return storePromise;
+};
+
+const requestRepository = new Repository(getStore, "requests", "requestId");
+const submissionRepository = new Repository(
+  getStore,
+  "submissions",
+  "submissionId"
+);
+const verificationRepository = new Repository(getStore, "verifications");
+const aiModelLogRepository = new Repository(getStore, "aiModelLogs");
+const webhookEndpointRepository = new Repository(getStore, "webhookEndpoints");
+const webhookDeliveryRepository = new Repository(
+  getStore,
+  "webhookDeliveries"
+);
+const emailSubscriptionRepository = new Repository(
+  getStore,
+  "emailSubscriptions",
+  "address"
+);
+const emailNotificationRepository = new Repository(
+  getStore,
+  "emailNotifications"
+);
+
+module.exports = {
+  initializeRepositories: getStore,
+  requestRepository,
+  submissionRepository,
+  verificationRepository,
+  aiModelLogRepository,
+  webhookEndpointRepository,
+  webhookDeliveryRepository,
+  emailSubscriptionRepository,
+  emailNotificationRepository,
+};
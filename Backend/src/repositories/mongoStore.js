@@ -0,0 +1,78 @@
+const crypto = require("crypto");
+
+/**
+ * Mongo Store
+ * MongoDB persistence backend, exposing the same collection interface as
+ * the file store. Requires the optional `mongodb` package.
+ */
+
+class MongoCollection {
+  constructor(collection) {
+    this.collection = collection;
+  }
+
+  async findOne(filter) {
+    return this.collection.findOne(filter);
+  }
+
+  async find(filter, { sort, skip = 0, limit } = {}) {
+    let cursor = this.collection.find(filter).skip(skip);
+    if (sort) cursor = cursor.sort(sort);
+    if (limit !== undefined) cursor = cursor.limit(limit);
+    return cursor.toArray();
+  }
+
+  async countDocuments(filter) {
+    return this.collection.countDocuments(filter);
+  }
+
+  async insertOne(doc) {
+    // String ids, so records look the same as in the file store
+    const stored = { _id: crypto.randomUUID(), ...doc };
+    await this.collection.insertOne(stored);
+    return { ...stored };
+  }
+
+  async updateOne(filter, changes, { upsert = false } = {}) {
+    return this.collection.findOneAndUpdate(
+      filter,
+      { $set: changes },
+      { upsert, returnDocument: "after" }
+    );
+  }
+
+  async deleteOne(filter) {
+    const result = await this.collection.deleteOne(filter);
+    return result.deletedCount > 0;
+  }
+}
+
+class MongoStore {
+  constructor(uri) {
+    this.uri = uri;
+    this.client = null;
+    this.db = null;
+  }
+
+  async connect() {
+    let MongoClient;
+    try {
+      ({ MongoClient } = require("mongodb"));
+    } catch {
+      throw new Error(
+        "The mongodb package is required for DATABASE_DRIVER=mongodb"
+      );
+    }
+
+    this.client = new MongoClient(this.uri);
+    await this.client.connect();
+    this.db = this.client.db();
+    console.log(`✅ Connected to MongoDB: ${this.db.databaseName}`);
+  }
+
+  async collection(name) {
+    return new MongoCollection(this.db.collection(name));
+  }
+}
+
+module.exports = MongoStore;
@@ -0,0 +1,103 @@
+const { isDeepStrictEqual } = require("util");
+
+/**
+ * Repository
+ * Base class for a collection of records, keyed by one field and
+ * persisted through the configured store
+ */
+
+class Repository {
+  constructor(getStore, collectionName, keyField = "_id") {
+    this.getStore = getStore;
+    this.collectionName = collectionName;
+    this.keyField = keyField;
+  }
+
+  async collection() {
+    const store = await this.getStore();
+    return store.collection(this.collectionName);
+  }
+
+  /**
+   * Find a record by its key
+   */
+  async findById(key) {
+    const collection = await this.collection();
+    return collection.findOne({ [this.keyField]: key });
+  }
+
+  /**
+   * Find records matching an equality filter
+   */
+  async find(filter = {}, options = {}) {
+    const collection = await this.collection();
+    return collection.find(filter, options);
+  }
+
+  /**
+   * Count records matching an equality filter
+   */
+  async count(filter = {}) {
+    const collection = await this.collection();
+    return collection.countDocuments(filter);
+  }
+
+  /**
+   * Create a record
+   */
+  async create(data) {
+    const collection = await this.collection();
+    const now = new Date().toISOString();
+    return collection.insertOne({ createdAt: now, updatedAt: now, ...data });
+  }
+
+  /**
+   * Update a record by its key
+   */
+  async update(key, changes) {
+    const collection = await this.collection();
+    return collection.updateOne(
+      { [this.keyField]: key },
+      { ...changes, updatedAt: new Date().toISOString() }
+    );
+  }
+
+  /**
+   * Create or replace the fields of a record by its key. A record whose
+   * fields are unchanged is returned without a write
+   */
+  async upsert(data) {
+    const collection = await this.collection();
+    const key = data[this.keyField];
+    const existing = await collection.findOne({ [this.keyField]: key });
+    if (
+      existing &&
+      Object.entries(data).every(([field, value]) =>
+        isDeepStrictEqual(existing[field], value)
+      )
+    ) {
+      return existing;
+    }
+    const now = new Date().toISOString();
+
+    return collection.updateOne(
+      { [this.keyField]: key },
+      {
+        createdAt: existing?.createdAt ?? now,
+        ...data,
+        updatedAt: now,
+      },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Delete a record by its key
+   */
+  async delete(key) {
+    const collection = await this.collection();
+    return collection.deleteOne({ [this.keyField]: key });
+  }
+}
+
+module.exports = Repository;
@@ -0,0 +1,306 @@
+const express = require("express");
+const {
+  blockchainService,
+  roleService,
+  auditService,
+} = require("../services");
+const { APIError, asyncHandler } = require("../middleware/errorHandler");
+const { requireAuth } = require("../middleware/auth");
+const { requireRole } = require("../middleware/roles");
+const {
+  HTTP_STATUS,
+  ERROR_CODES,
+  ROLES,
+  PAGINATION,
+  isValidAddress,
+  validatePagination,
+  formatReceipt,
+  formatSuccess,
+  formatListResponse,
+} = require("../utils");
+
+const router = express.Router();
+
+/**
+ * Admin Routes
+ * Owner-only management of the verifier, seller whitelist and model registry
+ */
+
+// Addresses per bulk whitelist update, each sent as its own transaction
+const MAX_BULK_ADDRESSES = 50;
+
+router.use(requireAuth, requireRole(ROLES.OWNER));
+
+/**
+ * Read and validate an address field from the request body
+ */
+const getAddressField = (body, field) => {
+  const value = body?.[field];
+  if (!isValidAddress(value)) {
+    throw new APIError(
+      `Invalid ${field}: ${value}`,
+      HTTP_STATUS.BAD_REQUEST,
+      ERROR_CODES.INVALID_ADDRESS
+    );
+  }
+  return value.toLowerCase();
+};
+
+/**
+ * Read and validate a boolean field from the request body
+ */
+const getBooleanField = (body, field) => {
+  const value = body?.[field];
+  if (typeof value !== "boolean") {
+    throw new APIError(
+      `${field} must be a boolean`,
+      HTTP_STATUS.BAD_REQUEST,
+      ERROR_CODES.INVALID_PARAMETERS
+    );
+  }
+  return value;
+};
+
+/**
+ * Record an audit entry for a completed change and build its result
+ */
+const recordChange = async (req, action, params, { txHash, receipt }) => {
+  const audit = await auditService.record({
+    action,
+    params,
+    actor: req.user.address,
+    txHash,
+    blockNumber: receipt?.blockNumber ?? null,
+    status: receipt?.status ?? null,
+  });
+
+  return { action, params, txHash, receipt: formatReceipt(receipt), audit };
+};
+
+/**
+ * POST /admin/verifier
+ * Set the quality verifier
+ */
+router.post(
+  "/verifier",
+  asyncHandler(async (req, res) => {
+    const address = getAddressField(req.body, "address");
+    const result = await blockchainService.setQualityVerifier(address);
+
+    // Role lookups cached against the old verifier are stale now
+    roleService.clearCache();
+
+    res.json(
+      formatSuccess(
+        await recordChange(req, "setQualityVerifier", { address }, result),
+        "Quality verifier updated"
+      )
+    );
+  })
+);
+
+/**
+ * POST /admin/whitelist
+ * Add or remove a seller from the whitelist
+ */
+router.post(
+  "/whitelist",
+  asyncHandler(async (req, res) => {
+    const address = getAddressField(req.body, "address");
+    const allowed = getBooleanField(req.body, "allowed");
+    const result = await blockchainService.updateSellerWhitelist(
+      address,
+      allowed
+    );
+
+    res.json(
+      formatSuccess(
+        await recordChange(
+          req,
+          "updateSellerWhitelist",
+          { address, allowed },
+          result
+        ),
+        "Seller whitelist updated"
+      )
+    );
+  })
+);
+
+/**
+ * POST /admin/whitelist/bulk
+ * Add or remove up to MAX_BULK_ADDRESSES sellers from the whitelist, one
+ * transaction each
+ */
+router.post(
+  "/whitelist/bulk",
+  asyncHandler(async (req, res) => {
+    const { addresses } = req.body || {};
+    const allowed = getBooleanField(req.body, "allowed");
+
+    if (
+      !Array.isArray(addresses) ||
+      addresses.length === 0 ||
+      addresses.length > MAX_BULK_ADDRESSES
+    ) {
+      throw new APIError(
+        `addresses must be an array of 1 to ${MAX_BULK_ADDRESSES} addresses`,
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.INVALID_PARAMETERS
+      );
+    }
+
+    const invalid = addresses.filter((address) => !isValidAddress(address));
+    if (invalid.length > 0) {
+      throw new APIError(
+        `Invalid addresses: ${invalid.join(", ")}`,
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.INVALID_ADDRESS
+      );
+    }
+
+    const uniqueAddresses = [
+      ...new Set(addresses.map((address) => address.toLowerCase())),
+    ];
+    const results = [];
+
+    // Sent one at a time so the signer's nonces stay in order
+    for (const address of uniqueAddresses) {
+      try {
+        const result = await blockchainService.updateSellerWhitelist(
+          address,
+          allowed
+        );
+        results.push({
+          success: true,
+          ...(await recordChange(
+            req,
+            "updateSellerWhitelist",
+            { address, allowed },
+            result
+          )),
+        });
+      } catch (error) {
+        results.push({
+          success: false,
+          params: { address, allowed },
+          error: error.shortMessage || error.message,
+        });
+      }
+    }
+
+    const failed = results.filter((result) => !result.success).length;
+
+    res.json(
+      formatSuccess(
+        { total: results.length, failed, results },
+        `Seller whitelist updated for ${results.length - failed} of ${results.length} addresses`
+      )
+    );
+  })
+);
+
+/**
+ * POST /admin/whitelist/enabled
+ * Enable or disable the seller whitelist
+ */
+router.post(
+  "/whitelist/enabled",
+  asyncHandler(async (req, res) => {
+    const enabled = getBooleanField(req.body, "enabled");
+    const result = await blockchainService.setWhitelistEnabled(enabled);
+
+    res.json(
+      formatSuccess(
+        await recordChange(req, "setWhitelistEnabled", { enabled }, result),
+        `Seller whitelist ${enabled ? "enabled" : "disabled"}`
+      )
+    );
+  })
+);
+
+/**
+ * POST /admin/models
+ * Add or remove a model from the registry
+ */
+router.post(
+  "/models",
+  asyncHandler(async (req, res) => {
+    const address = getAddressField(req.body, "address");
+    const allowed = getBooleanField(req.body, "allowed");
+    const result = await blockchainService.updateModelRegistry(
+      address,
+      allowed
+    );
+
+    res.json(
+      formatSuccess(
+        await recordChange(
+          req,
+          "updateModelRegistry",
+          { address, allowed },
+          result
+        ),
+        "Model registry updated"
+      )
+    );
+  })
+);
+
+/**
+ * POST /admin/models/enabled
+ * Enable or disable the model registry
+ */
+router.post(
+  "/models/enabled",
+  asyncHandler(async (req, res) => {
+    const enabled = getBooleanField(req.body, "enabled");
+    const result = await blockchainService.setModelRegistryEnabled(enabled);
+
+    res.json(
+      formatSuccess(
+        await recordChange(req, "setModelRegistryEnabled", { enabled }, result),
+        `Model registry ${enabled ? "enabled" : "disabled"}`
+      )
+    );
+  })
+);
+
+/**
+ * POST /admin/models/self-verify
+ * Allow or disallow models verifying their own submissions
+ */
+router.post(
+  "/models/self-verify",
+  asyncHandler(async (req, res) => {
+    const allow = getBooleanField(req.body, "allow");
+    const result = await blockchainService.setAllowModelSelfVerify(allow);
+
+    res.json(
+      formatSuccess(
+        await recordChange(req, "setAllowModelSelfVerify", { allow }, result),
+        `Model self-verification ${allow ? "allowed" : "disallowed"}`
+      )
+    );
+  })
+);
+
+/**
+ * GET /admin/audit
+ * List audit entries, newest first
+ */
+router.get(
+  "/audit",
+  asyncHandler(async (req, res) => {
+    const { page, limit, skip } = validatePagination(
+      req.query.page,
+      req.query.limit,
+      PAGINATION.MAX_LIMIT
+    );
+    const { entries, total } = await auditService.list({ skip, limit });
+
+    res.json(formatListResponse(entries, page, limit, total));
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,68 @@
+const express = require("express");
+const { authService } = require("../services");
+const { APIError } = require("../middleware/errorHandler");
+const { requireAuth } = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
+const {
+  HTTP_STATUS,
+  ERROR_CODES,
+  isValidAddress,
+  formatAddress,
+  formatSuccess,
+} = require("../utils");
+
+const router = express.Router();
+
+/**
+ * Auth Routes
+ * Sign-In-With-Ethereum wallet authentication
+ */
+
+/**
+ * POST /auth/nonce
+ * Create a sign-in message for the wallet to sign
+ */
+router.post("/nonce", rateLimit(), (req, res) => {
+  const { address } = req.body || {};
+
+  if (!isValidAddress(address)) {
+    throw new APIError(
+      `Invalid Ethereum address: ${address}`,
+      HTTP_STATUS.BAD_REQUEST,
+      ERROR_CODES.INVALID_ADDRESS
+    );
+  }
+
+  res.json(formatSuccess(authService.createChallenge(address)));
+});
+
+/**
+ * POST /auth/verify
+ * Exchange a signed sign-in message for a session token
+ */
+router.post("/verify", (req, res) => {
+  const { message, signature } = req.body || {};
+
+  if (!message || !signature) {
+    throw new APIError(
+      "message and signature are required",
+      HTTP_STATUS.BAD_REQUEST,
+      ERROR_CODES.INVALID_PARAMETERS
+    );
+  }
+
+  const session = authService.verifyChallenge(message, signature);
+  res.json(
+    formatSuccess({ ...session, address: formatAddress(session.address) })
+  );
+});
+
+/**
+ * GET /auth/me
+ * Get the authenticated wallet address
+ */
+router.get("/me", requireAuth, (req, res) => {
+  res.json(formatSuccess({ address: formatAddress(req.user.address) }));
+});
+
+module.exports = router;
@@ -0,0 +1,53 @@
+const express = require("express");
+const { blockchainService } = require("../services");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { validateAddressParam } = require("../middleware/validation");
+const {
+  PAGINATION,
+  validatePagination,
+  formatRequest,
+  formatListResponse,
+} = require("../utils");
+
+const router = express.Router();
+
+/**
+ * Buyer Routes
+ * Per-buyer views of marketplace state
+ */
+
+/**
+ * GET /buyers/:address/requests
+ * List the requests created by a buyer
+ */
+router.get(
+  "/:address/requests",
+  validateAddressParam("address"),
+  asyncHandler(async (req, res) => {
+    const { page, limit, skip } = validatePagination(
+      req.query.page,
+      req.query.limit,
+      PAGINATION.MAX_LIMIT
+    );
+
+    const requestIds = await blockchainService.getBuyerRequests(
+      req.params.address
+    );
+    const pageIds = requestIds.slice(skip, skip + limit);
+    const requests = await Promise.all(
+      pageIds.map((id) => blockchainService.syncRequest(id))
+    );
+
+    res.json(
+      formatListResponse(
+        requests,
+        page,
+        limit,
+        requestIds.length,
+        formatRequest
+      )
+    );
+  })
+);
+
+module.exports = router;
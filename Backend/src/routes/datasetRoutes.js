@@ -0,0 +1,40 @@
+const express = require("express");
+const { datasetService, ipfsService } = require("../services");
+const { APIError, asyncHandler } = require("../middleware/errorHandler");
+const { requireAuth } = require("../middleware/auth");
+const { HTTP_STATUS, ERROR_CODES, formatSuccess } = require("../utils");
+
+const router = express.Router();
+
+/**
+ * Dataset Routes
+ * Dataset uploads to IPFS
+ */
+
+/**
+ * POST /datasets
+ * Upload dataset files (multipart: a `format` field, then one or more files)
+ * and get the metadata to pass to submitDataset
+ */
+router.post(
+  "/",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    if (!ipfsService.initialized) {
+      throw new APIError(
+        "IPFS is not available for dataset uploads",
+        HTTP_STATUS.SERVICE_UNAVAILABLE,
+        ERROR_CODES.IPFS_ERROR
+      );
+    }
+
+    const upload = await datasetService.receiveUpload(req);
+    const dataset = await datasetService.publish(upload);
+
+    res
+      .status(HTTP_STATUS.CREATED)
+      .json(formatSuccess(dataset, "Dataset uploaded"));
+  })
+);
+
+module.exports = router;
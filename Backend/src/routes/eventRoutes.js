@@ -0,0 +1,77 @@
+const express = require("express");
+const { eventStreamService } = require("../services");
+const { APIError } = require("../middleware/errorHandler");
+const { optionalAuth } = require("../middleware/auth");
+const {
+  HTTP_STATUS,
+  ERROR_CODES,
+  isValidAddress,
+  isValidRequestId,
+} = require("../utils");
+
+const router = express.Router();
+
+/**
+ * Event Routes
+ * Live contract events
+ */
+
+/**
+ * Parse an optional address query filter
+ */
+const parseAddressFilter = (value, label) => {
+  if (value === undefined || value === "") return null;
+
+  if (!isValidAddress(value)) {
+    throw new APIError(
+      `Invalid ${label} address: ${value}`,
+      HTTP_STATUS.BAD_REQUEST,
+      ERROR_CODES.INVALID_ADDRESS
+    );
+  }
+  return value.toLowerCase();
+};
+
+/**
+ * GET /events/stream
+ * Server-Sent Events stream of confirmed contract events, filtered by
+ * requestId, buyer and seller. Submission details are only included for
+ * viewers allowed to see them.
+ */
+router.get("/stream", optionalAuth, (req, res) => {
+  if (!eventStreamService.started) {
+    throw new APIError(
+      "Event stream is not available",
+      HTTP_STATUS.SERVICE_UNAVAILABLE,
+      ERROR_CODES.SERVICE_UNAVAILABLE
+    );
+  }
+
+  const { requestId } = req.query;
+  if (
+    requestId !== undefined &&
+    (!isValidRequestId(requestId) ||
+      String(parseInt(requestId, 10)) !== requestId)
+  ) {
+    throw new APIError(
+      `Invalid request ID: ${requestId}`,
+      HTTP_STATUS.BAD_REQUEST,
+      ERROR_CODES.INVALID_PARAMETERS
+    );
+  }
+
+  const filter = {
+    requestId: requestId !== undefined ? parseInt(requestId, 10) : undefined,
+    buyer: parseAddressFilter(req.query.buyer, "buyer"),
+    seller: parseAddressFilter(req.query.seller, "seller"),
+  };
+
+  const unsubscribe = eventStreamService.subscribe(res, {
+    address: req.user?.address ?? null,
+    filter,
+    lastEventId: req.get("last-event-id") || null,
+  });
+  req.on("close", unsubscribe);
+});
+
+module.exports = router;
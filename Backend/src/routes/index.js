@@ -1,4 +1,17 @@
 const express = require("express");
+const authRoutes = require("./authRoutes");
+const requestRoutes = require("./requestRoutes");
+const buyerRoutes = require("./buyerRoutes");
+const submissionRoutes = require("./submissionRoutes");
+const sellerRoutes = require("./sellerRoutes");
+const adminRoutes = require("./adminRoutes");
+const transactionRoutes = require("./transactionRoutes");
+const datasetRoutes = require("./datasetRoutes");
+const indexerRoutes = require("./indexerRoutes");
+const webhookRoutes = require("./webhookRoutes");
+const notificationRoutes = require("./notificationRoutes");
+const eventRoutes = require("./eventRoutes");
+const reportRoutes = require("./reportRoutes");
 const router = express.Router();
 
 // Example route
@@ -6,4 +19,18 @@ router.get("/", (req, res) => {
   res.send("API is running");
 });
 
+router.use("/auth", authRoutes);
+router.use("/requests", requestRoutes);
+router.use("/buyers", buyerRoutes);
+router.use("/submissions", submissionRoutes);
+router.use("/sellers", sellerRoutes);
+router.use("/admin", adminRoutes);
+router.use("/transactions", transactionRoutes);
+router.use("/datasets", datasetRoutes);
+router.use("/indexer", indexerRoutes);
+router.use("/webhooks", webhookRoutes);
+router.use("/notifications", notificationRoutes);
+router.use("/events", eventRoutes);
+router.use("/reports", reportRoutes);
+
 module.exports = router;
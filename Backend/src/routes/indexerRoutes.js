@@ -0,0 +1,24 @@
+const express = require("express");
+const { indexerService } = require("../services");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { formatSuccess } = require("../utils");
+
+const router = express.Router();
+
+/**
+ * Indexer Routes
+ * Event indexer progress
+ */
+
+/**
+ * GET /indexer/status
+ * Get the indexer's backfill progress and read store counts
+ */
+router.get(
+  "/status",
+  asyncHandler(async (req, res) => {
+    res.json(formatSuccess(await indexerService.getStatus()));
+  })
+);
+
+module.exports = router;
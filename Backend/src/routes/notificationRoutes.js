@@ -0,0 +1,147 @@
+const express = require("express");
+const { emailService } = require("../services");
+const { emailSubscriptionRepository } = require("../repositories");
+const { APIError, asyncHandler } = require("../middleware/errorHandler");
+const { requireAuth } = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
+const {
+  HTTP_STATUS,
+  ERROR_CODES,
+  NOTIFICATION_TYPES,
+  isValidEmail,
+  formatSuccess,
+} = require("../utils");
+
+const router = express.Router();
+
+/**
+ * Notification Routes
+ * Email registration for the authenticated wallet
+ */
+
+const requireEmailEnabled = (req, res, next) => {
+  if (!emailService.isEnabled()) {
+    return next(
+      new APIError(
+        "Email notifications are not enabled",
+        HTTP_STATUS.SERVICE_UNAVAILABLE,
+        ERROR_CODES.SERVICE_UNAVAILABLE
+      )
+    );
+  }
+  next();
+};
+
+/**
+ * A registration without its confirmation token
+ */
+const withoutToken = ({ confirmationTokenHash, ...subscription }) =>
+  subscription;
+
+/**
+ * GET /notifications/email/confirm?token=
+ * Confirm a registered email with the token from the confirmation email.
+ * Not authenticated: the link is opened from the mailbox
+ */
+router.get(
+  "/email/confirm",
+  requireEmailEnabled,
+  asyncHandler(async (req, res) => {
+    const subscription = await emailService.confirm(req.query.token);
+    res.json(formatSuccess(withoutToken(subscription), "Email confirmed"));
+  })
+);
+
+router.use(requireAuth, requireEmailEnabled);
+
+/**
+ * GET /notifications/email
+ * Get the wallet's email registration
+ */
+router.get(
+  "/email",
+  asyncHandler(async (req, res) => {
+    const subscription = await emailSubscriptionRepository.findById(
+      req.user.address
+    );
+    if (!subscription) {
+      throw new APIError(
+        "No email registered for this address",
+        HTTP_STATUS.NOT_FOUND,
+        ERROR_CODES.VALIDATION_ERROR
+      );
+    }
+    res.json(formatSuccess(withoutToken(subscription)));
+  })
+);
+
+/**
+ * PUT /notifications/email
+ * Register or change the wallet's email, optionally limited to some
+ * notification types (all by default). A new address is emailed a link
+ * that must be opened before it receives notifications; confirmation emails
+ * are rate limited per client, wallet and address
+ */
+router.put(
+  "/email",
+  rateLimit(),
+  asyncHandler(async (req, res) => {
+    const { email, types } = req.body || {};
+    const notificationTypes = Object.values(NOTIFICATION_TYPES);
+
+    if (!isValidEmail(email)) {
+      throw new APIError(
+        `Invalid email address: ${email}`,
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.INVALID_PARAMETERS
+      );
+    }
+
+    if (
+      types !== undefined &&
+      (!Array.isArray(types) ||
+        types.length === 0 ||
+        types.some((type) => !notificationTypes.includes(type)))
+    ) {
+      throw new APIError(
+        `types must be a non-empty list of: ${notificationTypes.join(", ")}`,
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.INVALID_PARAMETERS
+      );
+    }
+
+    const subscription = await emailService.subscribe(
+      req.user.address,
+      email,
+      types ? [...new Set(types)] : notificationTypes
+    );
+
+    if (subscription.confirmed) {
+      return res.json(
+        formatSuccess(withoutToken(subscription), "Email registered")
+      );
+    }
+    res
+      .status(HTTP_STATUS.ACCEPTED)
+      .json(
+        formatSuccess(
+          withoutToken(subscription),
+          "Confirmation email sent; open its link to start notifications"
+        )
+      );
+  })
+);
+
+/**
+ * DELETE /notifications/email
+ * Stop emailing the wallet
+ */
+router.delete(
+  "/email",
+  asyncHandler(async (req, res) => {
+    await emailSubscriptionRepository.delete(req.user.address);
+    res.json(formatSuccess(null, "Email removed"));
+  })
+);
+
+module.exports = router;
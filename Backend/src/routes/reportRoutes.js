@@ -0,0 +1,42 @@
+const express = require("express");
+const { reportService } = require("../services");
+const { APIError, asyncHandler } = require("../middleware/errorHandler");
+const { rateLimit } = require("../middleware/rateLimit");
+const {
+  HTTP_STATUS,
+  ERROR_CODES,
+  isValidIPFSCid,
+  formatSuccess,
+} = require("../utils");
+
+const router = express.Router();
+
+/**
+ * Report Routes
+ * Public checks of published quality reports
+ */
+
+/**
+ * GET /reports/:cid/verify
+ * Verify a quality report: its content against its EIP-712 signature, the
+ * signer against the contract's quality verifier, and the CID against the
+ * one recorded on chain for its submission
+ */
+router.get(
+  "/:cid/verify",
+  rateLimit(),
+  asyncHandler(async (req, res) => {
+    const { cid } = req.params;
+    if (!isValidIPFSCid(cid)) {
+      throw new APIError(
+        `Invalid report CID: ${cid}`,
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.INVALID_PARAMETERS
+      );
+    }
+
+    res.json(formatSuccess(await reportService.verify(cid)));
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,161 @@
+const express = require("express");
+const {
+  blockchainService,
+  roleService,
+  acceptanceService,
+} = require("../services");
+const { APIError, asyncHandler } = require("../middleware/errorHandler");
+const { optionalAuth } = require("../middleware/auth");
+const {
+  validateIdParam,
+  parseStatusFilter,
+  parseFormatFilter,
+} = require("../middleware/validation");
+const {
+  HTTP_STATUS,
+  ERROR_CODES,
+  REQUEST_STATUS_NAMES,
+  SUBMISSION_STATUS_NAMES,
+  PAGINATION,
+  isValidAddress,
+  validatePagination,
+  formatRequest,
+  formatSuccess,
+  formatListResponse,
+} = require("../utils");
+
+const router = express.Router();
+
+/**
+ * Request Routes
+ * Read access to data requests on the marketplace contract
+ */
+
+/**
+ * GET /requests
+ * List requests, filtered by buyer, status and format. Until the event
+ * indexer has synced, listing without a buyer returns 503 once there are
+ * too many requests to read from the contract one by one
+ */
+router.get(
+  "/",
+  asyncHandler(async (req, res) => {
+    const { buyer } = req.query;
+    const { page, limit, skip } = validatePagination(
+      req.query.page,
+      req.query.limit,
+      PAGINATION.MAX_LIMIT
+    );
+
+    if (buyer !== undefined && buyer !== "" && !isValidAddress(buyer)) {
+      throw new APIError(
+        `Invalid buyer address: ${buyer}`,
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.INVALID_ADDRESS
+      );
+    }
+
+    const status = parseStatusFilter(req.query.status, REQUEST_STATUS_NAMES);
+    const format = parseFormatFilter(req.query.format);
+
+    const requests = await blockchainService.listRequests({
+      buyer: buyer && buyer.toLowerCase(),
+      status,
+      format,
+    });
+
+    res.json(
+      formatListResponse(
+        requests.slice(skip, skip + limit),
+        page,
+        limit,
+        requests.length,
+        formatRequest
+      )
+    );
+  })
+);
+
+/**
+ * GET /requests/:id
+ * Get a single request
+ */
+router.get(
+  "/:id",
+  validateIdParam("id", "request ID"),
+  asyncHandler(async (req, res) => {
+    const request = await blockchainService.syncRequest(req.params.id);
+    res.json(formatSuccess(formatRequest(request)));
+  })
+);
+
+/**
+ * GET /requests/:id/acceptance-spec
+ * Get the acceptance spec a request's submissions are verified against;
+ * spec is null when the request has none
+ */
+router.get(
+  "/:id/acceptance-spec",
+  validateIdParam("id", "request ID"),
+  asyncHandler(async (req, res) => {
+    const request = await blockchainService.syncRequest(req.params.id);
+    const { acceptanceSpecCid } = request;
+    const { spec, error } = acceptanceSpecCid
+      ? await acceptanceService.load(acceptanceSpecCid)
+      : { spec: null, error: null };
+
+    res.json(
+      formatSuccess({
+        requestId: request.requestId,
+        acceptanceSpecCid,
+        spec,
+        error,
+      })
+    );
+  })
+);
+
+/**
+ * GET /requests/:id/submissions
+ * List the submissions made against a request, filtered by status and format;
+ * private details are only shown to parties allowed to see them. Until the
+ * event indexer has synced, returns 503 once there are too many submissions
+ * to read from the contract one by one
+ */
+router.get(
+  "/:id/submissions",
+  validateIdParam("id", "request ID"),
+  optionalAuth,
+  asyncHandler(async (req, res) => {
+    const { page, limit, skip } = validatePagination(
+      req.query.page,
+      req.query.limit,
+      PAGINATION.MAX_LIMIT
+    );
+    const status = parseStatusFilter(req.query.status, SUBMISSION_STATUS_NAMES);
+    const format = parseFormatFilter(req.query.format);
+
+    // Ensure the request exists before scanning its submissions
+    await blockchainService.syncRequest(req.params.id);
+
+    const submissions = await blockchainService.listSubmissions({
+      requestId: req.params.id,
+      status,
+      format,
+    });
+
+    const pageItems = await Promise.all(
+      submissions
+        .slice(skip, skip + limit)
+        .map((submission) =>
+          roleService.formatSubmissionFor(req.user?.address, submission)
+        )
+    );
+
+    res.json(
+      formatListResponse(pageItems, page, limit, submissions.length)
+    );
+  })
+);
+
+module.exports = router;
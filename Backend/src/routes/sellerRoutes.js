@@ -0,0 +1,62 @@
+const express = require("express");
+const { blockchainService, roleService } = require("../services");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { optionalAuth } = require("../middleware/auth");
+const {
+  validateAddressParam,
+  parseStatusFilter,
+  parseFormatFilter,
+} = require("../middleware/validation");
+const {
+  SUBMISSION_STATUS_NAMES,
+  PAGINATION,
+  validatePagination,
+  formatListResponse,
+} = require("../utils");
+
+const router = express.Router();
+
+/**
+ * Seller Routes
+ * Per-seller views of marketplace state
+ */
+
+/**
+ * GET /sellers/:address/submissions
+ * List a seller's submissions, filtered by status and format; private
+ * details are only shown to parties allowed to see them
+ */
+router.get(
+  "/:address/submissions",
+  validateAddressParam("address"),
+  optionalAuth,
+  asyncHandler(async (req, res) => {
+    const { page, limit, skip } = validatePagination(
+      req.query.page,
+      req.query.limit,
+      PAGINATION.MAX_LIMIT
+    );
+    const status = parseStatusFilter(req.query.status, SUBMISSION_STATUS_NAMES);
+    const format = parseFormatFilter(req.query.format);
+
+    const submissions = await blockchainService.listSubmissions({
+      seller: req.params.address,
+      status,
+      format,
+    });
+
+    const pageItems = await Promise.all(
+      submissions
+        .slice(skip, skip + limit)
+        .map((submission) =>
+          roleService.formatSubmissionFor(req.user?.address, submission)
+        )
+    );
+
+    res.json(
+      formatListResponse(pageItems, page, limit, submissions.length)
+    );
+  })
+);
+
+module.exports = router;
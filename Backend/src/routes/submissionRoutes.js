@@ -0,0 +1,72 @@
+const express = require("express");
+const {
+  blockchainService,
+  verificationService,
+  roleService,
+} = require("../services");
+const { SCORING_PROFILES } = require("../config");
+const { APIError, asyncHandler } = require("../middleware/errorHandler");
+const { validateIdParam } = require("../middleware/validation");
+const { requireAuth, optionalAuth } = require("../middleware/auth");
+const { requireRole } = require("../middleware/roles");
+const {
+  ROLES,
+  HTTP_STATUS,
+  ERROR_CODES,
+  formatSuccess,
+} = require("../utils");
+
+const router = express.Router();
+
+/**
+ * Submission Routes
+ * Read access to dataset submissions on the marketplace contract
+ */
+
+/**
+ * GET /submissions/:id
+ * Get a single submission; private details are only shown to its seller,
+ * the verifier and the owner
+ */
+router.get(
+  "/:id",
+  validateIdParam("id", "submission ID"),
+  optionalAuth,
+  asyncHandler(async (req, res) => {
+    const submission = await blockchainService.syncSubmission(req.params.id);
+    res.json(
+      formatSuccess(
+        await roleService.formatSubmissionFor(req.user?.address, submission)
+      )
+    );
+  })
+);
+
+/**
+ * POST /submissions/:id/verify
+ * Run quality checks on a submission and record the result on chain;
+ * the body may name the scoring profile
+ */
+router.post(
+  "/:id/verify",
+  validateIdParam("id", "submission ID"),
+  requireAuth,
+  requireRole(ROLES.VERIFIER),
+  asyncHandler(async (req, res) => {
+    const profile = req.body?.profile;
+    if (profile !== undefined && !Object.hasOwn(SCORING_PROFILES, profile)) {
+      throw new APIError(
+        `Unknown scoring profile: ${profile}`,
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.INVALID_PARAMETERS
+      );
+    }
+
+    const result = await verificationService.verifyOnChain(req.params.id, {
+      profile,
+    });
+    res.json(formatSuccess(result, "Submission verified"));
+  })
+);
+
+module.exports = router;
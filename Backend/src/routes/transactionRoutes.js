@@ -0,0 +1,237 @@
+const express = require("express");
+const { ethers } = require("ethers");
+const { blockchainService, acceptanceService } = require("../services");
+const { APIError, asyncHandler } = require("../middleware/errorHandler");
+const { requireAuth } = require("../middleware/auth");
+const {
+  HTTP_STATUS,
+  ERROR_CODES,
+  DATA_FORMAT_NAMES,
+  FILE_SIZE_LIMITS,
+  isValidAddress,
+  isValidBudget,
+  isValidFormat,
+  isValidFileExtension,
+  isValidFileSize,
+  isValidSampleCount,
+  isValidRequestId,
+  isValidIPFSCid,
+  parseFormatsMask,
+  sanitizeString,
+  formatSuccess,
+} = require("../utils");
+
+const router = express.Router();
+
+/**
+ * Transaction Routes
+ * Prepare unsigned transactions for the caller's own wallet to sign and send
+ */
+
+router.use(requireAuth);
+
+/**
+ * Build a 400 error for an invalid body field
+ */
+const invalidField = (message, errorCode = ERROR_CODES.INVALID_PARAMETERS) =>
+  new APIError(message, HTTP_STATUS.BAD_REQUEST, errorCode);
+
+/**
+ * Load an open request, rejecting unknown and closed requests
+ */
+const getOpenRequest = async (requestId) => {
+  if (!isValidRequestId(requestId)) {
+    throw invalidField(`Invalid request ID: ${requestId}`);
+  }
+
+  const request = await blockchainService.syncRequest(Number(requestId));
+  if (request.status !== "OPEN") {
+    throw new APIError(
+      `Request ${requestId} is closed`,
+      HTTP_STATUS.CONFLICT,
+      ERROR_CODES.REQUEST_CLOSED
+    );
+  }
+  return request;
+};
+
+/**
+ * POST /transactions/create-request
+ * Prepare a createRequest transaction; `formats` is a list of format names
+ * or a formats mask and `budget` is in wei. An `acceptanceSpec` is
+ * published to IPFS, or an `acceptanceSpecCid` of a published one reused,
+ * and linked from the request description.
+ */
+router.post(
+  "/create-request",
+  asyncHandler(async (req, res) => {
+    const { formats, budget, acceptanceSpec } = req.body || {};
+    const description = sanitizeString(req.body?.description);
+
+    const formatsMask = parseFormatsMask(formats);
+    if (formatsMask === null) {
+      throw invalidField(
+        `Invalid formats: ${JSON.stringify(formats)}`,
+        ERROR_CODES.INVALID_FORMAT
+      );
+    }
+
+    if (!description) {
+      throw invalidField("description is required");
+    }
+
+    if (!isValidBudget(budget)) {
+      throw invalidField(
+        `Invalid budget: ${budget}`,
+        ERROR_CODES.INSUFFICIENT_BUDGET
+      );
+    }
+
+    let acceptanceSpecCid = req.body.acceptanceSpecCid ?? null;
+    if (acceptanceSpec !== undefined) {
+      ({ cid: acceptanceSpecCid } = await acceptanceService.publish(
+        acceptanceSpec
+      ));
+    } else if (acceptanceSpecCid !== null) {
+      if (!isValidIPFSCid(acceptanceSpecCid)) {
+        throw invalidField(`Invalid acceptanceSpecCid: ${acceptanceSpecCid}`);
+      }
+      const { error } = await acceptanceService.load(acceptanceSpecCid);
+      if (error) {
+        throw invalidField(
+          `Invalid acceptance spec: ${error}`,
+          ERROR_CODES.VALIDATION_ERROR
+        );
+      }
+    }
+
+    const tx = await blockchainService.buildCreateRequestTx(
+      req.user.address,
+      formatsMask,
+      acceptanceSpecCid
+        ? acceptanceService.linkDescription(description, acceptanceSpecCid)
+        : description,
+      budget
+    );
+
+    res.json(formatSuccess({ ...tx, acceptanceSpecCid }));
+  })
+);
+
+/**
+ * POST /transactions/submit-dataset
+ * Prepare a submitDataset transaction
+ */
+router.post(
+  "/submit-dataset",
+  asyncHandler(async (req, res) => {
+    const {
+      requestId,
+      format,
+      fileSize,
+      sampleCount,
+      fileExtensions,
+      datasetReference,
+    } = req.body || {};
+    const modelAddress = req.body?.modelAddress || ethers.ZeroAddress;
+
+    if (!isValidFormat(format)) {
+      throw invalidField(`Invalid format: ${format}`, ERROR_CODES.INVALID_FORMAT);
+    }
+    const formatName =
+      typeof format === "number"
+        ? DATA_FORMAT_NAMES[format]
+        : format.toUpperCase();
+
+    if (!isValidFileSize(fileSize, FILE_SIZE_LIMITS[formatName])) {
+      throw invalidField(
+        `fileSize must be between 0 and ${FILE_SIZE_LIMITS[formatName]} bytes for ${formatName}`,
+        ERROR_CODES.FILE_TOO_LARGE
+      );
+    }
+
+    if (!isValidSampleCount(sampleCount)) {
+      throw invalidField(`Invalid sampleCount: ${sampleCount}`);
+    }
+
+    const extensions =
+      typeof fileExtensions === "string"
+        ? fileExtensions
+            .split(",")
+            .map((ext) => ext.trim())
+            .filter(Boolean)
+        : [];
+    if (extensions.length === 0) {
+      throw invalidField("fileExtensions is required");
+    }
+    const invalidExtensions = extensions.filter(
+      (ext) => !isValidFileExtension(ext, formatName)
+    );
+    if (invalidExtensions.length > 0) {
+      throw invalidField(
+        `File extensions not allowed for ${formatName}: ${invalidExtensions.join(", ")}`,
+        ERROR_CODES.INVALID_FORMAT
+      );
+    }
+
+    if (!datasetReference || typeof datasetReference !== "string") {
+      throw invalidField("datasetReference is required");
+    }
+
+    if (!isValidAddress(modelAddress)) {
+      throw invalidField(
+        `Invalid modelAddress: ${modelAddress}`,
+        ERROR_CODES.INVALID_ADDRESS
+      );
+    }
+
+    const request = await getOpenRequest(requestId);
+    if (!request.acceptedFormats.includes(formatName)) {
+      throw invalidField(
+        `Request ${requestId} does not accept ${formatName} datasets`,
+        ERROR_CODES.INVALID_FORMAT
+      );
+    }
+
+    const tx = await blockchainService.buildSubmitDatasetTx(
+      req.user.address,
+      request.requestId,
+      formatName,
+      fileSize,
+      sampleCount,
+      extensions.join(","),
+      datasetReference,
+      modelAddress
+    );
+
+    res.json(formatSuccess(tx));
+  })
+);
+
+/**
+ * POST /transactions/cancel-request
+ * Prepare a cancelRequest transaction; only the request's buyer may cancel
+ */
+router.post(
+  "/cancel-request",
+  asyncHandler(async (req, res) => {
+    const request = await getOpenRequest(req.body?.requestId);
+
+    if (request.buyerAddress !== req.user.address) {
+      throw new APIError(
+        "Only the buyer can cancel this request",
+        HTTP_STATUS.FORBIDDEN,
+        ERROR_CODES.UNAUTHORIZED
+      );
+    }
+
+    const tx = await blockchainService.buildCancelRequestTx(
+      req.user.address,
+      request.requestId
+    );
+
+    res.json(formatSuccess(tx));
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,189 @@
+const express = require("express");
+const { webhookService } = require("../services");
+const {
+  webhookEndpointRepository,
+  webhookDeliveryRepository,
+} = require("../repositories");
+const { config } = require("../config");
+const { APIError, asyncHandler } = require("../middleware/errorHandler");
+const { requireAuth } = require("../middleware/auth");
+const {
+  HTTP_STATUS,
+  ERROR_CODES,
+  NOTIFICATION_TYPES,
+  PAGINATION,
+  isValidUrl,
+  validatePagination,
+  formatSuccess,
+  formatListResponse,
+} = require("../utils");
+
+const router = express.Router();
+
+/**
+ * Webhook Routes
+ * Endpoint registration, delivery log and replay
+ */
+
+router.use(requireAuth, (req, res, next) => {
+  if (!config.webhooks.enabled) {
+    return next(
+      new APIError(
+        "Webhooks are not enabled",
+        HTTP_STATUS.SERVICE_UNAVAILABLE,
+        ERROR_CODES.SERVICE_UNAVAILABLE
+      )
+    );
+  }
+  next();
+});
+
+/**
+ * An endpoint without its signing secret, which is only returned once
+ */
+const withoutSecret = ({ secret, ...endpoint }) => endpoint;
+
+/**
+ * Load an endpoint owned by the authenticated address
+ */
+const getOwnEndpoint = async (req, endpointId) => {
+  const endpoint = await webhookEndpointRepository.findById(endpointId);
+  if (!endpoint || endpoint.owner !== req.user.address) {
+    throw new APIError(
+      "Webhook endpoint not found",
+      HTTP_STATUS.NOT_FOUND,
+      ERROR_CODES.VALIDATION_ERROR
+    );
+  }
+  return endpoint;
+};
+
+/**
+ * POST /webhooks
+ * Register an endpoint for a set of notification types. The response holds
+ * the secret deliveries to the endpoint are signed with; it is not shown
+ * again
+ */
+router.post(
+  "/",
+  asyncHandler(async (req, res) => {
+    const { url, events } = req.body || {};
+    const eventTypes = Object.values(NOTIFICATION_TYPES);
+
+    if (!isValidUrl(url) || !/^https?:$/.test(new URL(url).protocol)) {
+      throw new APIError(
+        `Invalid webhook URL: ${url}`,
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.INVALID_PARAMETERS
+      );
+    }
+    await webhookService.checkTarget(url);
+
+    if (
+      !Array.isArray(events) ||
+      events.length === 0 ||
+      events.some((event) => !eventTypes.includes(event))
+    ) {
+      throw new APIError(
+        `events must be a non-empty list of: ${eventTypes.join(", ")}`,
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.INVALID_PARAMETERS
+      );
+    }
+
+    const endpoint = await webhookEndpointRepository.create({
+      owner: req.user.address,
+      url,
+      events: [...new Set(events)],
+      active: true,
+      secret: webhookService.generateSecret(),
+    });
+
+    res
+      .status(HTTP_STATUS.CREATED)
+      .json(formatSuccess(endpoint, "Webhook endpoint registered"));
+  })
+);
+
+/**
+ * GET /webhooks
+ * List the authenticated address's endpoints
+ */
+router.get(
+  "/",
+  asyncHandler(async (req, res) => {
+    const endpoints = await webhookEndpointRepository.find({
+      owner: req.user.address,
+    });
+    res.json(formatSuccess(endpoints.map(withoutSecret)));
+  })
+);
+
+/**
+ * DELETE /webhooks/:id
+ * Remove an endpoint
+ */
+router.delete(
+  "/:id",
+  asyncHandler(async (req, res) => {
+    const endpoint = await getOwnEndpoint(req, req.params.id);
+    await webhookEndpointRepository.delete(endpoint._id);
+    res.json(formatSuccess(null, "Webhook endpoint removed"));
+  })
+);
+
+/**
+ * GET /webhooks/:id/deliveries
+ * List an endpoint's deliveries, newest first
+ */
+router.get(
+  "/:id/deliveries",
+  asyncHandler(async (req, res) => {
+    const endpoint = await getOwnEndpoint(req, req.params.id);
+    const { page, limit, skip } = validatePagination(
+      req.query.page,
+      req.query.limit,
+      PAGINATION.MAX_LIMIT
+    );
+
+    const filter = { endpointId: endpoint._id };
+    const [deliveries, total] = await Promise.all([
+      webhookDeliveryRepository.find(filter, {
+        sort: { createdAt: -1 },
+        skip,
+        limit,
+      }),
+      webhookDeliveryRepository.count(filter),
+    ]);
+
+    res.json(formatListResponse(deliveries, page, limit, total));
+  })
+);
+
+/**
+ * POST /webhooks/deliveries/:deliveryId/replay
+ * Send a past delivery's payload again
+ */
+router.post(
+  "/deliveries/:deliveryId/replay",
+  asyncHandler(async (req, res) => {
+    const delivery = await webhookDeliveryRepository.findById(
+      req.params.deliveryId
+    );
+    if (!delivery) {
+      throw new APIError(
+        "Webhook delivery not found",
+        HTTP_STATUS.NOT_FOUND,
+        ERROR_CODES.VALIDATION_ERROR
+      );
+    }
+    await getOwnEndpoint(req, delivery.endpointId);
+
+    const replay = await webhookService.replay(delivery);
+    res
+      .status(HTTP_STATUS.ACCEPTED)
+      .json(formatSuccess(replay, "Webhook delivery replayed"));
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,491 @@
+const Ajv = require("ajv");
+const ipfsService = require("./ipfsService");
+const {
+  HTTP_STATUS,
+  ERROR_CODES,
+  APIError,
+  QUALITY_METRICS,
+  isValidIPFSCid,
+} = require("../utils");
+
+/**
+ * Acceptance Service
+ * Buyer-defined acceptance specs: what a dataset must satisfy for a
+ * request, published to IPFS, linked to the request through its on-chain
+ * description and evaluated against each submission's quality checks
+ */
+
+const SPEC_VERSION = "1.0";
+// Line appended to a request description to link its spec
+const SPEC_LINK_PREFIX = "acceptance-spec: ipfs://";
+const SPEC_LINK_PATTERN = /(?:^|\n)acceptance-spec: ipfs:\/\/(\S+)\s*$/;
+// Distinct label values tracked per dataset
+const MAX_TRACKED_LABELS = 1000;
+// Offending values or files listed per failed criterion
+const MAX_LISTED = 10;
+
+const COLUMN_TYPES = ["string", "integer", "number", "boolean", "date"];
+
+const SPEC_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    version: { const: SPEC_VERSION },
+    minSampleCount: { type: "integer", minimum: 1 },
+    columns: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["name", "type"],
+        properties: {
+          name: { type: "string", minLength: 1 },
+          type: { enum: COLUMN_TYPES },
+          required: { type: "boolean" },
+        },
+      },
+    },
+    labels: {
+      type: "object",
+      additionalProperties: false,
+      required: ["allowed"],
+      properties: {
+        // Column or JSON field (dot-separated path) holding the label; media
+        // files are labelled by their parent directory
+        field: { type: "string", minLength: 1 },
+        allowed: {
+          type: "array",
+          minItems: 1,
+          uniqueItems: true,
+          items: { type: "string" },
+        },
+      },
+    },
+    minResolution: {
+      type: "object",
+      additionalProperties: false,
+      required: ["width", "height"],
+      properties: {
+        width: { type: "integer", minimum: 1 },
+        height: { type: "integer", minimum: 1 },
+      },
+    },
+    minScores: {
+      type: "object",
+      propertyNames: { enum: Object.values(QUALITY_METRICS) },
+      additionalProperties: { type: "number", minimum: 0, maximum: 100 },
+    },
+    threshold: { type: "number", minimum: 0, maximum: 100 },
+  },
+};
+
+const validateSpec = new Ajv({ allErrors: true }).compile(SPEC_SCHEMA);
+
+// Column types each spec type accepts; JSON has no date type
+const CSV_TYPES = {
+  integer: ["integer"],
+  number: ["integer", "number"],
+  boolean: ["boolean"],
+  date: ["date"],
+};
+const JSON_TYPES = {
+  integer: ["integer"],
+  number: ["integer", "number"],
+  boolean: ["boolean"],
+  date: ["string"],
+};
+
+/**
+ * List the first few items of a list
+ */
+const listed = (items) =>
+  items.slice(0, MAX_LISTED).join(", ") +
+  (items.length > MAX_LISTED ? `, +${items.length - MAX_LISTED} more` : "");
+
+/**
+ * Parent directory name of a file path, or null at the dataset root
+ */
+const parentDirectory = (path) => {
+  const parts = path.split("/");
+  return parts.length > 1 ? parts[parts.length - 2] : null;
+};
+
+/**
+ * Counts the labels of a dataset's records
+ */
+class LabelTally {
+  constructor(field) {
+    this.field = field;
+    this.counts = new Map();
+    this.missing = 0;
+    this.overflow = false;
+  }
+
+  /**
+   * Count the label of a record (CSV row or JSON object)
+   */
+  addRecord(record) {
+    const value = Object.hasOwn(record, this.field)
+      ? record[this.field]
+      : this.field
+          .split(".")
+          .reduce((value, key) => (value == null ? value : value[key]), record);
+    this.add(value);
+  }
+
+  add(value) {
+    const label =
+      value === null || value === undefined || typeof value === "object"
+        ? ""
+        : String(value).trim();
+    if (label === "") {
+      this.missing++;
+    } else if (this.counts.has(label)) {
+      this.counts.set(label, this.counts.get(label) + 1);
+    } else if (this.counts.size < MAX_TRACKED_LABELS) {
+      this.counts.set(label, 1);
+    } else {
+      this.overflow = true;
+    }
+  }
+
+  summary() {
+    return {
+      field: this.field,
+      counts: Object.fromEntries(this.counts),
+      missing: this.missing,
+      overflow: this.overflow,
+    };
+  }
+}
+
+class AcceptanceService {
+  /**
+   * Validate a spec
+   *
+   * @returns {string[]} Problems found, empty for a valid spec
+   */
+  validate(spec) {
+    if (validateSpec(spec)) return [];
+    return validateSpec.errors.map(
+      (error) => `${error.instancePath || "spec"} ${error.message}`
+    );
+  }
+
+  /**
+   * Validate a spec and publish it to IPFS
+   *
+   * @returns {Promise<Object>} { cid, gatewayUrl, spec }
+   */
+  async publish(spec) {
+    const problems = this.validate(spec);
+    if (problems.length > 0) {
+      throw new APIError(
+        `Invalid acceptance spec: ${problems.join("; ")}`,
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.VALIDATION_ERROR
+      );
+    }
+    if (!ipfsService.initialized) {
+      throw new APIError(
+        "IPFS is not available to store the acceptance spec",
+        HTTP_STATUS.SERVICE_UNAVAILABLE,
+        ERROR_CODES.IPFS_ERROR
+      );
+    }
+
+    const published = { version: SPEC_VERSION, ...spec };
+    const { cid, gatewayUrl } = await ipfsService.uploadAcceptanceSpec(
+      published
+    );
+    return { cid, gatewayUrl, spec: published };
+  }
+
+  /**
+   * Append the link to a spec to a request description
+   */
+  linkDescription(description, cid) {
+    return `${description}\n\n${SPEC_LINK_PREFIX}${cid}`;
+  }
+
+  /**
+   * CID of the spec linked from a request description, if any
+   */
+  parseSpecCid(description) {
+    const match = SPEC_LINK_PATTERN.exec(description || "");
+    return match && isValidIPFSCid(match[1]) ? match[1] : null;
+  }
+
+  /**
+   * Load a spec from IPFS; a spec that is not valid JSON or fails
+   * validation is returned with the error instead
+   *
+   * @returns {Promise<Object>} { cid, spec, error }
+   */
+  async load(cid) {
+    let content;
+    try {
+      content = await ipfsService.getContent(cid);
+    } catch (error) {
+      throw new APIError(
+        `Could not load acceptance spec ${cid}: ${error.message}`,
+        HTTP_STATUS.SERVICE_UNAVAILABLE,
+        ERROR_CODES.IPFS_ERROR
+      );
+    }
+
+    let spec;
+    try {
+      spec = JSON.parse(content);
+    } catch (error) {
+      return { cid, spec: null, error: `Not valid JSON: ${error.message}` };
+    }
+    const problems = this.validate(spec);
+    return problems.length > 0
+      ? { cid, spec: null, error: problems.join("; ") }
+      : { cid, spec, error: null };
+  }
+
+  /**
+   * Start counting the labels of a dataset's records
+   */
+  createLabelTally(field) {
+    return new LabelTally(field);
+  }
+
+  /**
+   * Evaluate each criterion of a spec against a submission's quality check
+   * results
+   *
+   * @param {Object} spec - Valid acceptance spec
+   * @param {Object} results - { submission, metrics, analysis }
+   * @returns {Object[]} { criterion, expected, actual, passed, detail } per
+   * criterion
+   */
+  evaluate(spec, { submission, metrics, analysis }) {
+    // MIXED datasets are checked per format
+    const sections =
+      submission.format === "MIXED"
+        ? Object.fromEntries(
+            Object.entries(analysis?.sections || {}).map(
+              ([format, section]) => [format, section.analysis]
+            )
+          )
+        : { [submission.format]: analysis };
+
+    const criteria = [];
+    if (spec.minSampleCount !== undefined) {
+      criteria.push(
+        this.checkSampleCount(spec.minSampleCount, sections, submission)
+      );
+    }
+    for (const column of spec.columns || []) {
+      criteria.push(this.checkColumn(column, sections));
+    }
+    if (spec.labels) criteria.push(this.checkLabels(spec.labels, sections));
+    if (spec.minResolution) {
+      criteria.push(this.checkResolution(spec.minResolution, sections));
+    }
+    for (const [metric, minimum] of Object.entries(spec.minScores || {})) {
+      const score = metrics[metric];
+      criteria.push({
+        criterion: `minScore.${metric}`,
+        expected: minimum,
+        actual: score ?? null,
+        passed: typeof score === "number" && score >= minimum,
+        detail:
+          typeof score === "number"
+            ? `${metric} scored ${score}%`
+            : `${metric} is not measured for this dataset`,
+      });
+    }
+    return criteria;
+  }
+
+  checkSampleCount(minimum, sections, submission) {
+    const counts = Object.entries(sections)
+      .map(([format, analysis]) => this.countSamples(format, analysis))
+      .filter((count) => count !== null);
+    const measured = counts.length > 0;
+    const count = measured
+      ? counts.reduce((sum, n) => sum + n, 0)
+      : submission.sampleCount;
+
+    return {
+      criterion: "minSampleCount",
+      expected: minimum,
+      actual: count,
+      passed: count >= minimum,
+      detail: measured
+        ? `${count} samples found in the dataset`
+        : `${count} samples claimed by the seller; the dataset could not be counted`,
+    };
+  }
+
+  countSamples(format, analysis) {
+    if (!analysis) return null;
+    switch (format) {
+      case "CSV":
+        return analysis.files.reduce((sum, file) => sum + file.rows, 0);
+      case "TEXT":
+        return analysis.recordCount - analysis.parseErrors;
+      case "IMAGE":
+        return analysis.images.filter((image) => image.width !== null).length;
+      case "AUDIO":
+      case "VIDEO":
+        return analysis.files.filter((file) => !file.error).length;
+      default:
+        return null;
+    }
+  }
+
+  checkColumn({ name, type, required = true }, sections) {
+    const criterion = {
+      criterion: `column.${name}`,
+      expected: { type, required },
+      actual: null,
+      passed: false,
+      detail: null,
+    };
+    const problems = [];
+    const found = {};
+    let tables = 0;
+
+    for (const file of sections.CSV?.files || []) {
+      tables++;
+      const column = file.columns.find(
+        (candidate) => candidate.name.toLowerCase() === name.toLowerCase()
+      );
+      if (!column) {
+        if (required) problems.push(`${file.path} has no ${name} column`);
+        continue;
+      }
+      found[file.path] = column.type;
+      if (column.type === null) {
+        problems.push(`${file.path} has no ${name} values`);
+      } else if (type !== "string" && !CSV_TYPES[type].includes(column.type)) {
+        problems.push(`${name} is ${column.type} in ${file.path}`);
+      }
+    }
+
+    const properties = sections.TEXT?.schema?.schema?.properties;
+    if (properties) {
+      tables++;
+      const property = properties[name];
+      if (!property) {
+        if (required) problems.push(`JSON records have no ${name} field`);
+      } else {
+        const types = [property.type].flat().filter((t) => t !== "null");
+        found.json = types.join("|") || null;
+        if (
+          type !== "string" &&
+          !types.some((jsonType) => JSON_TYPES[type].includes(jsonType))
+        ) {
+          problems.push(`${name} is ${found.json} in the JSON records`);
+        }
+      }
+    }
+
+    criterion.actual = found;
+    if (tables === 0) {
+      criterion.detail = "Dataset has no CSV or JSON records";
+    } else if (problems.length > 0) {
+      criterion.detail = listed(problems);
+    } else {
+      criterion.passed = true;
+      criterion.detail = Object.keys(found).length
+        ? `${name} is ${type} in every table`
+        : `Optional column ${name} is absent`;
+    }
+    return criterion;
+  }
+
+  checkLabels({ field, allowed }, sections) {
+    const counts = {};
+    let missing = 0;
+    let overflow = false;
+    const tally = (labels) => {
+      for (const [label, count] of Object.entries(labels.counts)) {
+        counts[label] = (counts[label] || 0) + count;
+      }
+      missing += labels.missing;
+      overflow ||= labels.overflow;
+    };
+
+    for (const format of ["CSV", "TEXT"]) {
+      if (sections[format]?.labels) tally(sections[format].labels);
+    }
+    // Media files are labelled by their directory
+    const media = [
+      ...(sections.IMAGE?.images || []),
+      ...(sections.AUDIO?.files || []),
+      ...(sections.VIDEO?.files || []),
+    ];
+    if (media.length > 0) {
+      const labels = new LabelTally("directory");
+      for (const file of media) labels.add(parentDirectory(file.path));
+      tally(labels.summary());
+    }
+
+    const allowedSet = new Set(allowed);
+    const disallowed = Object.keys(counts).filter(
+      (label) => !allowedSet.has(label)
+    );
+    const labelled = Object.values(counts).reduce((sum, n) => sum + n, 0);
+    const problems = [];
+    if (labelled + missing === 0) problems.push("No labels found");
+    if (disallowed.length > 0) {
+      problems.push(`Labels outside the allowed set: ${listed(disallowed)}`);
+    }
+    if (missing > 0) problems.push(`${missing} samples have no label`);
+    if (overflow) {
+      problems.push(`More than ${MAX_TRACKED_LABELS} distinct labels`);
+    }
+
+    return {
+      criterion: "labels",
+      expected: { field: field || "directory", allowed },
+      actual: { counts, missing },
+      passed: problems.length === 0,
+      detail:
+        problems.length > 0
+          ? problems.join("; ")
+          : `${labelled} samples carry allowed labels`,
+    };
+  }
+
+  checkResolution({ width, height }, sections) {
+    const media = [
+      ...(sections.IMAGE?.images || []),
+      ...(sections.VIDEO?.files || []),
+    ].filter((file) => file.width != null && file.height != null);
+    const below = media.filter(
+      (file) => file.width < width || file.height < height
+    );
+    const smallest = media.reduce(
+      (min, file) =>
+        min === null || file.width * file.height < min.width * min.height
+          ? file
+          : min,
+      null
+    );
+
+    return {
+      criterion: "minResolution",
+      expected: { width, height },
+      actual: smallest
+        ? { width: smallest.width, height: smallest.height }
+        : null,
+      passed: media.length > 0 && below.length === 0,
+      detail:
+        media.length === 0
+          ? "Dataset has no images or videos with a known resolution"
+          : below.length > 0
+          ? `${below.length} of ${media.length} files are below ${width}x${height}: ${listed(below.map((file) => file.path))}`
+          : `All ${media.length} files are at least ${width}x${height}`,
+    };
+  }
+}
+
+module.exports = new AcceptanceService();
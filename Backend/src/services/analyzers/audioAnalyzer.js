@@ -0,0 +1,484 @@
+const { histogram, toScore } = require("./helpers");
+
+/**
+ * Audio Analyzer
+ * Parses WAV and FLAC files, decodes their samples to detect silence and
+ * clipping, and checks format and duration consistency across a dataset
+ */
+
+// RMS level (of full scale) below which a file is silent, about -60 dBFS
+const SILENCE_RMS = 0.001;
+// Sample level (of full scale) counted as clipped
+const CLIP_LEVEL = 0.999;
+// Share of clipped samples above which a file is clipped
+const CLIPPED_SHARE = 0.001;
+// Files shorter than this are too short to be useful
+const MIN_DURATION_SECONDS = 1;
+// Files this many times shorter or longer than the median are outliers
+const DURATION_OUTLIER_FACTOR = 4;
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+/**
+ * Running level statistics over normalized (-1..1) samples
+ */
+class LevelStats {
+  constructor() {
+    this.samples = 0;
+    this.sumSquares = 0;
+    this.peak = 0;
+    this.clipped = 0;
+  }
+
+  add(value) {
+    const level = Math.abs(value);
+    this.samples++;
+    this.sumSquares += value * value;
+    if (level > this.peak) this.peak = level;
+    if (level >= CLIP_LEVEL) this.clipped++;
+  }
+
+  summary() {
+    const rms =
+      this.samples > 0 ? Math.sqrt(this.sumSquares / this.samples) : 0;
+    return {
+      rms,
+      rmsDb: rms > 0 ? 20 * Math.log10(rms) : null,
+      peak: this.peak,
+      clippedShare: this.samples > 0 ? this.clipped / this.samples : 0,
+    };
+  }
+}
+
+/**
+ * Concatenate a leftover buffer with the next chunk
+ */
+const join = (leftover, chunk) =>
+  leftover.length > 0 ? Buffer.concat([leftover, chunk]) : chunk;
+
+/**
+ * Read one normalized sample from a WAV data buffer
+ */
+const sampleReader = (formatTag, bitsPerSample) => {
+  if (formatTag === WAVE_FORMAT_IEEE_FLOAT) {
+    if (bitsPerSample === 32) {
+      return (buffer, offset) => buffer.readFloatLE(offset);
+    }
+    if (bitsPerSample === 64) {
+      return (buffer, offset) => buffer.readDoubleLE(offset);
+    }
+    return null;
+  }
+
+  switch (bitsPerSample) {
+    case 8:
+      return (buffer, offset) => (buffer[offset] - 128) / 128;
+    case 16:
+      return (buffer, offset) => buffer.readInt16LE(offset) / 32768;
+    case 24:
+      return (buffer, offset) => buffer.readIntLE(offset, 3) / 8388608;
+    case 32:
+      return (buffer, offset) => buffer.readInt32LE(offset) / 2147483648;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Parse a WAV file from a stream of chunks, decoding its samples
+ */
+const analyzeWAV = async (chunks) => {
+  const levels = new LevelStats();
+  let buffer = Buffer.alloc(0);
+  let format = null;
+  let readSample = null;
+  let dataRemaining = null;
+  let dataBytes = 0;
+  let declaredDataBytes = null;
+  let headerChecked = false;
+
+  for await (const chunk of chunks) {
+    buffer = join(buffer, chunk);
+
+    if (!headerChecked) {
+      if (buffer.length < 12) continue;
+      buffer = buffer.subarray(12);
+      headerChecked = true;
+    }
+
+    // Walk chunks until the data chunk starts
+    while (dataRemaining === null && buffer.length >= 8) {
+      const id = buffer.toString("latin1", 0, 4);
+      const size = buffer.readUInt32LE(4);
+
+      if (id === "data") {
+        if (!format) throw new Error("data chunk before fmt chunk");
+        // Streamed WAVs leave the size unset; read to the end of the file
+        declaredDataBytes = size === 0 || size === 0xffffffff ? null : size;
+        dataRemaining = declaredDataBytes ?? Infinity;
+        buffer = buffer.subarray(8);
+        break;
+      }
+
+      // Chunks are padded to an even size
+      const paddedSize = size + (size % 2);
+      if (buffer.length < 8 + paddedSize) break;
+
+      if (id === "fmt ") {
+        if (size < 16) throw new Error("fmt chunk is too short");
+        let formatTag = buffer.readUInt16LE(8);
+        const bitsPerSample = buffer.readUInt16LE(22);
+        if (formatTag === WAVE_FORMAT_EXTENSIBLE && size >= 40) {
+          // The sub-format GUID starts with the actual format tag
+          formatTag = buffer.readUInt16LE(32);
+        }
+        format = {
+          formatTag,
+          channels: buffer.readUInt16LE(10),
+          sampleRate: buffer.readUInt32LE(12),
+          blockAlign: buffer.readUInt16LE(20),
+          bitsPerSample,
+        };
+        if (
+          (formatTag !== WAVE_FORMAT_PCM &&
+            formatTag !== WAVE_FORMAT_IEEE_FLOAT) ||
+          !(readSample = sampleReader(formatTag, bitsPerSample))
+        ) {
+          throw new Error(
+            `Unsupported WAV encoding (format ${formatTag}, ${bitsPerSample}-bit)`
+          );
+        }
+        if (!format.channels || !format.sampleRate || !format.blockAlign) {
+          throw new Error("Invalid WAV fmt chunk");
+        }
+      }
+      buffer = buffer.subarray(8 + paddedSize);
+    }
+
+    if (dataRemaining === null) continue;
+
+    // Decode whole frames; keep a partial frame for the next chunk
+    const available = Math.min(buffer.length, dataRemaining);
+    const usable = available - (available % format.blockAlign);
+    const bytesPerSample = format.bitsPerSample / 8;
+    for (let offset = 0; offset < usable; offset += bytesPerSample) {
+      levels.add(readSample(buffer, offset));
+    }
+    dataBytes += usable;
+    dataRemaining -= usable;
+    buffer = buffer.subarray(usable);
+    if (dataRemaining === 0) break;
+  }
+
+  if (!headerChecked) throw new Error("File is too short to be a WAV file");
+  if (dataRemaining === null) throw new Error("WAV file has no data chunk");
+
+  const frames = dataBytes / format.blockAlign;
+  return {
+    container: "wav",
+    sampleRate: format.sampleRate,
+    channels: format.channels,
+    bitDepth: format.bitsPerSample,
+    duration: frames / format.sampleRate,
+    truncated: declaredDataBytes !== null && dataBytes < declaredDataBytes,
+    levels: levels.summary(),
+  };
+};
+
+/**
+ * Parse a FLAC STREAMINFO block (the first metadata block)
+ */
+const parseStreamInfo = (buffer) => {
+  if ((buffer[4] & 0x7f) !== 0 || buffer.readUIntBE(5, 3) !== 34) {
+    throw new Error("FLAC file does not start with STREAMINFO");
+  }
+  const info = buffer.subarray(8, 42);
+  const maxBlockSize = info.readUInt16BE(2);
+  const sampleRate = (info[10] << 12) | (info[11] << 4) | (info[12] >> 4);
+  const channels = ((info[12] >> 1) & 0x07) + 1;
+  const bitDepth = (((info[12] & 0x01) << 4) | (info[13] >> 4)) + 1;
+  const totalSamples = (info[13] & 0x0f) * 2 ** 32 + info.readUInt32BE(14);
+  return { maxBlockSize, sampleRate, channels, bitDepth, totalSamples };
+};
+
+let flacModule = null;
+
+/**
+ * Load the (ES module) FLAC decoder once
+ */
+const loadFLACDecoder = async () => {
+  if (!flacModule) flacModule = await import("@wasm-audio-decoders/flac");
+  return flacModule.FLACDecoder;
+};
+
+/**
+ * Parse a FLAC file from a stream of chunks, decoding its samples
+ */
+const analyzeFLAC = async (chunks) => {
+  const FLACDecoder = await loadFLACDecoder();
+  const decoder = new FLACDecoder();
+  await decoder.ready;
+
+  const levels = new LevelStats();
+  let header = Buffer.alloc(0);
+  let streamInfo = null;
+  let decodedFrames = 0;
+  const errors = [];
+
+  const addDecoded = (decoded) => {
+    decodedFrames += decoded.samplesDecoded;
+    for (const channel of decoded.channelData) {
+      for (let i = 0; i < decoded.samplesDecoded; i++) levels.add(channel[i]);
+    }
+    for (const error of decoded.errors) {
+      errors.push(error.message || String(error));
+    }
+  };
+
+  try {
+    for await (const chunk of chunks) {
+      let data = chunk;
+      if (!streamInfo) {
+        // Hold chunks back until STREAMINFO is complete
+        header = join(header, chunk);
+        if (header.length < 42) continue;
+        streamInfo = parseStreamInfo(header);
+        data = header;
+      }
+      addDecoded(await decoder.decode(new Uint8Array(data)));
+    }
+    if (!streamInfo) throw new Error("File is too short to be a FLAC file");
+    addDecoded(await decoder.flush());
+  } finally {
+    decoder.free();
+  }
+
+  if (decodedFrames === 0 && streamInfo.totalSamples > 0) {
+    errors.push("No audio frames could be decoded");
+  }
+
+  // STREAMINFO may leave the total unknown (0). The decoder keeps the last
+  // frame back waiting for the next sync code, so a complete file can come
+  // up to one block short.
+  const truncated =
+    streamInfo.totalSamples > 0 &&
+    decodedFrames + streamInfo.maxBlockSize < streamInfo.totalSamples;
+  const samples =
+    streamInfo.totalSamples > 0 && !truncated
+      ? streamInfo.totalSamples
+      : decodedFrames;
+
+  return {
+    container: "flac",
+    sampleRate: streamInfo.sampleRate,
+    channels: streamInfo.channels,
+    bitDepth: streamInfo.bitDepth,
+    duration: samples / streamInfo.sampleRate,
+    truncated,
+    decodeErrors: errors.slice(0, 10),
+    levels: levels.summary(),
+  };
+};
+
+/**
+ * Detect an audio container from its leading bytes
+ */
+const detectAudioContainer = (buffer) => {
+  const ascii = buffer.subarray(0, 12).toString("latin1");
+  if (ascii.startsWith("RIFF") && ascii.slice(8, 12) === "WAVE") return "wav";
+  if (ascii.startsWith("fLaC")) return "flac";
+  return null;
+};
+
+/**
+ * Analyze one audio file from a stream of Buffer chunks
+ *
+ * @param {AsyncIterable<Buffer>} chunks - File content
+ * @param {string} path - File path
+ * @returns {Promise<Object>} Format, duration and levels, with the problems
+ * found in the file
+ */
+const analyzeAudio = async (chunks, path) => {
+  const iterator = chunks[Symbol.asyncIterator]();
+  const first = await iterator.next();
+  const head = first.done ? Buffer.alloc(0) : first.value;
+  const container = detectAudioContainer(head);
+
+  // Put the first chunk back in front of the rest
+  const rest = {
+    async *[Symbol.asyncIterator]() {
+      if (first.done) return;
+      yield head;
+      let next;
+      while (!(next = await iterator.next()).done) yield next.value;
+    },
+  };
+
+  const result = { path, container, problems: [], error: null };
+  if (!container) {
+    await iterator.return?.();
+    result.error = "Unsupported or unrecognized audio format";
+    result.unsupported = true;
+    return result;
+  }
+
+  try {
+    Object.assign(
+      result,
+      container === "wav" ? await analyzeWAV(rest) : await analyzeFLAC(rest)
+    );
+  } catch (error) {
+    await iterator.return?.();
+    result.error = `Unreadable ${container} file: ${error.message}`;
+    return result;
+  }
+
+  if (result.truncated) result.problems.push("truncated");
+  if (result.decodeErrors?.length > 0) result.problems.push("decodeErrors");
+  if (result.levels.rms < SILENCE_RMS) result.problems.push("silent");
+  if (result.levels.clippedShare > CLIPPED_SHARE) {
+    result.problems.push("clipped");
+  }
+  if (result.duration < MIN_DURATION_SECONDS) {
+    result.problems.push("tooShort");
+  }
+  return result;
+};
+
+const PROBLEM_FINDINGS = {
+  truncated: ["high", "validity", "File ends before its declared length"],
+  decodeErrors: ["high", "validity", "Audio frames failed to decode"],
+  silent: ["high", "syntheticQuality", "File is silent"],
+  clipped: ["medium", "syntheticQuality", "Audio is clipped"],
+  tooShort: [
+    "medium",
+    "completeness",
+    `File is shorter than ${MIN_DURATION_SECONDS}s`,
+  ],
+};
+
+/**
+ * Summarize analyzed files: format and duration consistency, total hours
+ * against the claimed sample count, and per-file findings
+ *
+ * @param {Array<Object>} files - analyzeAudio results
+ * @param {number} claimedSamples - The submission's sampleCount
+ */
+const summarizeAudio = (files, claimedSamples) => {
+  const parsed = files.filter((file) => !file.error);
+  const formatKey = (file) =>
+    `${file.sampleRate}Hz/${file.channels}ch/${file.bitDepth}bit`;
+  const formats = histogram(parsed.map(formatKey));
+  const [dominantFormat = null, dominantCount = 0] =
+    Object.entries(formats)[0] || [];
+
+  const durations = parsed.map((file) => file.duration).sort((a, b) => a - b);
+  const totalSeconds = durations.reduce((sum, duration) => sum + duration, 0);
+  const median =
+    durations.length > 0 ? durations[Math.floor(durations.length / 2)] : 0;
+
+  const findings = [];
+  for (const file of files) {
+    if (file.error) {
+      findings.push({
+        severity: file.unsupported ? "low" : "high",
+        category: "validity",
+        description: file.error,
+        location: file.path,
+      });
+      continue;
+    }
+    for (const problem of file.problems) {
+      const [severity, category, description] = PROBLEM_FINDINGS[problem];
+      findings.push({ severity, category, description, location: file.path });
+    }
+    if (formatKey(file) !== dominantFormat) {
+      findings.push({
+        severity: "medium",
+        category: "consistency",
+        description: `Format ${formatKey(file)} differs from the dataset's dominant ${dominantFormat}`,
+        location: file.path,
+      });
+    }
+    if (
+      median > 0 &&
+      (file.duration > median * DURATION_OUTLIER_FACTOR ||
+        file.duration < median / DURATION_OUTLIER_FACTOR)
+    ) {
+      findings.push({
+        severity: "low",
+        category: "consistency",
+        description: `Duration ${file.duration.toFixed(1)}s is far from the median ${median.toFixed(1)}s`,
+        location: file.path,
+      });
+    }
+  }
+
+  if (claimedSamples && parsed.length !== claimedSamples) {
+    findings.push({
+      severity: "high",
+      category: "completeness",
+      description: `${claimedSamples} samples claimed but ${parsed.length} readable audio files found (${(totalSeconds / 3600).toFixed(2)}h of audio)`,
+      location: "dataset",
+    });
+  }
+
+  return {
+    fileCount: files.length,
+    parsedCount: parsed.length,
+    cleanCount: parsed.filter((file) => file.problems.length === 0).length,
+    formats,
+    dominantFormat,
+    consistentCount: dominantCount,
+    duration: {
+      totalSeconds,
+      totalHours: totalSeconds / 3600,
+      min: durations.length > 0 ? durations[0] : null,
+      median: durations.length > 0 ? median : null,
+      max: durations.length > 0 ? durations[durations.length - 1] : null,
+    },
+    claimedSamples,
+    secondsPerClaimedSample: claimedSamples
+      ? totalSeconds / claimedSamples
+      : null,
+    problems: histogram(parsed.flatMap((file) => file.problems)),
+    findings,
+  };
+};
+
+/**
+ * Score a summary as 0-100 metrics: readable files (validity), files in
+ * the dominant format (consistency), readable files against the claimed
+ * sample count (completeness) and files free of problems (syntheticQuality)
+ */
+const scoreAudio = (summary) => {
+  if (summary.fileCount === 0) {
+    return {
+      validity: 0,
+      consistency: 0,
+      completeness: 0,
+      syntheticQuality: 0,
+    };
+  }
+
+  const parsed = summary.parsedCount;
+  const claimed = summary.claimedSamples || summary.fileCount;
+
+  return {
+    validity: toScore(parsed / summary.fileCount),
+    consistency: parsed > 0 ? toScore(summary.consistentCount / parsed) : 0,
+    completeness: toScore(
+      Math.min(parsed, claimed) / Math.max(parsed, claimed)
+    ),
+    syntheticQuality: parsed > 0 ? toScore(summary.cleanCount / parsed) : 0,
+  };
+};
+
+module.exports = {
+  detectAudioContainer,
+  analyzeAudio,
+  summarizeAudio,
+  scoreAudio,
+};
@@ -0,0 +1,406 @@
+const crypto = require("crypto");
+const { StringDecoder } = require("string_decoder");
+const { toScore } = require("./helpers");
+
+/**
+ * CSV Analyzer
+ * Stream-parses delimited text (RFC 4180 quoting) and measures column
+ * completeness, type conformity, duplicate rows, malformed rows and
+ * degenerate columns. The first row is the header.
+ */
+
+// Rows analyzed per file; the rest of the file is not read
+const MAX_ROWS = 1000000;
+// Distinct values tracked per column
+const MAX_TRACKED_VALUES = 1000;
+// Share of non-null values one value may hold before a column is degenerate
+const DEGENERATE_SHARE = 0.99;
+
+const NULL_VALUES = new Set(["", "na", "n/a", "nan", "null", "none", "nil"]);
+
+const TYPE_PATTERNS = [
+  ["integer", /^[-+]?\d+$/],
+  ["number", /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/],
+  ["boolean", /^(true|false|yes|no)$/i],
+  ["date", /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/],
+];
+
+/**
+ * Infer the type of a non-null value
+ */
+const inferType = (value) => {
+  for (const [type, pattern] of TYPE_PATTERNS) {
+    if (pattern.test(value)) return type;
+  }
+  return "string";
+};
+
+/**
+ * Pick the delimiter for a file from its extension, or from its first line
+ */
+const detectDelimiter = (path, firstLine) => {
+  const extension = path.split(".").pop().toLowerCase();
+  if (extension === "tsv") return "\t";
+  if (extension === "csv") return ",";
+
+  const counts = [",", "\t", ";", "|"].map((delimiter) => [
+    delimiter,
+    firstLine.split(delimiter).length,
+  ]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 1 ? counts[0][0] : ",";
+};
+
+/**
+ * Incremental RFC 4180 parser; quoted fields may span chunks and lines
+ */
+class DelimitedParser {
+  constructor(delimiter) {
+    this.delimiter = delimiter;
+    this.field = "";
+    this.row = [];
+    this.inQuotes = false;
+    this.quoteClosed = false;
+    // A quote ended the previous chunk while inside quotes
+    this.maybeEscaped = false;
+    this.rowError = false;
+    this.pendingCR = false;
+  }
+
+  /**
+   * Parse a chunk of text, calling onRow(fields, malformed) per complete row
+   */
+  push(text, onRow) {
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (this.pendingCR) {
+        this.pendingCR = false;
+        if (char === "\n") continue;
+      }
+
+      if (this.inQuotes) {
+        if (char === '"') {
+          if (text[i + 1] === '"') {
+            this.field += '"';
+            i++;
+          } else if (i + 1 === text.length) {
+            // The next chunk decides whether this is an escaped quote
+            this.inQuotes = false;
+            this.quoteClosed = true;
+            this.maybeEscaped = true;
+          } else {
+            this.inQuotes = false;
+            this.quoteClosed = true;
+          }
+        } else {
+          this.field += char;
+        }
+        continue;
+      }
+
+      if (this.maybeEscaped) {
+        this.maybeEscaped = false;
+        if (char === '"') {
+          this.field += '"';
+          this.inQuotes = true;
+          this.quoteClosed = false;
+          continue;
+        }
+      }
+
+      if (char === this.delimiter) {
+        this.endField();
+      } else if (char === "\n" || char === "\r") {
+        this.endRow(onRow);
+        this.pendingCR = char === "\r";
+      } else if (char === '"' && this.field === "" && !this.quoteClosed) {
+        this.inQuotes = true;
+      } else {
+        // Text after a closing quote, or a quote inside an unquoted field
+        if (this.quoteClosed || char === '"') this.rowError = true;
+        this.field += char;
+      }
+    }
+  }
+
+  /**
+   * Flush the last row; an unterminated quote marks it malformed
+   */
+  end(onRow) {
+    if (this.inQuotes) this.rowError = true;
+    this.maybeEscaped = false;
+    if (this.field !== "" || this.row.length > 0 || this.rowError) {
+      this.endRow(onRow);
+    }
+  }
+
+  endField() {
+    this.row.push(this.field);
+    this.field = "";
+    this.quoteClosed = false;
+  }
+
+  endRow(onRow) {
+    this.endField();
+    const row = this.row;
+    const malformed = this.rowError;
+    this.row = [];
+    this.rowError = false;
+    this.inQuotes = false;
+
+    // Skip blank lines
+    if (row.length === 1 && row[0] === "" && !malformed) return;
+    onRow(row, malformed);
+  }
+}
+
+/**
+ * Running statistics for one column
+ */
+class ColumnStats {
+  constructor(name) {
+    this.name = name;
+    this.nullCount = 0;
+    this.nonNullCount = 0;
+    this.types = {};
+    this.values = new Map();
+    this.valuesOverflow = false;
+    // Welford's running mean and variance for numeric values
+    this.numericCount = 0;
+    this.mean = 0;
+    this.m2 = 0;
+    this.min = null;
+    this.max = null;
+  }
+
+  add(raw) {
+    const value = raw.trim();
+    if (NULL_VALUES.has(value.toLowerCase())) {
+      this.nullCount++;
+      return;
+    }
+    this.nonNullCount++;
+
+    const type = inferType(value);
+    this.types[type] = (this.types[type] || 0) + 1;
+
+    if (this.values.has(value)) {
+      this.values.set(value, this.values.get(value) + 1);
+    } else if (this.values.size < MAX_TRACKED_VALUES) {
+      this.values.set(value, 1);
+    } else {
+      this.valuesOverflow = true;
+    }
+
+    if (type === "integer" || type === "number") {
+      const number = Number(value);
+      this.numericCount++;
+      const delta = number - this.mean;
+      this.mean += delta / this.numericCount;
+      this.m2 += delta * (number - this.mean);
+      this.min = this.min === null ? number : Math.min(this.min, number);
+      this.max = this.max === null ? number : Math.max(this.max, number);
+    }
+  }
+
+  /**
+   * Dominant type; integers count towards numbers
+   */
+  dominantType() {
+    const counts = { ...this.types };
+    if (counts.integer && counts.number) {
+      counts.number += counts.integer;
+      delete counts.integer;
+    }
+    const entries = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    return entries.length > 0 ? entries[0] : [null, 0];
+  }
+
+  summary() {
+    const total = this.nullCount + this.nonNullCount;
+    const [type, typeCount] = this.dominantType();
+    const topCount = Math.max(0, ...this.values.values());
+    const topShare =
+      this.nonNullCount > 0 ? topCount / this.nonNullCount : null;
+    const degenerate =
+      this.nonNullCount === 0 ||
+      (total > 1 && !this.valuesOverflow && this.values.size === 1) ||
+      (total > 1 && topShare >= DEGENERATE_SHARE);
+
+    const summary = {
+      name: this.name,
+      type,
+      nullCount: this.nullCount,
+      nullRate: total > 0 ? this.nullCount / total : 0,
+      typeConformity:
+        this.nonNullCount > 0 ? typeCount / this.nonNullCount : 1,
+      distinctValues: this.valuesOverflow
+        ? `>${MAX_TRACKED_VALUES}`
+        : this.values.size,
+      topValueShare: topShare,
+      degenerate,
+    };
+
+    if (this.numericCount > 0) {
+      summary.min = this.min;
+      summary.max = this.max;
+      summary.mean = this.mean;
+      summary.stdDev =
+        this.numericCount > 1
+          ? Math.sqrt(this.m2 / (this.numericCount - 1))
+          : 0;
+    }
+
+    return summary;
+  }
+}
+
+/**
+ * Analyze one delimited file from a stream of Buffer chunks
+ *
+ * @param {AsyncIterable<Buffer>} chunks - File content
+ * @param {string} path - File path, used to pick the delimiter
+ * @param {Function} [onRecord] - Called with each row as an object of
+ * column name to value, and its location
+ * @returns {Promise<Object>} Row counts, column summaries and problems found
+ */
+const analyzeCSV = async (chunks, path = "", onRecord = null) => {
+  const decoder = new StringDecoder("utf8");
+  const rowHashes = new Set();
+  let parser = null;
+  let columns = null;
+  let pending = "";
+  let rows = 0;
+  let duplicateRows = 0;
+  let raggedRows = 0;
+  let malformedRows = 0;
+  let invalidRows = 0;
+  let truncated = false;
+
+  const onRow = (fields, malformed) => {
+    if (!columns) {
+      columns = fields.map(
+        (name, i) => new ColumnStats(name.trim() || `column_${i + 1}`)
+      );
+      if (malformed) malformedRows++;
+      return;
+    }
+    if (rows >= MAX_ROWS) {
+      truncated = true;
+      return;
+    }
+
+    rows++;
+    const ragged = fields.length !== columns.length;
+    if (malformed) malformedRows++;
+    if (ragged) raggedRows++;
+    if (malformed || ragged) invalidRows++;
+
+    columns.forEach((column, i) => column.add(fields[i] ?? ""));
+
+    const hash = crypto
+      .createHash("sha1")
+      .update(fields.join("\u0000"))
+      .digest("base64");
+    if (rowHashes.has(hash)) duplicateRows++;
+    else rowHashes.add(hash);
+
+    if (onRecord) {
+      onRecord(
+        Object.fromEntries(
+          columns.map((column, i) => [column.name, fields[i] ?? ""])
+        ),
+        `${path}:${rows + 1}`
+      );
+    }
+  };
+
+  for await (const chunk of chunks) {
+    let text = decoder.write(chunk);
+
+    if (!parser) {
+      // Wait for the first line to pick the delimiter
+      pending += text;
+      const lineEnd = pending.search(/[\r\n]/);
+      if (lineEnd === -1) continue;
+      text = pending.replace(/^\uFEFF/, "");
+      parser = new DelimitedParser(
+        detectDelimiter(path, text.slice(0, lineEnd))
+      );
+    }
+
+    parser.push(text, onRow);
+    if (truncated) break;
+  }
+
+  if (!parser) {
+    pending = (pending + decoder.end()).replace(/^\uFEFF/, "");
+    parser = new DelimitedParser(detectDelimiter(path, pending));
+    parser.push(pending, onRow);
+  } else if (!truncated) {
+    parser.push(decoder.end(), onRow);
+  }
+  parser.end(onRow);
+
+  return {
+    path,
+    delimiter: parser.delimiter,
+    rows,
+    truncated,
+    duplicateRows,
+    raggedRows,
+    malformedRows,
+    invalidRows,
+    columns: (columns || []).map((column) => column.summary()),
+  };
+};
+
+/**
+ * Combine per-file analyses into 0-100 metric scores, weighting each file
+ * by its row count
+ */
+const scoreCSV = (files) => {
+  const rows = files.reduce((sum, file) => sum + file.rows, 0);
+  const columns = files.flatMap((file) => file.columns);
+
+  if (rows === 0 || columns.length === 0) {
+    return {
+      completeness: 0,
+      uniqueness: 0,
+      consistency: 0,
+      validity: 0,
+      distributionScore: 0,
+    };
+  }
+
+  // Column averages weighted by their file's row count
+  const weightedColumnMean = (pick) => {
+    let total = 0;
+    let weight = 0;
+    for (const file of files) {
+      for (const column of file.columns) {
+        total += pick(column) * file.rows;
+        weight += file.rows;
+      }
+    }
+    return weight > 0 ? total / weight : 0;
+  };
+
+  const sum = (pick) => files.reduce((acc, file) => acc + pick(file), 0);
+
+  return {
+    completeness: toScore(1 - weightedColumnMean((c) => c.nullRate)),
+    uniqueness: toScore(1 - sum((file) => file.duplicateRows) / rows),
+    consistency: toScore(weightedColumnMean((c) => c.typeConformity)),
+    validity: toScore(1 - sum((file) => file.invalidRows) / rows),
+    distributionScore: toScore(
+      1 - weightedColumnMean((c) => (c.degenerate ? 1 : 0))
+    ),
+  };
+};
+
+module.exports = {
+  analyzeCSV,
+  scoreCSV,
+};
@@ -0,0 +1,106 @@
+const { detectImageType } = require("./imageAnalyzer");
+const { detectAudioContainer } = require("./audioAnalyzer");
+const { detectVideoContainer } = require("./videoAnalyzer");
+
+/**
+ * Format Sniffer
+ * Classifies a file into one of the data formats (DATA_FORMAT_NAMES) from
+ * its leading bytes. The extension is only used to tell tabular text from
+ * other text.
+ */
+
+// Leading bytes needed to classify a file
+const SNIFF_BYTES = 4096;
+
+const TABULAR_EXTENSIONS = ["csv", "tsv"];
+const DOCUMENT_EXTENSIONS = ["json", "jsonl", "ndjson", "md", "html", "xml"];
+const DELIMITERS = [",", "\t", ";", "|"];
+
+// ISO BMFF brands of audio-only files
+const AUDIO_BRANDS = ["M4A ", "M4B ", "M4P "];
+
+/**
+ * Detect audio the audio analyzer cannot parse: MP3, AAC, Ogg and M4A
+ */
+const isOtherAudio = (head) => {
+  const ascii = head.subarray(0, 12).toString("latin1");
+  if (ascii.startsWith("ID3") || ascii.startsWith("OggS")) return true;
+  if (
+    ascii.slice(4, 8) === "ftyp" &&
+    AUDIO_BRANDS.includes(ascii.slice(8, 12))
+  ) {
+    return true;
+  }
+  // MPEG audio and ADTS frame sync
+  return head.length >= 2 && head[0] === 0xff && (head[1] & 0xe0) === 0xe0;
+};
+
+const isVideo = (head) => {
+  const ascii = head.subarray(0, 12).toString("latin1");
+  if (ascii.startsWith("RIFF") && ascii.slice(8, 12) === "AVI ") return true;
+  // ASF (WMV) and FLV
+  if (head.subarray(0, 4).equals(Buffer.from([0x30, 0x26, 0xb2, 0x75]))) {
+    return true;
+  }
+  return ascii.startsWith("FLV") || detectVideoContainer(head) !== null;
+};
+
+/**
+ * Decode leading bytes as UTF-8 text, or null when they are binary
+ */
+const decodeText = (head) => {
+  if (head.includes(0)) return null;
+  try {
+    // A character cut off at the end of the head is not an error
+    return new TextDecoder("utf-8", { fatal: true }).decode(head, {
+      stream: true,
+    });
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Whether complete lines of text share the same non-zero delimiter count
+ */
+const looksDelimited = (text) => {
+  const lines = text.split(/\r?\n/).slice(0, -1).filter(Boolean).slice(0, 20);
+  if (lines.length < 2) return false;
+  return DELIMITERS.some((delimiter) => {
+    const count = lines[0].split(delimiter).length;
+    return (
+      count > 1 && lines.every((line) => line.split(delimiter).length === count)
+    );
+  });
+};
+
+/**
+ * Classify a file from its first SNIFF_BYTES bytes
+ *
+ * @param {Buffer} head - Leading bytes of the file
+ * @param {string} path - File path
+ * @returns {string|null} A DATA_FORMAT_NAMES format other than MIXED, or
+ * null when the file is empty or of no known format
+ */
+const sniffFormat = (head, path) => {
+  if (head.length === 0) return null;
+  if (detectImageType(head)) return "IMAGE";
+  if (detectAudioContainer(head) || isOtherAudio(head)) return "AUDIO";
+  if (isVideo(head)) return "VIDEO";
+
+  const text = decodeText(head);
+  if (text === null) return null;
+
+  const extension = path.includes(".")
+    ? path.split(".").pop().toLowerCase()
+    : "";
+  if (TABULAR_EXTENSIONS.includes(extension)) return "CSV";
+  if (DOCUMENT_EXTENSIONS.includes(extension)) return "TEXT";
+  if (/^\s*[[{]/.test(text)) return "TEXT";
+  return looksDelimited(text) ? "CSV" : "TEXT";
+};
+
+module.exports = {
+  SNIFF_BYTES,
+  sniffFormat,
+};
@@ -0,0 +1,57 @@
+/**
+ * Analyzer Helpers
+ * Summary statistics shared by the format analyzers
+ */
+
+/**
+ * Count occurrences of each value, most frequent first
+ */
+const histogram = (values) => {
+  const counts = {};
+  for (const value of values) counts[value] = (counts[value] || 0) + 1;
+  return Object.fromEntries(
+    Object.entries(counts).sort((a, b) => b[1] - a[1])
+  );
+};
+
+/**
+ * Most frequent value of a histogram; integer-like keys do not keep the
+ * histogram's order, so it is not always the first key
+ */
+const mostCommon = (counts) => {
+  const [top] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return top ? top[0] : null;
+};
+
+/**
+ * Min, max and mean of a list of numbers
+ */
+const range = (values) =>
+  values.length > 0
+    ? {
+        min: Math.min(...values),
+        max: Math.max(...values),
+        mean: values.reduce((sum, value) => sum + value, 0) / values.length,
+      }
+    : null;
+
+/**
+ * Clamp a 0-1 ratio and convert it to a 0-100 score
+ */
+const toScore = (ratio) => Math.round(Math.min(1, Math.max(0, ratio)) * 100);
+
+/**
+ * Lower-case extension of a file path, or "" when its name has none
+ */
+const extensionOf = (filePath) => {
+  const name = filePath.split("/").pop();
+  return name.includes(".") ? name.split(".").pop().toLowerCase() : "";
+};
+
+module.exports = {
+  extensionOf,
+  histogram,
+  mostCommon,
+  range,
+  toScore,
+};
@@ -0,0 +1,354 @@
+const sharp = require("sharp");
+const { histogram, range, toScore } = require("./helpers");
+
+/**
+ * Image Analyzer
+ * Decodes dataset images to check they are readable and match their
+ * extension, summarizes resolutions and aspect ratios, and clusters
+ * near-duplicates by perceptual hash (pHash).
+ * Each image is also hashed at centred crops, so a crop of another
+ * image in the dataset still matches it.
+ */
+
+// Largest Hamming distance between pHashes of near-duplicate images
+const NEAR_DUPLICATE_DISTANCE = 10;
+
+// Side of the greyscale thumbnail the pHash DCT runs on
+const HASH_SIZE = 32;
+// Side of the low-frequency DCT block kept in the hash
+const HASH_BITS_SIDE = 8;
+// Centred crops hashed besides the full image, as shares of each side
+const CROP_SCALES = [0.85, 0.7];
+
+const COMMON_ASPECT_RATIOS = [
+  ["1:1", 1],
+  ["4:3", 4 / 3],
+  ["3:2", 3 / 2],
+  ["16:9", 16 / 9],
+  ["3:4", 3 / 4],
+  ["2:3", 2 / 3],
+  ["9:16", 9 / 16],
+];
+const ASPECT_RATIO_TOLERANCE = 0.02;
+
+// Image type each extension should contain
+const EXTENSION_TYPES = {
+  jpg: "jpeg",
+  jpeg: "jpeg",
+  png: "png",
+  gif: "gif",
+  bmp: "bmp",
+  webp: "webp",
+  svg: "svg",
+};
+
+const JPEG_SIGNATURE = Buffer.from([0xff, 0xd8, 0xff]);
+const PNG_SIGNATURE = Buffer.from([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+]);
+// Optional XML declaration, comments and doctype before the <svg> root
+const SVG_PATTERN =
+  /^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i;
+
+/**
+ * Detect an image type from its leading bytes
+ */
+const detectImageType = (buffer) => {
+  if (buffer.subarray(0, 3).equals(JPEG_SIGNATURE)) return "jpeg";
+  if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return "png";
+
+  const ascii = buffer.subarray(0, 12).toString("latin1");
+  if (ascii.startsWith("GIF87a") || ascii.startsWith("GIF89a")) return "gif";
+  if (ascii.startsWith("BM")) return "bmp";
+  if (ascii.startsWith("RIFF") && ascii.slice(8, 12) === "WEBP") return "webp";
+
+  const head = buffer.subarray(0, 512).toString("utf8").trimStart();
+  return SVG_PATTERN.test(head) ? "svg" : null;
+};
+
+// DCT-II basis for the pHash, computed once
+const DCT_BASIS = Array.from({ length: HASH_BITS_SIDE }, (_, u) =>
+  Array.from({ length: HASH_SIZE }, (_, x) =>
+    Math.cos(((2 * x + 1) * u * Math.PI) / (2 * HASH_SIZE))
+  )
+);
+
+/**
+ * Perceptual hash of greyscale HASH_SIZE x HASH_SIZE pixels: the signs of
+ * the low-frequency DCT coefficients against their median, as 16 hex digits
+ */
+const perceptualHash = (pixels) => {
+  const coefficients = [];
+  for (let u = 0; u < HASH_BITS_SIDE; u++) {
+    for (let v = 0; v < HASH_BITS_SIDE; v++) {
+      let sum = 0;
+      for (let y = 0; y < HASH_SIZE; y++) {
+        const row = y * HASH_SIZE;
+        const basisY = DCT_BASIS[u][y];
+        for (let x = 0; x < HASH_SIZE; x++) {
+          sum += pixels[row + x] * basisY * DCT_BASIS[v][x];
+        }
+      }
+      coefficients.push(sum);
+    }
+  }
+
+  // The DC term only carries overall brightness
+  const sorted = coefficients.slice(1).sort((a, b) => a - b);
+  const median = sorted[Math.floor(sorted.length / 2)];
+
+  let hash = "";
+  for (let i = 0; i < coefficients.length; i += 4) {
+    let nibble = 0;
+    for (let bit = 0; bit < 4; bit++) {
+      nibble = (nibble << 1) | (coefficients[i + bit] > median ? 1 : 0);
+    }
+    hash += nibble.toString(16);
+  }
+  return hash;
+};
+
+/**
+ * Number of differing bits between two hex hashes
+ */
+const hammingDistance = (a, b) => {
+  let distance = 0;
+  for (let i = 0; i < a.length; i += 8) {
+    let xor =
+      parseInt(a.slice(i, i + 8), 16) ^ parseInt(b.slice(i, i + 8), 16);
+    while (xor) {
+      xor &= xor - 1;
+      distance++;
+    }
+  }
+  return distance;
+};
+
+/**
+ * Smallest distance between any hash of one image and any of another
+ */
+const imageDistance = (a, b) => {
+  let min = Infinity;
+  for (const hashA of a.hashes) {
+    for (const hashB of b.hashes) {
+      min = Math.min(min, hammingDistance(hashA, hashB));
+    }
+  }
+  return min;
+};
+
+/**
+ * Group hashed images whose pHashes are within NEAR_DUPLICATE_DISTANCE,
+ * transitively
+ *
+ * @returns {Array<Array<string>>} Clusters of image paths
+ */
+const clusterByHash = (images) => {
+  const parent = images.map((_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  for (let i = 0; i < images.length; i++) {
+    for (let j = i + 1; j < images.length; j++) {
+      if (imageDistance(images[i], images[j]) <= NEAR_DUPLICATE_DISTANCE) {
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const clusters = new Map();
+  images.forEach((image, i) => {
+    const root = find(i);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(image.path);
+  });
+  return [...clusters.values()];
+};
+
+/**
+ * Name an aspect ratio, or round it when it is not a common one
+ */
+const aspectRatioLabel = (width, height) => {
+  const ratio = width / height;
+  const common = COMMON_ASPECT_RATIOS.find(
+    ([, value]) => Math.abs(ratio - value) / value <= ASPECT_RATIO_TOLERANCE
+  );
+  return common ? common[0] : ratio.toFixed(2);
+};
+
+/**
+ * Decode one image and hash it
+ *
+ * @param {Buffer} buffer - File content
+ * @param {string} path - File path; its extension is the declared type
+ * @returns {Promise<Object>} Type, dimensions and pHash, or the error that
+ * made the file unusable
+ */
+const analyzeImage = async (buffer, path) => {
+  const extension = path.includes(".")
+    ? path.split(".").pop().toLowerCase()
+    : null;
+  const declaredType = extension ? EXTENSION_TYPES[extension] || null : null;
+  const detectedType = detectImageType(buffer);
+  const result = {
+    path,
+    size: buffer.length,
+    declaredType,
+    detectedType,
+    typeMismatch: Boolean(
+      declaredType && detectedType && declaredType !== detectedType
+    ),
+    width: null,
+    height: null,
+    hash: null,
+    hashes: [],
+    error: null,
+  };
+
+  if (!detectedType) {
+    result.error = "Not a recognized image format";
+    return result;
+  }
+
+  try {
+    const image = sharp(buffer, { failOn: "error" });
+    const metadata = await image.metadata();
+    result.width = metadata.width;
+    result.height = metadata.height;
+
+    // Decoding every pixel here is what surfaces truncated or corrupt data
+    const { data, info } = await image
+      .rotate()
+      .greyscale()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const hashRegion = async (scale) => {
+      const width = Math.max(1, Math.round(info.width * scale));
+      const height = Math.max(1, Math.round(info.height * scale));
+      const pixels = await sharp(data, { raw: info })
+        .extract({
+          left: Math.floor((info.width - width) / 2),
+          top: Math.floor((info.height - height) / 2),
+          width,
+          height,
+        })
+        .resize(HASH_SIZE, HASH_SIZE, { fit: "fill" })
+        .raw()
+        .toBuffer();
+      return perceptualHash(pixels);
+    };
+
+    result.hashes = [];
+    for (const scale of [1, ...CROP_SCALES]) {
+      result.hashes.push(await hashRegion(scale));
+    }
+    result.hash = result.hashes[0];
+  } catch (error) {
+    result.error = `Undecodable image: ${error.message}`;
+  }
+
+  return result;
+};
+
+/**
+ * Summarize analyzed images: resolution and aspect-ratio distributions,
+ * unusable files, near-duplicate clusters and the findings about them
+ */
+const summarizeImages = (images) => {
+  const decoded = images.filter((image) => !image.error);
+  const clusters = clusterByHash(decoded);
+  const nearDuplicateGroups = clusters.filter((cluster) => cluster.length > 1);
+
+  const findings = [
+    ...nearDuplicateGroups.map((group) => ({
+      severity: "high",
+      category: "nearDuplicates",
+      description: `${group.length} images are near-duplicates of each other`,
+      location: group.join(", "),
+    })),
+    ...images
+      .filter((image) => image.error)
+      .map(({ path, error }) => ({
+        severity: "high",
+        category: "validity",
+        description: error,
+        location: path,
+      })),
+    ...images
+      .filter((image) => image.typeMismatch)
+      .map(({ path, declaredType, detectedType }) => ({
+        severity: "medium",
+        category: "formatCompliance",
+        description: `Declared as ${declaredType} but contains ${detectedType}`,
+        location: path,
+      })),
+  ];
+
+  return {
+    imageCount: images.length,
+    decodedCount: decoded.length,
+    resolution: {
+      width: range(decoded.map((image) => image.width)),
+      height: range(decoded.map((image) => image.height)),
+      megapixels: range(
+        decoded.map((image) => (image.width * image.height) / 1e6)
+      ),
+      common: histogram(
+        decoded.map((image) => `${image.width}x${image.height}`)
+      ),
+    },
+    aspectRatios: histogram(
+      decoded.map((image) => aspectRatioLabel(image.width, image.height))
+    ),
+    types: histogram(images.map((image) => image.detectedType || "unknown")),
+    corrupt: images
+      .filter((image) => image.error)
+      .map(({ path, error }) => ({ path, error })),
+    typeMismatches: images
+      .filter((image) => image.typeMismatch)
+      .map(({ path, declaredType, detectedType }) => ({
+        path,
+        declaredType,
+        detectedType,
+      })),
+    clusterCount: clusters.length,
+    nearDuplicateGroups,
+    findings,
+  };
+};
+
+/**
+ * Score a summary: validity is the share of readable images of their
+ * declared type, diversity the share of distinct pHash clusters
+ */
+const scoreImages = (summary) => {
+  if (summary.imageCount === 0) {
+    return { validity: 0, diversityScore: 0 };
+  }
+
+  const mismatched = summary.typeMismatches.filter(
+    ({ path }) => !summary.corrupt.some((image) => image.path === path)
+  ).length;
+  const valid = summary.decodedCount - mismatched;
+
+  return {
+    validity: toScore(valid / summary.imageCount),
+    diversityScore:
+      summary.decodedCount > 0
+        ? toScore(summary.clusterCount / summary.decodedCount)
+        : 0,
+  };
+};
+
+module.exports = {
+  detectImageType,
+  analyzeImage,
+  summarizeImages,
+  scoreImages,
+};
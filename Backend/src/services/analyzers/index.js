@@ -0,0 +1,22 @@
+/**
+ * Analyzers Index
+ * Content analysis of dataset files, per data format
+ */
+
+const csvAnalyzer = require("./csvAnalyzer");
+const imageAnalyzer = require("./imageAnalyzer");
+const audioAnalyzer = require("./audioAnalyzer");
+const textAnalyzer = require("./textAnalyzer");
+const videoAnalyzer = require("./videoAnalyzer");
+const privacyScanner = require("./privacyScanner");
+const formatSniffer = require("./formatSniffer");
+
+module.exports = {
+  ...csvAnalyzer,
+  ...imageAnalyzer,
+  ...audioAnalyzer,
+  ...textAnalyzer,
+  ...videoAnalyzer,
+  ...privacyScanner,
+  ...formatSniffer,
+};
@@ -0,0 +1,356 @@
+const net = require("net");
+const { toScore } = require("./helpers");
+
+/**
+ * Privacy Scanner
+ * Detects personally identifiable information (emails, phone numbers,
+ * credit card numbers, national IDs, IP addresses, street addresses) in
+ * tabular and text records, and estimates the k-anonymity of each table
+ * over its quasi-identifier columns. Matched values only leave the scanner
+ * redacted.
+ */
+
+// Smallest equivalence class size a record needs to be considered safe
+const K_ANONYMITY_THRESHOLD = 5;
+// Records counted per table for k-anonymity; later records are not counted
+const MAX_TRACKED_RECORDS = 200000;
+// Highest privacyPreservation score of a dataset containing any PII
+const PII_SCORE_CAP = 50;
+// Locations and redacted samples kept per PII category
+const MAX_LOCATIONS = 5;
+const MAX_SAMPLES = 3;
+
+// Column names (lowercase, alphanumerics only) that identify a person
+// when combined
+const QUASI_IDENTIFIER_PATTERN =
+  /^(age|agegroup|agerange|dob|dateofbirth|birthdate|birthday|birthyear|yearofbirth|zip|zipcode|postcode|postalcode|gender|sex|race|ethnicity|city|town|county|state|region|country|nationality|occupation|job|jobtitle|profession|maritalstatus|education)$/;
+
+// Issuer prefixes of Visa, Mastercard, Amex, Diners, JCB and Discover
+const CARD_PREFIX = /^(4|5[1-5]|2[2-7]|3[0478]|6)/;
+
+/**
+ * Luhn checksum of a string of digits
+ */
+const passesLuhn = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+const isCardNumber = (match) => {
+  const digits = match.replace(/\D/g, "");
+  return (
+    digits.length >= 13 &&
+    digits.length <= 19 &&
+    CARD_PREFIX.test(digits) &&
+    passesLuhn(digits)
+  );
+};
+
+/**
+ * International numbers start with +; others need 10+ digits and two
+ * separators so that plain numbers and decimals are not phone numbers
+ */
+const isPhoneNumber = (match) => {
+  const digits = match.replace(/\D/g, "").length;
+  if (match.startsWith("+")) return digits >= 8 && digits <= 15;
+  const separators = match.match(/[ .()-]/g) || [];
+  return digits >= 10 && digits <= 15 && separators.length >= 2;
+};
+
+const isIPAddress = (match) =>
+  net.isIPv4(match) ||
+  (net.isIPv6(match) && match.split(":").filter(Boolean).length >= 2);
+
+// Dates and times, masked before scanning since their digit groups look
+// like phone numbers
+const DATE_PATTERN =
+  /\b\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)?|\b\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}\b|\b\d{1,2}:\d{2}(?::\d{2})?\b/g;
+
+const PLAIN_NUMBER = /^[-+]?\d{1,12}(\.\d+)?$/;
+
+// Checked in order; each detector's matches are masked before the next
+// one runs, so a card number is not also reported as a phone number
+const DETECTORS = [
+  {
+    category: "email",
+    label: "email addresses",
+    pattern: /[\w.%+-]+@[a-z\d-]+(?:\.[a-z\d-]+)*\.[a-z]{2,}/gi,
+  },
+  {
+    category: "creditCard",
+    label: "credit card numbers",
+    pattern: /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g,
+    valid: isCardNumber,
+  },
+  {
+    // US Social Security and UK National Insurance numbers
+    category: "nationalId",
+    label: "national ID numbers",
+    pattern:
+      /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b|\b[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z] ?\d{2} ?\d{2} ?\d{2} ?[A-D]\b/g,
+  },
+  {
+    category: "ipAddress",
+    label: "IP addresses",
+    pattern:
+      /(?<![\w.:])(?:\d{1,3}(?:\.\d{1,3}){3}|[\da-f]{0,4}(?::[\da-f]{0,4}){2,7})(?![\w.:])/gi,
+    valid: isIPAddress,
+  },
+  {
+    category: "phone",
+    label: "phone numbers",
+    pattern:
+      /(?<![\w+])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}(?:[ .-]?\d{2,4}){1,3}(?!\w)/g,
+    valid: isPhoneNumber,
+  },
+  {
+    category: "streetAddress",
+    label: "street addresses",
+    pattern:
+      /\b\d{1,5}(?: [A-Z][a-z]+\.?| \d{1,3}(?:st|nd|rd|th)){1,4} (?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Place|Pl|Square|Sq|Terrace|Way|Parkway|Pkwy|Highway|Hwy)\b\.?/g,
+  },
+];
+
+/**
+ * Mask every letter and digit but the last two, keeping punctuation so
+ * that the shape of the value stays readable
+ */
+const redact = (value) => {
+  let keep = 2;
+  return [...value]
+    .reverse()
+    .map((char) => {
+      if (!/[\p{L}\p{N}]/u.test(char)) return char;
+      return keep-- > 0 ? char : "*";
+    })
+    .reverse()
+    .join("");
+};
+
+/**
+ * Scalar values of a record field as strings; nested values are flattened
+ */
+const stringsOf = (value) => {
+  if (typeof value === "string") return [value];
+  if (typeof value === "number") return [String(value)];
+  if (value && typeof value === "object") {
+    return Object.values(value).flatMap(stringsOf);
+  }
+  return [];
+};
+
+class PrivacyScanner {
+  constructor() {
+    this.records = 0;
+    this.piiRecords = 0;
+    this.categories = {};
+    this.tables = new Map();
+  }
+
+  /**
+   * Scan a record of named fields; the first record of a table decides
+   * which of its columns are quasi-identifiers
+   *
+   * @param {Object} fields - Field name to value
+   * @param {string} location - Record location, reported with matches
+   * @param {string} table - File the record belongs to
+   */
+  addRecord(fields, location, table) {
+    this.scan(stringsOf(fields), location);
+
+    let stats = this.tables.get(table);
+    if (stats === undefined) {
+      const quasiIdentifiers = Object.keys(fields).filter((name) =>
+        QUASI_IDENTIFIER_PATTERN.test(
+          name.toLowerCase().replace(/[^a-z\d]/g, "")
+        )
+      );
+      stats =
+        quasiIdentifiers.length > 0
+          ? {
+              path: table,
+              quasiIdentifiers,
+              records: 0,
+              classes: new Map(),
+              truncated: false,
+            }
+          : null;
+      this.tables.set(table, stats);
+    }
+    if (stats === null) return;
+    if (stats.records >= MAX_TRACKED_RECORDS) {
+      stats.truncated = true;
+      return;
+    }
+
+    const values = stats.quasiIdentifiers.map((name) =>
+      String(fields[name] ?? "")
+        .trim()
+        .toLowerCase()
+    );
+    if (values.every((value) => value === "")) return;
+    const key = values.join("\u0000");
+    stats.records++;
+    stats.classes.set(key, (stats.classes.get(key) || 0) + 1);
+  }
+
+  /**
+   * Scan a record of free text
+   */
+  addText(text, location) {
+    this.scan([text], location);
+  }
+
+  scan(values, location) {
+    this.records++;
+    const found = new Set();
+
+    for (const value of values) {
+      // Every detector needs a digit or an @, and plain numbers shorter
+      // than a card number match none
+      if (!/[\d@]/.test(value) || PLAIN_NUMBER.test(value)) continue;
+      let text = value.replace(DATE_PATTERN, (match) =>
+        " ".repeat(match.length)
+      );
+      for (const { category, pattern, valid } of DETECTORS) {
+        text = text.replace(pattern, (match) => {
+          if (valid && !valid(match)) return match;
+          this.recordMatch(category, match, location, !found.has(category));
+          found.add(category);
+          return " ".repeat(match.length);
+        });
+      }
+    }
+
+    if (found.size > 0) this.piiRecords++;
+  }
+
+  recordMatch(category, match, location, newRecord) {
+    this.categories[category] ??= {
+      matches: 0,
+      records: 0,
+      locations: [],
+      samples: [],
+    };
+    const stats = this.categories[category];
+    stats.matches++;
+    if (!newRecord) return;
+    stats.records++;
+    if (stats.locations.length < MAX_LOCATIONS) stats.locations.push(location);
+    if (stats.samples.length < MAX_SAMPLES) stats.samples.push(redact(match));
+  }
+
+  /**
+   * Summarize PII matches and the k-anonymity of the tables with
+   * quasi-identifier columns
+   */
+  summarize() {
+    const tables = [...this.tables.values()]
+      .filter((stats) => stats !== null && stats.records > 0)
+      .map(({ path, quasiIdentifiers, records, classes, truncated }) => {
+        let k = Infinity;
+        let atRiskRecords = 0;
+        for (const size of classes.values()) {
+          k = Math.min(k, size);
+          if (size < K_ANONYMITY_THRESHOLD) atRiskRecords += size;
+        }
+        return {
+          path,
+          quasiIdentifiers,
+          records,
+          classes: classes.size,
+          k,
+          atRiskRecords,
+          truncated,
+        };
+      });
+    const tableRecords = tables.reduce((sum, table) => sum + table.records, 0);
+    const atRiskRecords = tables.reduce(
+      (sum, table) => sum + table.atRiskRecords,
+      0
+    );
+
+    return {
+      records: this.records,
+      piiRecords: this.piiRecords,
+      piiRecordShare: this.records > 0 ? this.piiRecords / this.records : 0,
+      categories: this.categories,
+      kAnonymity: {
+        threshold: K_ANONYMITY_THRESHOLD,
+        k:
+          tables.length > 0
+            ? Math.min(...tables.map((table) => table.k))
+            : null,
+        atRiskRecords,
+        atRiskShare: tableRecords > 0 ? atRiskRecords / tableRecords : 0,
+        tables,
+      },
+    };
+  }
+
+  /**
+   * A high-severity finding per PII category, and a finding per table
+   * that is not k-anonymous
+   */
+  findings(summary) {
+    const findings = [];
+
+    for (const { category, label } of DETECTORS) {
+      const stats = summary.categories[category];
+      if (!stats) continue;
+      findings.push({
+        severity: "high",
+        category: "privacyPreservation",
+        description: `${stats.matches} ${label} found in ${stats.records} records (e.g. ${stats.samples.join(", ")})`,
+        location:
+          stats.locations.join(", ") +
+          (stats.records > stats.locations.length
+            ? `, +${stats.records - stats.locations.length} more`
+            : ""),
+      });
+    }
+
+    for (const table of summary.kAnonymity.tables) {
+      if (table.k >= K_ANONYMITY_THRESHOLD) continue;
+      findings.push({
+        severity: table.k === 1 ? "high" : "medium",
+        category: "privacyPreservation",
+        description: `Records are only ${table.k}-anonymous over ${table.quasiIdentifiers.join(", ")}: ${table.atRiskRecords} of ${table.records} share their values with fewer than ${K_ANONYMITY_THRESHOLD - 1} others`,
+        location: table.path,
+      });
+    }
+
+    return findings;
+  }
+}
+
+/**
+ * Score a summary as a 0-100 privacyPreservation metric: records free of
+ * PII scaled by records in large enough equivalence classes, capped when
+ * any PII was found
+ */
+const scorePrivacy = (summary) => {
+  if (summary.records === 0) return { privacyPreservation: 0 };
+
+  const score = toScore(
+    (1 - summary.piiRecordShare) * (1 - summary.kAnonymity.atRiskShare)
+  );
+  return {
+    privacyPreservation:
+      summary.piiRecords > 0 ? Math.min(score, PII_SCORE_CAP) : score,
+  };
+};
+
+module.exports = {
+  redact,
+  PrivacyScanner,
+  scorePrivacy,
+};
@@ -0,0 +1,842 @@
+const fs = require("fs");
+const path = require("path");
+const Ajv = require("ajv");
+const { extensionOf, histogram, toScore } = require("./helpers");
+
+/**
+ * Text Analyzer
+ * Splits text and JSON datasets into records, validates JSON records
+ * against a declared or inferred JSON Schema, and measures record lengths,
+ * vocabulary diversity, near-duplicates (MinHash) and lexicon-based bias.
+ */
+
+// Records analyzed per dataset; later records are not read
+const MAX_RECORDS = 100000;
+// Tokens vocabulary diversity (distinct-n) is measured over
+const MAX_DIVERSITY_TOKENS = 200000;
+// JSON records a schema is inferred from
+const SCHEMA_SAMPLE_SIZE = 1000;
+// Share of sampled records a field must appear in to be required
+const REQUIRED_FIELD_SHARE = 0.95;
+
+// MinHash signature length, split into LSH bands of equal rows
+const MINHASH_SIZE = 64;
+const LSH_BANDS = 16;
+// Words per shingle
+const SHINGLE_SIZE = 3;
+// Estimated Jaccard similarity from which records are near-duplicates
+const NEAR_DUPLICATE_SIMILARITY = 0.8;
+// Largest near-duplicate groups reported as findings
+const MAX_GROUP_FINDINGS = 10;
+
+// Records shorter than this many tokens are too short
+const MIN_RECORD_TOKENS = 3;
+// A record repeating more than this share of its 4-grams is degenerate
+const REPETITION_NGRAM = 4;
+const REPETITION_SHARE = 0.5;
+
+// Mentions a lexicon dimension needs before its balance is scored
+const MIN_GROUP_MENTIONS = 20;
+// Normalized entropy of mentions below which a dimension is skewed
+const SKEWED_BALANCE = 0.8;
+
+const DEFAULT_LEXICON_PATH = path.join(__dirname, "lexicons", "bias.json");
+
+const ajv = new Ajv({ strict: false });
+
+const lexicons = new Map();
+
+/**
+ * Load a bias lexicon, the bundled one by default. A lexicon lists toxic
+ * words and, per dimension (e.g. gender), the words mentioning each group:
+ * { toxic: [...], groups: { gender: { male: [...], female: [...] } } }
+ */
+const loadLexicon = (lexiconPath = DEFAULT_LEXICON_PATH) => {
+  if (!lexicons.has(lexiconPath)) {
+    const { toxic = [], groups = {} } = JSON.parse(
+      fs.readFileSync(lexiconPath, "utf8")
+    );
+
+    // Word -> [dimension, group] pairs it mentions
+    const terms = new Map();
+    for (const [dimension, members] of Object.entries(groups)) {
+      for (const [group, words] of Object.entries(members)) {
+        for (const word of words) {
+          const key = word.toLowerCase();
+          if (!terms.has(key)) terms.set(key, []);
+          terms.get(key).push([dimension, group]);
+        }
+      }
+    }
+
+    lexicons.set(lexiconPath, {
+      toxic: new Set(toxic.map((word) => word.toLowerCase())),
+      terms,
+      dimensions: Object.fromEntries(
+        Object.entries(groups).map(([dimension, members]) => [
+          dimension,
+          Object.keys(members),
+        ])
+      ),
+    });
+  }
+  return lexicons.get(lexiconPath);
+};
+
+/**
+ * Lowercase words and numbers of a text
+ */
+const tokenize = (text) =>
+  text.toLowerCase().match(/[\p{L}\p{N}]+(?:'\p{L}+)?/gu) || [];
+
+/**
+ * The text of a JSON value: its strings, one per line
+ */
+const textOf = (value) => {
+  if (typeof value === "string") return value;
+  if (value && typeof value === "object") {
+    return Object.values(value).map(textOf).filter(Boolean).join("\n");
+  }
+  return "";
+};
+
+const parseJSONLines = (lines, filePath) =>
+  lines
+    .map((line, i) => [line, `${filePath}:${i + 1}`])
+    .filter(([line]) => line.trim() !== "")
+    .map(([line, location]) => {
+      try {
+        const value = JSON.parse(line);
+        return { location, json: true, value, text: textOf(value) };
+      } catch (error) {
+        return { location, error: error.message };
+      }
+    });
+
+/**
+ * Guess the extension of a file without one from its content: JSON
+ * documents and JSON Lines start with a bracket, anything else is read as
+ * plain text
+ */
+const sniffExtension = (text) => {
+  if (!/^\s*[[{]/.test(text)) return "txt";
+  try {
+    JSON.parse(text);
+    return "json";
+  } catch {
+    return "jsonl";
+  }
+};
+
+/**
+ * Decode a file as UTF-8 text, or null when it is binary
+ */
+const decodeText = (buffer) => {
+  if (buffer.includes(0)) return null;
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Split a file into records: JSON arrays by element, JSON Lines and plain
+ * text by line, other documents (Markdown, HTML, XML) as a whole with
+ * their tags stripped. The format comes from the path's extension, else
+ * the given one, else the content.
+ *
+ * @returns {Object} { format, records } where each record has a location
+ * and either its text (and JSON value) or the error that made it unreadable
+ */
+const parseRecords = (text, filePath, fallbackExtension = null) => {
+  const extension =
+    extensionOf(filePath) || fallbackExtension || sniffExtension(text);
+  const lines = text.split(/\r?\n/);
+
+  if (extension === "json") {
+    try {
+      const value = JSON.parse(text);
+      const values = Array.isArray(value) ? value : [value];
+      return {
+        format: "json",
+        records: values.map((item, i) => ({
+          location: Array.isArray(value) ? `${filePath}[${i}]` : filePath,
+          json: true,
+          value: item,
+          text: textOf(item),
+        })),
+      };
+    } catch (error) {
+      // JSON Lines saved with a .json extension
+      const firstLine = lines.find((line) => line.trim() !== "");
+      try {
+        if (firstLine === undefined) throw error;
+        JSON.parse(firstLine);
+      } catch {
+        return {
+          format: "json",
+          records: [{ location: filePath, error: error.message }],
+        };
+      }
+      return { format: "jsonl", records: parseJSONLines(lines, filePath) };
+    }
+  }
+
+  if (extension === "jsonl" || extension === "ndjson") {
+    return { format: "jsonl", records: parseJSONLines(lines, filePath) };
+  }
+
+  if (["txt", "csv", "tsv"].includes(extension)) {
+    return {
+      format: "lines",
+      records: lines
+        .map((line, i) => ({ location: `${filePath}:${i + 1}`, text: line }))
+        .filter((record) => record.text.trim() !== ""),
+    };
+  }
+
+  return {
+    format: "document",
+    records: [
+      {
+        location: filePath,
+        text: ["html", "xml"].includes(extension)
+          ? text.replace(/<[^>]*>/g, " ")
+          : text,
+      },
+    ],
+  };
+};
+
+const jsonType = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+};
+
+/**
+ * Most common JSON type; integers count towards numbers, and a type that
+ * is sometimes null allows null
+ */
+const dominantType = (types) => {
+  const counts = histogram(types);
+  if (counts.integer && counts.number) {
+    counts.number += counts.integer;
+    delete counts.integer;
+  }
+  const [type] = Object.entries(counts)
+    .filter(([name]) => name !== "null")
+    .sort((a, b) => b[1] - a[1])[0] || ["null"];
+  return counts.null && type !== "null" ? [type, "null"] : type;
+};
+
+/**
+ * Infer a JSON Schema from sample records: their dominant type and, for
+ * objects, the dominant type of each field, requiring the fields nearly
+ * every record has
+ */
+const inferSchema = (values) => {
+  const type = dominantType(values.map(jsonType));
+  if ([type].flat()[0] !== "object") return { type };
+
+  const objects = values.filter((value) => jsonType(value) === "object");
+  const fields = new Map();
+  for (const object of objects) {
+    for (const [name, value] of Object.entries(object)) {
+      if (!fields.has(name)) fields.set(name, []);
+      fields.get(name).push(jsonType(value));
+    }
+  }
+
+  return {
+    type,
+    properties: Object.fromEntries(
+      [...fields].map(([name, types]) => [name, { type: dominantType(types) }])
+    ),
+    required: [...fields]
+      .filter(
+        ([, types]) => types.length >= objects.length * REQUIRED_FIELD_SHARE
+      )
+      .map(([name]) => name),
+  };
+};
+
+/**
+ * FNV-1a hash of a string
+ */
+const hashString = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Murmur3 finalizer, used to derive the MinHash permutations
+ */
+const mix = (value) => {
+  let hash = value;
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+};
+
+const MINHASH_SEEDS = Array.from({ length: MINHASH_SIZE }, (_, i) =>
+  mix(i + 1)
+);
+
+/**
+ * MinHash signature of a record's word shingles
+ */
+const minHash = (tokens) => {
+  const signature = new Uint32Array(MINHASH_SIZE).fill(0xffffffff);
+  const shingles = Math.max(1, tokens.length - SHINGLE_SIZE + 1);
+  for (let i = 0; i < shingles; i++) {
+    const shingle = hashString(tokens.slice(i, i + SHINGLE_SIZE).join(" "));
+    for (let k = 0; k < MINHASH_SIZE; k++) {
+      const value = mix(shingle ^ MINHASH_SEEDS[k]);
+      if (value < signature[k]) signature[k] = value;
+    }
+  }
+  return signature;
+};
+
+/**
+ * Estimated Jaccard similarity of two signatures
+ */
+const similarity = (a, b) => {
+  let equal = 0;
+  for (let k = 0; k < MINHASH_SIZE; k++) if (a[k] === b[k]) equal++;
+  return equal / MINHASH_SIZE;
+};
+
+/**
+ * Whether a record mostly repeats the same phrases
+ */
+const isRepetitive = (tokens) => {
+  const total = tokens.length - REPETITION_NGRAM + 1;
+  if (total < REPETITION_NGRAM) return false;
+  const ngrams = new Set();
+  for (let i = 0; i < total; i++) {
+    ngrams.add(tokens.slice(i, i + REPETITION_NGRAM).join(" "));
+  }
+  return 1 - ngrams.size / total > REPETITION_SHARE;
+};
+
+/**
+ * Shannon entropy of counts, normalized to 0-1 by its maximum
+ */
+const normalizedEntropy = (counts) => {
+  const total = counts.reduce((sum, count) => sum + count, 0);
+  if (counts.length < 2 || total === 0) return 1;
+  const entropy = counts
+    .filter((count) => count > 0)
+    .reduce((sum, count) => sum - (count / total) * Math.log(count / total), 0);
+  return entropy / Math.log(counts.length);
+};
+
+/**
+ * Accumulates the records of a text dataset, file by file
+ */
+class TextCorpus {
+  /**
+   * @param {Object} options - { lexicon, declaredSchema, onRecord } where
+   * the declared schema is the text of a JSON Schema for the JSON records;
+   * without one the schema is inferred from the first records. onRecord is
+   * called with each readable record and its file path.
+   */
+  constructor({
+    lexicon = loadLexicon(),
+    declaredSchema = null,
+    onRecord = null,
+  } = {}) {
+    this.lexicon = lexicon;
+    this.onRecord = onRecord;
+    this.files = [];
+    this.recordCount = 0;
+    this.truncated = false;
+
+    this.schema = null;
+    this.schemaSource = null;
+    this.schemaError = null;
+    this.validate = null;
+    this.pending = [];
+    if (declaredSchema !== null) {
+      try {
+        this.schema = JSON.parse(declaredSchema);
+        this.validate = ajv.compile(this.schema);
+        this.schemaSource = "declared";
+      } catch (error) {
+        this.schema = null;
+        this.schemaError = error.message;
+      }
+    }
+
+    this.lengths = [];
+    this.emptyRecords = 0;
+    this.shortRecords = 0;
+    this.repetitive = [];
+
+    this.diversity = {
+      tokens: 0,
+      bigramCount: 0,
+      trigramCount: 0,
+      unigrams: new Set(),
+      bigrams: new Set(),
+      trigrams: new Set(),
+    };
+
+    this.toxicRecords = 0;
+    this.toxicTerms = {};
+    this.mentions = Object.fromEntries(
+      Object.entries(lexicon.dimensions).map(([dimension, groups]) => [
+        dimension,
+        Object.fromEntries(groups.map((group) => [group, 0])),
+      ])
+    );
+
+    this.signatures = [];
+    this.locations = [];
+    this.parent = [];
+    this.buckets = Array.from({ length: LSH_BANDS }, () => new Map());
+  }
+
+  /**
+   * Add a file's records; a file that is not UTF-8 text is unreadable
+   *
+   * @param {Buffer} buffer - File content
+   * @param {string} filePath - File path; its extension picks the format
+   * @param {string} [extension] - Extension of a path without one
+   */
+  addFile(buffer, filePath, extension = null) {
+    const text = decodeText(buffer);
+    if (text === null) {
+      return this.addUnreadable(filePath, "File is not valid UTF-8 text");
+    }
+    const { format, records } = parseRecords(text, filePath, extension);
+    const file = this.newFile(filePath, format);
+
+    for (const record of records) {
+      if (this.recordCount >= MAX_RECORDS) {
+        this.truncated = true;
+        break;
+      }
+      this.addRecord(record, file);
+    }
+    return file;
+  }
+
+  /**
+   * Record a file that could not be read
+   */
+  addUnreadable(filePath, error) {
+    const file = this.newFile(filePath, null);
+    file.error = error;
+    return file;
+  }
+
+  newFile(filePath, format) {
+    const file = {
+      path: filePath,
+      format,
+      records: 0,
+      parseErrors: 0,
+      firstParseError: null,
+      schemaViolations: 0,
+      violations: {},
+      error: null,
+    };
+    this.files.push(file);
+    return file;
+  }
+
+  addRecord(record, file) {
+    this.recordCount++;
+    file.records++;
+
+    if (record.error) {
+      file.parseErrors++;
+      file.firstParseError ??= `${record.location}: ${record.error}`;
+      return;
+    }
+    if (record.json) this.checkSchema(record.value, file);
+    if (this.onRecord) this.onRecord(record, file.path);
+
+    const tokens = tokenize(record.text);
+    this.lengths.push(tokens.length);
+    if (tokens.length === 0) {
+      this.emptyRecords++;
+      return;
+    }
+    if (tokens.length < MIN_RECORD_TOKENS) this.shortRecords++;
+    if (isRepetitive(tokens)) this.repetitive.push(record.location);
+
+    this.measureDiversity(tokens);
+    this.measureLexicon(tokens);
+    this.addSignature(minHash(tokens), record.location);
+  }
+
+  /**
+   * Validate a JSON record, holding records back until there are enough
+   * to infer a schema from
+   */
+  checkSchema(value, file) {
+    if (this.validate) {
+      this.validateRecord(value, file);
+      return;
+    }
+    this.pending.push({ value, file });
+    if (this.pending.length >= SCHEMA_SAMPLE_SIZE) this.inferPendingSchema();
+  }
+
+  inferPendingSchema() {
+    this.schema = inferSchema(this.pending.map(({ value }) => value));
+    this.schemaSource = "inferred";
+    this.validate = ajv.compile(this.schema);
+    for (const { value, file } of this.pending) this.validateRecord(value, file);
+    this.pending = [];
+  }
+
+  validateRecord(value, file) {
+    if (this.validate(value)) return;
+    file.schemaViolations++;
+    const [error] = this.validate.errors;
+    const key = `${error.instancePath || "/"} ${error.message}`;
+    file.violations[key] = (file.violations[key] || 0) + 1;
+  }
+
+  measureDiversity(tokens) {
+    const diversity = this.diversity;
+    const take = tokens.slice(0, MAX_DIVERSITY_TOKENS - diversity.tokens);
+    diversity.tokens += take.length;
+    take.forEach((token, i) => {
+      diversity.unigrams.add(token);
+      if (i >= 1) diversity.bigrams.add(`${take[i - 1]} ${token}`);
+      if (i >= 2) {
+        diversity.trigrams.add(`${take[i - 2]} ${take[i - 1]} ${token}`);
+      }
+    });
+    diversity.bigramCount += Math.max(0, take.length - 1);
+    diversity.trigramCount += Math.max(0, take.length - 2);
+  }
+
+  measureLexicon(tokens) {
+    let toxic = false;
+    for (const token of tokens) {
+      if (this.lexicon.toxic.has(token)) {
+        toxic = true;
+        this.toxicTerms[token] = (this.toxicTerms[token] || 0) + 1;
+      }
+      for (const [dimension, group] of this.lexicon.terms.get(token) || []) {
+        this.mentions[dimension][group]++;
+      }
+    }
+    if (toxic) this.toxicRecords++;
+  }
+
+  /**
+   * Index a signature by LSH band and join it to the group of a similar
+   * record sharing a band
+   */
+  addSignature(signature, location) {
+    const index = this.signatures.length;
+    this.signatures.push(signature);
+    this.locations.push(location);
+    this.parent.push(index);
+
+    const rows = MINHASH_SIZE / LSH_BANDS;
+    for (let band = 0; band < LSH_BANDS; band++) {
+      const key = hashString(
+        signature.subarray(band * rows, (band + 1) * rows).join(",")
+      );
+      const candidate = this.buckets[band].get(key);
+      if (candidate === undefined) {
+        this.buckets[band].set(key, index);
+      } else if (
+        similarity(signature, this.signatures[candidate]) >=
+        NEAR_DUPLICATE_SIMILARITY
+      ) {
+        this.parent[this.find(index)] = this.find(candidate);
+      }
+    }
+  }
+
+  find(i) {
+    while (this.parent[i] !== i) {
+      this.parent[i] = this.parent[this.parent[i]];
+      i = this.parent[i];
+    }
+    return i;
+  }
+
+  nearDuplicateGroups() {
+    const groups = new Map();
+    this.locations.forEach((location, i) => {
+      const root = this.find(i);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(location);
+    });
+    return [...groups.values()]
+      .filter((group) => group.length > 1)
+      .sort((a, b) => b.length - a.length);
+  }
+
+  /**
+   * Summarize the corpus: schema conformity, lengths, vocabulary,
+   * near-duplicate groups, lexicon matches and the findings about them
+   */
+  summarize() {
+    if (this.pending.length > 0) this.inferPendingSchema();
+
+    const groups = this.nearDuplicateGroups();
+    const duplicateRecords = groups.reduce(
+      (sum, group) => sum + group.length - 1,
+      0
+    );
+    const lengths = [...this.lengths].sort((a, b) => a - b);
+    const percentile = (p) =>
+      lengths.length > 0
+        ? lengths[Math.min(lengths.length - 1, Math.floor(lengths.length * p))]
+        : null;
+    const { tokens, bigramCount, trigramCount, unigrams, bigrams, trigrams } =
+      this.diversity;
+    const textRecords = this.signatures.length;
+
+    const dimensions = Object.fromEntries(
+      Object.entries(this.mentions).map(([dimension, counts]) => {
+        const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+        return [
+          dimension,
+          {
+            mentions: counts,
+            balance:
+              total >= MIN_GROUP_MENTIONS
+                ? normalizedEntropy(Object.values(counts))
+                : null,
+          },
+        ];
+      })
+    );
+    const balances = Object.values(dimensions)
+      .map(({ balance }) => balance)
+      .filter((balance) => balance !== null);
+
+    const summary = {
+      fileCount: this.files.length,
+      recordCount: this.recordCount,
+      truncated: this.truncated,
+      parseErrors: this.files.reduce((sum, file) => sum + file.parseErrors, 0),
+      schema: {
+        source: this.schemaSource,
+        declaredError: this.schemaError,
+        schema: this.schema,
+        violations: this.files.reduce(
+          (sum, file) => sum + file.schemaViolations,
+          0
+        ),
+      },
+      length: {
+        min: lengths.length > 0 ? lengths[0] : null,
+        median: percentile(0.5),
+        p95: percentile(0.95),
+        max: lengths.length > 0 ? lengths[lengths.length - 1] : null,
+        mean:
+          lengths.length > 0
+            ? lengths.reduce((sum, n) => sum + n, 0) / lengths.length
+            : null,
+      },
+      emptyRecords: this.emptyRecords,
+      shortRecords: this.shortRecords,
+      repetitiveRecords: this.repetitive.length,
+      vocabulary: {
+        sampledTokens: tokens,
+        types: unigrams.size,
+        typeTokenRatio: tokens > 0 ? unigrams.size / tokens : null,
+        distinct2: bigramCount > 0 ? bigrams.size / bigramCount : null,
+        distinct3: trigramCount > 0 ? trigrams.size / trigramCount : null,
+      },
+      textRecords,
+      nearDuplicates: {
+        groupCount: groups.length,
+        duplicateRecords,
+        largestGroups: groups
+          .slice(0, MAX_GROUP_FINDINGS)
+          .map((group) => ({ size: group.length, records: group.slice(0, 10) })),
+      },
+      bias: {
+        toxicRecords: this.toxicRecords,
+        toxicRecordShare: textRecords > 0 ? this.toxicRecords / textRecords : 0,
+        toxicTerms: Object.fromEntries(
+          Object.entries(this.toxicTerms)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 20)
+        ),
+        dimensions,
+        balance:
+          balances.length > 0
+            ? balances.reduce((sum, balance) => sum + balance, 0) /
+              balances.length
+            : 1,
+      },
+      files: this.files,
+    };
+
+    summary.findings = this.findings(summary, groups);
+    return summary;
+  }
+
+  findings(summary, groups) {
+    const findings = [];
+    const where = (locations) =>
+      locations.slice(0, 5).join(", ") +
+      (locations.length > 5 ? `, +${locations.length - 5} more` : "");
+
+    if (this.schemaError) {
+      findings.push({
+        severity: "high",
+        category: "formatCompliance",
+        description: `Declared schema is unusable: ${this.schemaError}`,
+        location: "schema",
+      });
+    }
+
+    for (const file of this.files) {
+      if (file.error) {
+        findings.push({
+          severity: "high",
+          category: "validity",
+          description: file.error,
+          location: file.path,
+        });
+      }
+      if (file.parseErrors > 0) {
+        findings.push({
+          severity: "high",
+          category: "validity",
+          description: `${file.parseErrors} of ${file.records} records are not valid JSON (${file.firstParseError})`,
+          location: file.path,
+        });
+      }
+      if (file.schemaViolations > 0) {
+        const [common] = Object.entries(file.violations).sort(
+          (a, b) => b[1] - a[1]
+        )[0];
+        findings.push({
+          severity: "medium",
+          category: "validity",
+          description: `${file.schemaViolations} of ${file.records} records do not match the ${this.schemaSource} schema (most often: ${common})`,
+          location: file.path,
+        });
+      }
+    }
+
+    for (const group of groups.slice(0, MAX_GROUP_FINDINGS)) {
+      findings.push({
+        severity: "high",
+        category: "nearDuplicates",
+        description: `${group.length} records are near-duplicates of each other`,
+        location: where(group),
+      });
+    }
+
+    if (summary.emptyRecords > 0) {
+      findings.push({
+        severity: "low",
+        category: "completeness",
+        description: `${summary.emptyRecords} records have no text`,
+        location: "dataset",
+      });
+    }
+
+    if (this.repetitive.length > 0) {
+      findings.push({
+        severity: "medium",
+        category: "syntheticQuality",
+        description: `${this.repetitive.length} records mostly repeat the same phrases`,
+        location: where(this.repetitive),
+      });
+    }
+
+    if (summary.bias.toxicRecords > 0) {
+      findings.push({
+        severity: "medium",
+        category: "biasScore",
+        description: `${summary.bias.toxicRecords} records (${(summary.bias.toxicRecordShare * 100).toFixed(1)}%) contain toxic terms: ${Object.keys(summary.bias.toxicTerms).slice(0, 5).join(", ")}`,
+        location: "dataset",
+      });
+    }
+
+    for (const [dimension, { mentions, balance }] of Object.entries(
+      summary.bias.dimensions
+    )) {
+      if (balance === null || balance >= SKEWED_BALANCE) continue;
+      const total = Object.values(mentions).reduce((sum, n) => sum + n, 0);
+      const shares = Object.entries(mentions)
+        .map(([group, count]) => `${group} ${Math.round((count / total) * 100)}%`)
+        .join(", ");
+      findings.push({
+        severity: "medium",
+        category: "biasScore",
+        description: `Mentions of ${dimension} groups are skewed: ${shares}`,
+        location: "dataset",
+      });
+    }
+
+    return findings;
+  }
+}
+
+/**
+ * Score a summary as 0-100 metrics: readable records matching the schema
+ * (validity), records outside near-duplicate groups (uniqueness), their
+ * mean with distinct bigrams (diversityScore), non-toxic records scaled by
+ * the balance of group mentions (biasScore) and non-empty records free of
+ * repetition (syntheticQuality)
+ */
+const scoreText = (summary) => {
+  if (summary.recordCount === 0) {
+    return {
+      validity: 0,
+      uniqueness: 0,
+      diversityScore: 0,
+      biasScore: 0,
+      syntheticQuality: 0,
+    };
+  }
+
+  const unreadable = summary.files.filter((file) => file.error).length;
+  const invalid = summary.parseErrors + summary.schema.violations + unreadable;
+  const text = summary.textRecords;
+  const unique =
+    text > 0 ? 1 - summary.nearDuplicates.duplicateRecords / text : 0;
+  const readable = text + summary.emptyRecords;
+
+  return {
+    validity: toScore(1 - invalid / (summary.recordCount + unreadable)),
+    uniqueness: toScore(unique),
+    diversityScore: toScore((unique + (summary.vocabulary.distinct2 ?? 0)) / 2),
+    biasScore: toScore(
+      (1 - summary.bias.toxicRecordShare) * summary.bias.balance
+    ),
+    syntheticQuality:
+      readable > 0
+        ? toScore(
+            1 - (summary.emptyRecords + summary.repetitiveRecords) / readable
+          )
+        : 0,
+  };
+};
+
+module.exports = {
+  loadLexicon,
+  inferSchema,
+  TextCorpus,
+  scoreText,
+};
@@ -0,0 +1,703 @@
+const { histogram, mostCommon, toScore } = require("./helpers");
+
+/**
+ * Video Analyzer
+ * Inspects MP4/MOV (ISO BMFF boxes) and WebM/MKV (EBML) containers without
+ * decoding frames: duration, resolution, frame rate and codecs, truncated
+ * or corrupt containers, and their consistency across the dataset.
+ * Files are read by range, so media data is skipped rather than downloaded.
+ */
+
+// Files shorter than this are too short to be useful samples
+const MIN_DURATION_SECONDS = 1;
+// Files this many times shorter or longer than the median are outliers
+const DURATION_OUTLIER_FACTOR = 4;
+// Largest metadata box or element read into memory
+const MAX_METADATA_BYTES = 64 * 1024 * 1024;
+// Top-level boxes or segment children walked before giving up
+const MAX_ELEMENTS = 10000;
+
+// Container family each extension should contain
+const EXTENSION_FAMILIES = {
+  mp4: "isobmff",
+  m4v: "isobmff",
+  mov: "isobmff",
+  mkv: "ebml",
+  webm: "ebml",
+};
+
+const EBML_MAGIC = 0x1a45dfa3;
+const EBML_IDS = {
+  DOC_TYPE: 0x4282,
+  SEGMENT: 0x18538067,
+  INFO: 0x1549a966,
+  TIMECODE_SCALE: 0x2ad7b1,
+  DURATION: 0x4489,
+  TRACKS: 0x1654ae6b,
+  TRACK_ENTRY: 0xae,
+  TRACK_TYPE: 0x83,
+  CODEC_ID: 0x86,
+  DEFAULT_DURATION: 0x23e383,
+  VIDEO: 0xe0,
+  PIXEL_WIDTH: 0xb0,
+  PIXEL_HEIGHT: 0xba,
+  CLUSTER: 0x1f43b675,
+};
+const EBML_TRACK_TYPES = { 1: "video", 2: "audio", 17: "subtitle" };
+
+// Boxes that may start a QuickTime file without an ftyp box
+const QUICKTIME_BOXES = ["moov", "mdat", "free", "skip", "wide", "pnot"];
+
+/**
+ * Detect a container family from the leading bytes of a file
+ */
+const detectVideoContainer = (buffer) => {
+  if (buffer.length >= 4 && buffer.readUInt32BE(0) === EBML_MAGIC) {
+    return "ebml";
+  }
+  const type = buffer.subarray(4, 8).toString("latin1");
+  if (type === "ftyp" || QUICKTIME_BOXES.includes(type)) return "isobmff";
+  return null;
+};
+
+const round = (value, digits = 2) =>
+  value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Read a box header at an offset of a buffer; `extent` is the size of a
+ * box declared to run to the end of its parent
+ */
+const boxHeader = (buffer, offset, end, extent = end - offset) => {
+  if (offset + 8 > end) return null;
+  let size = buffer.readUInt32BE(offset);
+  const type = buffer.toString("latin1", offset + 4, offset + 8);
+  let header = 8;
+  if (size === 1) {
+    if (offset + 16 > end) return null;
+    size = Number(buffer.readBigUInt64BE(offset + 8));
+    header = 16;
+  } else if (size === 0) {
+    // Extends to the end of its parent
+    size = extent;
+  }
+  if (size < header || !/^[\x20-\x7e]{4}$/.test(type)) {
+    throw new Error(`Invalid box header at offset ${offset}`);
+  }
+  return { type, header, size };
+};
+
+/**
+ * Child boxes of a box held in memory
+ */
+const childBoxes = (buffer, start, end) => {
+  const boxes = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    const { type, header, size } = boxHeader(buffer, offset, end);
+    if (offset + size > end) {
+      throw new Error(`Box ${type} overruns its parent`);
+    }
+    boxes.push({ type, start: offset + header, end: offset + size });
+    offset += size;
+  }
+  return boxes;
+};
+
+/**
+ * First box along a path of child types, e.g. "mdia", "minf", "stbl"
+ */
+const findBox = (buffer, box, ...types) => {
+  let current = box;
+  for (const type of types) {
+    current = childBoxes(buffer, current.start, current.end).find(
+      (child) => child.type === type
+    );
+    if (!current) return null;
+  }
+  return current;
+};
+
+/**
+ * Timescale and duration of a full box laid out like mvhd and mdhd
+ */
+const readTimedHeader = (buffer, box) => {
+  const s = box.start;
+  return buffer[s] === 1
+    ? {
+        timescale: buffer.readUInt32BE(s + 20),
+        duration: Number(buffer.readBigUInt64BE(s + 24)),
+      }
+    : {
+        timescale: buffer.readUInt32BE(s + 12),
+        duration: buffer.readUInt32BE(s + 16),
+      };
+};
+
+/**
+ * Handler, codec, dimensions and frame rate of a trak box
+ */
+const parseTrack = (buffer, trak) => {
+  const track = { type: null, codec: null, width: null, height: null };
+
+  const hdlr = findBox(buffer, trak, "mdia", "hdlr");
+  if (hdlr) {
+    const handler = buffer.toString("latin1", hdlr.start + 8, hdlr.start + 12);
+    track.type =
+      { vide: "video", soun: "audio", text: "subtitle", sbtl: "subtitle" }[
+        handler
+      ] || handler;
+  }
+
+  const stsd = findBox(buffer, trak, "mdia", "minf", "stbl", "stsd");
+  if (stsd) {
+    const [entry] = childBoxes(buffer, stsd.start + 8, stsd.end);
+    if (entry) {
+      track.codec = entry.type.trim();
+      if (track.type === "video" && entry.start + 28 <= entry.end) {
+        track.width = buffer.readUInt16BE(entry.start + 24);
+        track.height = buffer.readUInt16BE(entry.start + 26);
+      }
+    }
+  }
+
+  if (track.type === "video" && !track.width) {
+    // Display size from the track header, as 16.16 fixed point
+    const tkhd = findBox(buffer, trak, "tkhd");
+    if (tkhd && tkhd.end - tkhd.start >= 8) {
+      track.width = Math.round(buffer.readUInt32BE(tkhd.end - 8) / 65536);
+      track.height = Math.round(buffer.readUInt32BE(tkhd.end - 4) / 65536);
+    }
+  }
+
+  const mdhd = findBox(buffer, trak, "mdia", "mdhd");
+  const stts = findBox(buffer, trak, "mdia", "minf", "stbl", "stts");
+  if (track.type === "video" && mdhd && stts) {
+    const { timescale } = readTimedHeader(buffer, mdhd);
+    const entries = buffer.readUInt32BE(stts.start + 4);
+    let samples = 0;
+    let ticks = 0;
+    for (let i = 0; i < entries; i++) {
+      const offset = stts.start + 8 + i * 8;
+      if (offset + 8 > stts.end) break;
+      const count = buffer.readUInt32BE(offset);
+      samples += count;
+      ticks += count * buffer.readUInt32BE(offset + 4);
+    }
+    track.frameCount = samples;
+    track.frameRate = ticks > 0 ? (samples * timescale) / ticks : null;
+  }
+
+  return track;
+};
+
+/**
+ * Walk the top-level boxes of an MP4/MOV file and parse its moov box
+ */
+const analyzeISOBMFF = async (source) => {
+  const result = {
+    container: "mp4",
+    brand: null,
+    duration: null,
+    fragmented: false,
+    truncated: false,
+    tracks: [],
+  };
+
+  let moov = null;
+  let offset = 0;
+  let count = 0;
+  while (offset < source.size) {
+    if (++count > MAX_ELEMENTS) break;
+
+    const head = await source.read(offset, 16);
+    const box = boxHeader(head, 0, head.length, source.size - offset);
+    if (!box) {
+      result.truncated = true;
+      break;
+    }
+
+    if (box.type === "ftyp") {
+      const ftyp = await source.read(offset + box.header, 4);
+      result.brand = ftyp.toString("latin1").trim();
+      if (result.brand === "qt") result.container = "mov";
+    } else if (box.type === "moov") {
+      if (box.size > MAX_METADATA_BYTES) {
+        throw new Error("moov box is too large to inspect");
+      }
+      moov = { offset, box };
+    } else if (box.type === "moof") {
+      result.fragmented = true;
+    }
+
+    if (offset + box.size > source.size) {
+      result.truncated = true;
+      break;
+    }
+    offset += box.size;
+  }
+
+  // QuickTime files may predate ftyp
+  if (!result.brand) result.container = "mov";
+  if (!moov) {
+    throw new Error(
+      result.truncated ? "File ends before its moov box" : "No moov box"
+    );
+  }
+
+  const buffer = await source.read(moov.offset, moov.box.size);
+  if (buffer.length < moov.box.size) {
+    throw new Error("File ends inside its moov box");
+  }
+  const root = { start: moov.box.header, end: buffer.length };
+
+  const mvhd = findBox(buffer, root, "mvhd");
+  if (mvhd) {
+    const { timescale, duration } = readTimedHeader(buffer, mvhd);
+    let ticks = duration;
+    // Fragmented files may only declare their duration in mehd
+    const mehd = findBox(buffer, root, "mvex", "mehd");
+    if (!ticks && mehd) {
+      ticks =
+        buffer[mehd.start] === 1
+          ? Number(buffer.readBigUInt64BE(mehd.start + 4))
+          : buffer.readUInt32BE(mehd.start + 4);
+    }
+    result.duration = timescale > 0 && ticks > 0 ? ticks / timescale : null;
+  }
+
+  result.tracks = childBoxes(buffer, root.start, root.end)
+    .filter((box) => box.type === "trak")
+    .map((trak) => parseTrack(buffer, trak));
+  return result;
+};
+
+/**
+ * Read an EBML variable-length integer; the marker bit is kept for ids
+ */
+const readVint = (buffer, offset, isId = false) => {
+  const first = buffer[offset];
+  if (first === undefined) return null;
+  if (first === 0) throw new Error(`Invalid EBML data at offset ${offset}`);
+  const length = Math.clz32(first) - 23;
+  if (offset + length > buffer.length) return null;
+
+  let value = isId ? first : first & (0xff >> length);
+  let allOnes = value === 0xff >> length;
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buffer[offset + i];
+    allOnes = allOnes && buffer[offset + i] === 0xff;
+  }
+  return { value, length, unknownSize: !isId && allOnes };
+};
+
+/**
+ * Read an EBML element header: its id, and the offset and size of its data
+ */
+const ebmlHeader = (buffer, offset) => {
+  const id = readVint(buffer, offset, true);
+  if (!id) return null;
+  const size = readVint(buffer, offset + id.length);
+  if (!size) return null;
+  return {
+    id: id.value,
+    dataOffset: offset + id.length + size.length,
+    size: size.unknownSize ? null : size.value,
+  };
+};
+
+/**
+ * Child elements of an element held in memory
+ */
+const ebmlChildren = (buffer, start, end) => {
+  const children = [];
+  let offset = start;
+  while (offset < end) {
+    const element = ebmlHeader(buffer, offset);
+    if (!element) break;
+    const elementEnd =
+      element.size === null
+        ? end
+        : Math.min(end, element.dataOffset + element.size);
+    children.push({ id: element.id, start: element.dataOffset, end: elementEnd });
+    offset = elementEnd;
+  }
+  return children;
+};
+
+const readEBMLUint = (buffer, { start, end }) => {
+  let value = 0;
+  for (let i = start; i < end; i++) value = value * 256 + buffer[i];
+  return value;
+};
+
+const readEBMLFloat = (buffer, { start, end }) => {
+  if (end - start === 4) return buffer.readFloatBE(start);
+  if (end - start === 8) return buffer.readDoubleBE(start);
+  return null;
+};
+
+const parseEBMLInfo = (buffer, result) => {
+  let timecodeScale = 1000000;
+  let duration = null;
+  for (const child of ebmlChildren(buffer, 0, buffer.length)) {
+    if (child.id === EBML_IDS.TIMECODE_SCALE) {
+      timecodeScale = readEBMLUint(buffer, child);
+    } else if (child.id === EBML_IDS.DURATION) {
+      duration = readEBMLFloat(buffer, child);
+    }
+  }
+  result.duration =
+    duration !== null ? (duration * timecodeScale) / 1e9 : null;
+};
+
+const parseEBMLTracks = (buffer, result) => {
+  for (const entry of ebmlChildren(buffer, 0, buffer.length)) {
+    if (entry.id !== EBML_IDS.TRACK_ENTRY) continue;
+    const track = { type: null, codec: null, width: null, height: null };
+
+    for (const child of ebmlChildren(buffer, entry.start, entry.end)) {
+      if (child.id === EBML_IDS.TRACK_TYPE) {
+        const type = readEBMLUint(buffer, child);
+        track.type = EBML_TRACK_TYPES[type] || String(type);
+      } else if (child.id === EBML_IDS.CODEC_ID) {
+        track.codec = buffer.toString("latin1", child.start, child.end);
+      } else if (child.id === EBML_IDS.DEFAULT_DURATION) {
+        // Nanoseconds per frame
+        const frameDuration = readEBMLUint(buffer, child);
+        track.frameRate = frameDuration > 0 ? 1e9 / frameDuration : null;
+      } else if (child.id === EBML_IDS.VIDEO) {
+        for (const video of ebmlChildren(buffer, child.start, child.end)) {
+          if (video.id === EBML_IDS.PIXEL_WIDTH) {
+            track.width = readEBMLUint(buffer, video);
+          } else if (video.id === EBML_IDS.PIXEL_HEIGHT) {
+            track.height = readEBMLUint(buffer, video);
+          }
+        }
+      }
+    }
+    result.tracks.push(track);
+  }
+};
+
+/**
+ * Parse the EBML header and walk the segment of a WebM/MKV file up to its
+ * first cluster, reading its Info and Tracks elements
+ */
+const analyzeEBML = async (source) => {
+  const result = {
+    container: "matroska",
+    brand: null,
+    duration: null,
+    truncated: false,
+    tracks: [],
+  };
+
+  const readElement = async (offset) => {
+    const header = ebmlHeader(await source.read(offset, 12), 0);
+    if (!header) return null;
+    return {
+      id: header.id,
+      dataOffset: offset + header.dataOffset,
+      size: header.size,
+    };
+  };
+  const readData = async (element) => {
+    if (element.size > MAX_METADATA_BYTES) {
+      throw new Error("EBML element is too large to inspect");
+    }
+    const data = await source.read(element.dataOffset, element.size);
+    if (data.length < element.size) result.truncated = true;
+    return data;
+  };
+
+  const ebml = await readElement(0);
+  if (!ebml || ebml.size === null) throw new Error("Invalid EBML header");
+  const header = await readData(ebml);
+  const docType = ebmlChildren(header, 0, header.length).find(
+    (child) => child.id === EBML_IDS.DOC_TYPE
+  );
+  result.brand = docType
+    ? header.toString("latin1", docType.start, docType.end)
+    : null;
+  if (result.brand === "webm") result.container = "webm";
+
+  const segment = await readElement(ebml.dataOffset + ebml.size);
+  if (!segment) throw new Error("File ends before its segment");
+  if (segment.id !== EBML_IDS.SEGMENT) throw new Error("No EBML segment");
+
+  const segmentEnd =
+    segment.size === null ? source.size : segment.dataOffset + segment.size;
+  if (segmentEnd > source.size) result.truncated = true;
+
+  let offset = segment.dataOffset;
+  let count = 0;
+  let info = false;
+  let tracks = false;
+  while (offset < Math.min(segmentEnd, source.size)) {
+    if (++count > MAX_ELEMENTS) break;
+    const element = await readElement(offset);
+    if (!element) {
+      result.truncated = true;
+      break;
+    }
+
+    if (element.id === EBML_IDS.INFO) {
+      parseEBMLInfo(await readData(element), result);
+      info = true;
+    } else if (element.id === EBML_IDS.TRACKS) {
+      parseEBMLTracks(await readData(element), result);
+      tracks = true;
+    }
+
+    // Media follows the metadata; clusters of unknown size cannot be skipped
+    if (
+      element.id === EBML_IDS.CLUSTER &&
+      ((info && tracks) || element.size === null)
+    ) {
+      break;
+    }
+    if (element.size === null) break;
+    if (element.dataOffset + element.size > source.size) {
+      result.truncated = true;
+      break;
+    }
+    offset = element.dataOffset + element.size;
+  }
+
+  if (!tracks) throw new Error("No Tracks element before the media data");
+  return result;
+};
+
+/**
+ * Analyze one video file
+ *
+ * @param {Object} source - { size, read(offset, length) } where read
+ * resolves to the Buffer at that range, shorter at the end of the file
+ * @param {string} path - File path; its extension is the declared container
+ * @returns {Promise<Object>} Container, duration, resolution, frame rate and
+ * codecs, with the problems found, or the error that made it unreadable
+ */
+const analyzeVideo = async (source, path) => {
+  const extension = path.includes(".")
+    ? path.split(".").pop().toLowerCase()
+    : null;
+  const declaredFamily = EXTENSION_FAMILIES[extension] || null;
+  const head = await source.read(0, 16);
+  const family = detectVideoContainer(head);
+
+  const result = {
+    path,
+    size: source.size,
+    container: null,
+    typeMismatch: Boolean(declaredFamily && family && declaredFamily !== family),
+    problems: [],
+    error: null,
+  };
+
+  if (!family) {
+    // Containers other than MP4/MOV and WebM/MKV are not inspected
+    result.unsupported = !declaredFamily;
+    result.error = result.unsupported
+      ? "Unsupported video container"
+      : "Not a recognized video container";
+    return result;
+  }
+
+  try {
+    Object.assign(
+      result,
+      family === "ebml"
+        ? await analyzeEBML(source)
+        : await analyzeISOBMFF(source)
+    );
+  } catch (error) {
+    result.error = `Unreadable video file: ${error.message}`;
+    return result;
+  }
+
+  const video = result.tracks.find((track) => track.type === "video");
+  const audio = result.tracks.find((track) => track.type === "audio");
+  result.videoCodec = video?.codec ?? null;
+  result.audioCodec = audio?.codec ?? null;
+  result.width = video?.width ?? null;
+  result.height = video?.height ?? null;
+  result.frameRate = round(video?.frameRate ?? null);
+
+  if (result.truncated) result.problems.push("truncated");
+  if (!video) result.problems.push("noVideoTrack");
+  if (result.duration === null || result.duration <= 0) {
+    result.problems.push("unknownDuration");
+  } else if (result.duration < MIN_DURATION_SECONDS) {
+    result.problems.push("tooShort");
+  }
+  return result;
+};
+
+const PROBLEM_FINDINGS = {
+  truncated: ["high", "validity", "File ends before the end of its container"],
+  noVideoTrack: ["high", "validity", "Container has no video track"],
+  unknownDuration: ["medium", "validity", "Container does not declare a duration"],
+  tooShort: [
+    "medium",
+    "completeness",
+    `Video is shorter than ${MIN_DURATION_SECONDS}s`,
+  ],
+};
+
+/**
+ * Summarize analyzed files: containers, codecs, resolution, frame rate and
+ * duration consistency, and per-file findings
+ *
+ * @param {Array<Object>} files - analyzeVideo results
+ * @param {number} claimedSamples - The submission's sampleCount
+ */
+const summarizeVideos = (files, claimedSamples) => {
+  const parsed = files.filter((file) => !file.error);
+  const withVideo = parsed.filter((file) => file.width && file.height);
+  const resolutionKey = (file) => `${file.width}x${file.height}`;
+  const resolutions = histogram(withVideo.map(resolutionKey));
+  const frameRates = histogram(
+    withVideo.filter((file) => file.frameRate).map((file) => file.frameRate)
+  );
+  const dominantResolution = mostCommon(resolutions);
+  const dominantFrameRate = mostCommon(frameRates);
+
+  const durations = parsed
+    .map((file) => file.duration)
+    .filter((duration) => duration > 0)
+    .sort((a, b) => a - b);
+  const totalSeconds = durations.reduce((sum, duration) => sum + duration, 0);
+  const median =
+    durations.length > 0 ? durations[Math.floor(durations.length / 2)] : 0;
+
+  const consistent = (file) =>
+    resolutionKey(file) === dominantResolution &&
+    (!file.frameRate || String(file.frameRate) === dominantFrameRate);
+
+  const findings = [];
+  for (const file of files) {
+    if (file.typeMismatch) {
+      findings.push({
+        severity: "medium",
+        category: "formatCompliance",
+        description: `Extension does not match its ${file.container || "content"} container`,
+        location: file.path,
+      });
+    }
+    if (file.error) {
+      findings.push({
+        severity: file.unsupported ? "low" : "high",
+        category: "validity",
+        description: file.error,
+        location: file.path,
+      });
+      continue;
+    }
+    for (const problem of file.problems) {
+      const [severity, category, description] = PROBLEM_FINDINGS[problem];
+      findings.push({ severity, category, description, location: file.path });
+    }
+    if (file.width && resolutionKey(file) !== dominantResolution) {
+      findings.push({
+        severity: "medium",
+        category: "consistency",
+        description: `Resolution ${resolutionKey(file)} differs from the dataset's dominant ${dominantResolution}`,
+        location: file.path,
+      });
+    }
+    if (file.frameRate && String(file.frameRate) !== dominantFrameRate) {
+      findings.push({
+        severity: "medium",
+        category: "consistency",
+        description: `Frame rate ${file.frameRate} differs from the dataset's dominant ${dominantFrameRate}`,
+        location: file.path,
+      });
+    }
+    if (
+      median > 0 &&
+      file.duration > 0 &&
+      (file.duration > median * DURATION_OUTLIER_FACTOR ||
+        file.duration < median / DURATION_OUTLIER_FACTOR)
+    ) {
+      findings.push({
+        severity: "low",
+        category: "consistency",
+        description: `Duration ${file.duration.toFixed(1)}s is far from the median ${median.toFixed(1)}s`,
+        location: file.path,
+      });
+    }
+  }
+
+  if (claimedSamples && parsed.length !== claimedSamples) {
+    findings.push({
+      severity: "high",
+      category: "completeness",
+      description: `${claimedSamples} samples claimed but ${parsed.length} readable video files found`,
+      location: "dataset",
+    });
+  }
+
+  return {
+    fileCount: files.length,
+    parsedCount: parsed.length,
+    cleanCount: parsed.filter((file) => file.problems.length === 0).length,
+    containers: histogram(parsed.map((file) => file.container)),
+    videoCodecs: histogram(
+      parsed.filter((file) => file.videoCodec).map((file) => file.videoCodec)
+    ),
+    audioCodecs: histogram(
+      parsed.filter((file) => file.audioCodec).map((file) => file.audioCodec)
+    ),
+    resolutions,
+    dominantResolution,
+    frameRates,
+    dominantFrameRate: dominantFrameRate && Number(dominantFrameRate),
+    consistentCount: withVideo.filter(consistent).length,
+    duration: {
+      totalSeconds,
+      totalHours: totalSeconds / 3600,
+      min: durations.length > 0 ? durations[0] : null,
+      median: durations.length > 0 ? median : null,
+      max: durations.length > 0 ? durations[durations.length - 1] : null,
+    },
+    claimedSamples,
+    problems: histogram(parsed.flatMap((file) => file.problems)),
+    findings,
+  };
+};
+
+/**
+ * Score a summary as 0-100 metrics: readable containers (validity), files
+ * in the dominant resolution and frame rate (consistency), readable files
+ * against the claimed sample count (completeness) and files free of
+ * problems (syntheticQuality)
+ */
+const scoreVideos = (summary) => {
+  if (summary.fileCount === 0) {
+    return {
+      validity: 0,
+      consistency: 0,
+      completeness: 0,
+      syntheticQuality: 0,
+    };
+  }
+
+  const parsed = summary.parsedCount;
+  const claimed = summary.claimedSamples || summary.fileCount;
+
+  return {
+    validity: toScore(parsed / summary.fileCount),
+    consistency: parsed > 0 ? toScore(summary.consistentCount / parsed) : 0,
+    completeness: toScore(
+      Math.min(parsed, claimed) / Math.max(parsed, claimed)
+    ),
+    syntheticQuality: parsed > 0 ? toScore(summary.cleanCount / parsed) : 0,
+  };
+};
+
+module.exports = {
+  detectVideoContainer,
+  analyzeVideo,
+  summarizeVideos,
+  scoreVideos,
+};
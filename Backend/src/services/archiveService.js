@@ -0,0 +1,478 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { Readable, pipeline } = require("stream");
+const ipfsService = require("./ipfsService");
+const { config } = require("../config");
+const { FILE_SIZE_LIMITS } = require("../utils");
+
+/**
+ * Archive Service
+ * Lists and reads the files inside zip and tar(.gz) dataset archives on
+ * IPFS. Zip entries are read by range through the central directory; tar
+ * archives have no index, so they are extracted once to a temporary
+ * directory that `close` removes.
+ */
+
+// Entries listed per archive
+const MAX_ENTRIES = 10000;
+// Largest zip central directory read into memory
+const MAX_CENTRAL_DIRECTORY_BYTES = 64 * 1024 * 1024;
+// Longest zip comment, which sits after the end of central directory record
+const MAX_ZIP_COMMENT = 65535;
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END = 0x06054b50;
+const ZIP64_END = 0x06064b50;
+const ZIP64_LOCATOR = 0x07064b50;
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+
+const TAR_BLOCK = 512;
+
+/**
+ * Parse a tar number field: octal text, or base-256 when the high bit is set
+ */
+const tarNumber = (field) => {
+  if (field[0] & 0x80) {
+    let value = field[0] & 0x7f;
+    for (let i = 1; i < field.length; i++) value = value * 256 + field[i];
+    return value;
+  }
+  const text = field.toString("latin1").replace(/\0.*$/s, "").trim();
+  return text ? parseInt(text, 8) : 0;
+};
+
+const tarString = (field) => field.toString("utf8").replace(/\0.*$/s, "");
+
+/**
+ * Whether a tar header's checksum matches its bytes
+ */
+const validTarChecksum = (header) => {
+  let sum = 0;
+  for (let i = 0; i < TAR_BLOCK; i++) {
+    sum += i >= 148 && i < 156 ? 0x20 : header[i];
+  }
+  return sum === tarNumber(header.subarray(148, 156));
+};
+
+/**
+ * Parse pax extended header records ("<length> <key>=<value>\n")
+ */
+const parsePax = (buffer) => {
+  const records = {};
+  let offset = 0;
+  while (offset < buffer.length) {
+    const space = buffer.indexOf(0x20, offset);
+    if (space === -1) break;
+    const length = parseInt(buffer.toString("latin1", offset, space), 10);
+    if (!length) break;
+    const record = buffer.toString("utf8", space + 1, offset + length - 1);
+    const equals = record.indexOf("=");
+    if (equals !== -1) {
+      records[record.slice(0, equals)] = record.slice(equals + 1);
+    }
+    offset += length;
+  }
+  return records;
+};
+
+class ArchiveService {
+  /**
+   * Archive type of a file from its leading bytes
+   *
+   * @returns {string|null} "zip", "tar", "tar.gz" or null
+   */
+  detectArchive(head) {
+    if (head.length >= 4) {
+      const signature = head.readUInt32LE(0);
+      if (signature === ZIP_LOCAL_HEADER || signature === ZIP_END) {
+        return "zip";
+      }
+    }
+    if (head[0] === 0x1f && head[1] === 0x8b) return "tar.gz";
+    if (head.toString("latin1", 257, 262) === "ustar") return "tar";
+    return null;
+  }
+
+  /**
+   * List the files of an archive
+   *
+   * @param {Object} file - Dataset file { path, cid, size }
+   * @param {string} type - detectArchive result
+   * @returns {Promise<Object>} { path, type, entries, truncated, error } where
+   * each entry is a file { path, size, archive } readable with getEntryStream
+   */
+  async open(file, type) {
+    const archive = {
+      path: file.path,
+      type,
+      entries: [],
+      truncated: false,
+      error: null,
+      tempDir: null,
+    };
+    if (type === "zip") {
+      await this.listZip(file, archive);
+    } else {
+      await this.extractTar(file, archive, type === "tar.gz");
+    }
+    return archive;
+  }
+
+  /**
+   * Remove the files extracted from an archive
+   */
+  async close(archive) {
+    if (archive.tempDir) {
+      await fs.promises.rm(archive.tempDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Read a zip's central directory into archive entries
+   */
+  async listZip(file, archive) {
+    const tailLength = Math.min(file.size, MAX_ZIP_COMMENT + 22);
+    const tail = await ipfsService.getContentBuffer(file.cid, {
+      offset: file.size - tailLength,
+      length: tailLength,
+    });
+
+    let end = -1;
+    for (let i = tail.length - 22; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === ZIP_END) {
+        end = i;
+        break;
+      }
+    }
+    if (end === -1) {
+      throw new Error("No zip central directory; the archive may be truncated");
+    }
+
+    let count = tail.readUInt16LE(end + 10);
+    let directorySize = tail.readUInt32LE(end + 12);
+    let directoryOffset = tail.readUInt32LE(end + 16);
+    if (
+      count === 0xffff ||
+      directorySize === 0xffffffff ||
+      directoryOffset === 0xffffffff
+    ) {
+      const locator = end - 20;
+      if (locator < 0 || tail.readUInt32LE(locator) !== ZIP64_LOCATOR) {
+        throw new Error("Missing zip64 end of central directory");
+      }
+      const zip64 = await ipfsService.getContentBuffer(file.cid, {
+        offset: Number(tail.readBigUInt64LE(locator + 8)),
+        length: 56,
+      });
+      if (zip64.length < 56 || zip64.readUInt32LE(0) !== ZIP64_END) {
+        throw new Error("Corrupt zip64 end of central directory");
+      }
+      count = Number(zip64.readBigUInt64LE(32));
+      directorySize = Number(zip64.readBigUInt64LE(40));
+      directoryOffset = Number(zip64.readBigUInt64LE(48));
+    }
+
+    if (directoryOffset + directorySize > file.size) {
+      throw new Error("Zip central directory lies outside the archive");
+    }
+    if (directorySize > MAX_CENTRAL_DIRECTORY_BYTES) {
+      throw new Error("Zip central directory is too large to read");
+    }
+
+    const directory = await ipfsService.getContentBuffer(file.cid, {
+      offset: directoryOffset,
+      length: directorySize,
+    });
+
+    let offset = 0;
+    for (let i = 0; i < count && offset + 46 <= directory.length; i++) {
+      if (directory.readUInt32LE(offset) !== ZIP_CENTRAL_HEADER) {
+        throw new Error("Corrupt zip central directory");
+      }
+      const flags = directory.readUInt16LE(offset + 8);
+      const method = directory.readUInt16LE(offset + 10);
+      const nameLength = directory.readUInt16LE(offset + 28);
+      const extraLength = directory.readUInt16LE(offset + 30);
+      const commentLength = directory.readUInt16LE(offset + 32);
+      const nameStart = offset + 46;
+      const name = directory.toString(
+        flags & 0x800 ? "utf8" : "latin1",
+        nameStart,
+        nameStart + nameLength
+      );
+
+      const sizes = {
+        size: directory.readUInt32LE(offset + 24),
+        compressedSize: directory.readUInt32LE(offset + 20),
+        localHeaderOffset: directory.readUInt32LE(offset + 42),
+      };
+      this.readZip64Extra(
+        directory.subarray(
+          nameStart + nameLength,
+          nameStart + nameLength + extraLength
+        ),
+        sizes
+      );
+      offset = nameStart + nameLength + extraLength + commentLength;
+
+      if (name.endsWith("/")) continue;
+      if (archive.entries.length >= MAX_ENTRIES) {
+        archive.truncated = true;
+        break;
+      }
+
+      let error = null;
+      if (flags & 0x1) {
+        error = "Entry is encrypted";
+      } else if (method !== ZIP_STORED && method !== ZIP_DEFLATED) {
+        error = `Unsupported zip compression method ${method}`;
+      } else if (
+        sizes.localHeaderOffset + sizes.compressedSize >
+        directoryOffset
+      ) {
+        error = "Entry data overruns the archive";
+      }
+
+      archive.entries.push({
+        path: `${file.path}/${name}`,
+        size: sizes.size,
+        archive: file.path,
+        cid: file.cid,
+        method,
+        compressedSize: sizes.compressedSize,
+        localHeaderOffset: sizes.localHeaderOffset,
+        dataOffset: null,
+        error,
+      });
+    }
+  }
+
+  /**
+   * Replace 32-bit sizes and offsets marked 0xFFFFFFFF with their zip64
+   * values from an entry's extra field
+   */
+  readZip64Extra(extra, sizes) {
+    let offset = 0;
+    while (offset + 4 <= extra.length) {
+      const id = extra.readUInt16LE(offset);
+      const length = extra.readUInt16LE(offset + 2);
+      if (id === 0x0001) {
+        let field = offset + 4;
+        for (const key of ["size", "compressedSize", "localHeaderOffset"]) {
+          if (sizes[key] !== 0xffffffff) continue;
+          if (field + 8 > offset + 4 + length) break;
+          sizes[key] = Number(extra.readBigUInt64LE(field));
+          field += 8;
+        }
+        return;
+      }
+      offset += 4 + length;
+    }
+  }
+
+  /**
+   * Stream a tar archive once, writing each file to a temporary directory
+   */
+  async extractTar(file, archive, gzipped) {
+    await fs.promises.mkdir(config.upload.tempDir, { recursive: true });
+    archive.tempDir = await fs.promises.mkdtemp(
+      path.join(config.upload.tempDir, "archive-")
+    );
+
+    const source = Readable.from(ipfsService.getContentStream(file.cid));
+    const stream = gzipped
+      ? pipeline(source, zlib.createGunzip(), () => {})
+      : source;
+
+    let pending = Buffer.alloc(0);
+    let current = null;
+    let padding = 0;
+    let extracted = 0;
+    let ended = false;
+    // Name and size overrides from GNU long name and pax headers
+    let next = {};
+
+    const finishEntry = async () => {
+      if (current.handle) {
+        await current.handle.close();
+        archive.entries.push(current.entry);
+      } else if (current.type === "L") {
+        next.path = tarString(Buffer.concat(current.data));
+      } else if (current.type === "x") {
+        const pax = parsePax(Buffer.concat(current.data));
+        if (pax.path) next.path = pax.path;
+        if (pax.size) next.size = Number(pax.size);
+      }
+      padding = (TAR_BLOCK - (current.size % TAR_BLOCK)) % TAR_BLOCK;
+      current = null;
+    };
+
+    const startEntry = async (header) => {
+      const type = String.fromCharCode(header[156] || 0x30);
+      const name = tarString(header.subarray(0, 100));
+      const prefix =
+        header.toString("latin1", 257, 262) === "ustar"
+          ? tarString(header.subarray(345, 500))
+          : "";
+      const headerSize = tarNumber(header.subarray(124, 136));
+      if (type === "L" || type === "x") {
+        current = { type, size: headerSize, remaining: headerSize, data: [] };
+        return true;
+      }
+
+      const size = next.size ?? headerSize;
+      const entryPath = next.path ?? (prefix ? `${prefix}/${name}` : name);
+      next = {};
+
+      current = { type, size, remaining: size, handle: null, data: null };
+      if (type === "0" || type === "7") {
+        if (archive.entries.length >= MAX_ENTRIES) {
+          archive.truncated = true;
+          return false;
+        }
+        // Extracted files are named by index, never by their archive path
+        const localPath = path.join(
+          archive.tempDir,
+          String(archive.entries.length)
+        );
+        current.handle = await fs.promises.open(localPath, "w");
+        current.entry = {
+          path: `${file.path}/${entryPath}`,
+          size,
+          archive: file.path,
+          localPath,
+          error: null,
+        };
+      }
+      return true;
+    };
+
+    try {
+      read: for await (const chunk of stream) {
+        pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+
+        while (pending.length > 0) {
+          if (current) {
+            const take = Math.min(current.remaining, pending.length);
+            const data = pending.subarray(0, take);
+            if (current.handle) await current.handle.write(data);
+            else if (current.data) current.data.push(data);
+            current.remaining -= take;
+            extracted += take;
+            pending = pending.subarray(take);
+            if (extracted > FILE_SIZE_LIMITS.MIXED) {
+              archive.truncated = true;
+              break read;
+            }
+            if (current.remaining > 0) break;
+            await finishEntry();
+          }
+
+          if (padding > 0) {
+            const take = Math.min(padding, pending.length);
+            padding -= take;
+            pending = pending.subarray(take);
+            if (padding > 0) break;
+          }
+
+          if (pending.length < TAR_BLOCK) break;
+          const header = pending.subarray(0, TAR_BLOCK);
+          pending = pending.subarray(TAR_BLOCK);
+
+          if (header.every((byte) => byte === 0)) {
+            ended = true;
+            break read;
+          }
+          if (!validTarChecksum(header)) {
+            throw new Error("Corrupt tar header");
+          }
+          if (!(await startEntry(header))) break read;
+        }
+      }
+      if (!ended && !archive.truncated) {
+        throw new Error("Archive ends before its last entry");
+      }
+    } catch (error) {
+      archive.error = error.message;
+      archive.truncated = true;
+    } finally {
+      await current?.handle?.close();
+      stream.destroy();
+    }
+  }
+
+  /**
+   * Stream an archive entry as Buffer chunks
+   * Options select a range, as for ipfsService.getContentStream
+   */
+  async *getEntryStream(entry, { offset = 0, length } = {}) {
+    const end = Math.min(
+      entry.size,
+      length === undefined ? entry.size : offset + length
+    );
+    if (end <= offset) return;
+
+    if (entry.localPath) {
+      yield* fs.createReadStream(entry.localPath, {
+        start: offset,
+        end: end - 1,
+      });
+      return;
+    }
+
+    const dataOffset = await this.zipDataOffset(entry);
+    if (entry.method === ZIP_STORED) {
+      yield* ipfsService.getContentStream(entry.cid, {
+        offset: dataOffset + offset,
+        length: end - offset,
+      });
+      return;
+    }
+
+    // Deflated data has no random access, so inflate from the start
+    const inflated = pipeline(
+      Readable.from(
+        ipfsService.getContentStream(entry.cid, {
+          offset: dataOffset,
+          length: entry.compressedSize,
+        })
+      ),
+      zlib.createInflateRaw(),
+      () => {}
+    );
+    let position = 0;
+    for await (const chunk of inflated) {
+      const start = Math.max(0, offset - position);
+      const stop = Math.min(chunk.length, end - position);
+      if (stop > start) yield chunk.subarray(start, stop);
+      position += chunk.length;
+      if (position >= end) break;
+    }
+  }
+
+  /**
+   * Offset of a zip entry's data, after its local header
+   */
+  async zipDataOffset(entry) {
+    if (entry.dataOffset === null) {
+      const header = await ipfsService.getContentBuffer(entry.cid, {
+        offset: entry.localHeaderOffset,
+        length: 30,
+      });
+      if (header.length < 30 || header.readUInt32LE(0) !== ZIP_LOCAL_HEADER) {
+        throw new Error(`Corrupt zip local header for ${entry.path}`);
+      }
+      entry.dataOffset =
+        entry.localHeaderOffset +
+        30 +
+        header.readUInt16LE(26) +
+        header.readUInt16LE(28);
+    }
+    return entry.dataOffset;
+  }
+}
+
+module.exports = new ArchiveService();
@@ -0,0 +1,62 @@
+const fs = require("fs");
+const path = require("path");
+const { config } = require("../config");
+
+/**
+ * Audit Service
+ * Append-only log of administrative changes
+ */
+
+class AuditService {
+  constructor() {
+    this.logFile = path.join(config.logging.dir, "admin-audit.log");
+  }
+
+  /**
+   * Record an audit entry
+   */
+  async record(entry) {
+    const auditEntry = {
+      timestamp: new Date().toISOString(),
+      ...entry,
+    };
+
+    try {
+      await fs.promises.mkdir(path.dirname(this.logFile), { recursive: true });
+      await fs.promises.appendFile(
+        this.logFile,
+        JSON.stringify(auditEntry) + "\n"
+      );
+    } catch (error) {
+      // The change already happened on chain, so only log the failure
+      console.error("Error writing audit entry:", error);
+    }
+
+    return auditEntry;
+  }
+
+  /**
+   * List audit entries, newest first
+   */
+  async list({ skip = 0, limit = 20 } = {}) {
+    let content = "";
+    try {
+      content = await fs.promises.readFile(this.logFile, "utf-8");
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+
+    const entries = content
+      .split("\n")
+      .filter((line) => line.trim() !== "")
+      .map((line) => JSON.parse(line))
+      .reverse();
+
+    return {
+      entries: entries.slice(skip, skip + limit),
+      total: entries.length,
+    };
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,163 @@
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+const jwt = require("jsonwebtoken");
+const { config } = require("../config");
+const {
+  HTTP_STATUS,
+  ERROR_CODES,
+  APIError,
+  normalizeAddress,
+} = require("../utils");
+
+/**
+ * Authentication Service
+ * Sign-In-With-Ethereum (EIP-4361) challenges and JWT sessions
+ */
+
+// Outstanding challenges kept; the oldest are dropped beyond this
+const MAX_CHALLENGES = 10000;
+
+class AuthService {
+  constructor() {
+    // nonce -> { address, message, expiresAt }, oldest first
+    this.challenges = new Map();
+  }
+
+  /**
+   * Create a sign-in challenge for an address
+   */
+  createChallenge(address) {
+    const normalized = normalizeAddress(address);
+    this.pruneChallenges();
+
+    const nonce = crypto.randomBytes(16).toString("hex");
+    const issuedAt = new Date();
+    const expiresAt = new Date(
+      issuedAt.getTime() + config.security.authNonceTtlMs
+    );
+
+    const message = this.buildMessage({
+      address: ethers.getAddress(normalized),
+      nonce,
+      issuedAt: issuedAt.toISOString(),
+      expirationTime: expiresAt.toISOString(),
+    });
+
+    this.challenges.set(nonce, {
+      address: normalized,
+      message,
+      expiresAt: expiresAt.getTime(),
+    });
+
+    return { nonce, message, expiresAt: expiresAt.toISOString() };
+  }
+
+  /**
+   * Build an EIP-4361 message
+   */
+  buildMessage({ address, nonce, issuedAt, expirationTime }) {
+    const uri = config.app.baseUrl;
+    const domain = new URL(uri).host;
+
+    return [
+      `${domain} wants you to sign in with your Ethereum account:`,
+      address,
+      "",
+      `Sign in to ${config.app.name}`,
+      "",
+      `URI: ${uri}`,
+      "Version: 1",
+      `Chain ID: ${config.blockchain.chainId}`,
+      `Nonce: ${nonce}`,
+      `Issued At: ${issuedAt}`,
+      `Expiration Time: ${expirationTime}`,
+    ].join("\n");
+  }
+
+  /**
+   * Verify a signed challenge and issue a session token
+   */
+  verifyChallenge(message, signature) {
+    const nonceMatch =
+      typeof message === "string" && message.match(/^Nonce: (\w+)$/m);
+    const challenge = nonceMatch && this.challenges.get(nonceMatch[1]);
+
+    if (!challenge || challenge.message !== message) {
+      throw new APIError(
+        "Unknown or already used sign-in challenge",
+        HTTP_STATUS.UNAUTHORIZED,
+        ERROR_CODES.INVALID_SIGNATURE
+      );
+    }
+
+    // Nonces are single use
+    this.challenges.delete(nonceMatch[1]);
+
+    if (challenge.expiresAt < Date.now()) {
+      throw new APIError(
+        "Sign-in challenge expired",
+        HTTP_STATUS.UNAUTHORIZED,
+        ERROR_CODES.TOKEN_EXPIRED
+      );
+    }
+
+    let recovered;
+    try {
+      recovered = ethers.verifyMessage(message, signature).toLowerCase();
+    } catch {
+      recovered = null;
+    }
+
+    if (recovered !== challenge.address) {
+      throw new APIError(
+        "Signature does not match the challenge address",
+        HTTP_STATUS.UNAUTHORIZED,
+        ERROR_CODES.INVALID_SIGNATURE
+      );
+    }
+
+    return this.issueToken(challenge.address);
+  }
+
+  /**
+   * Issue a JWT bound to an address
+   */
+  issueToken(address) {
+    const token = jwt.sign({ address }, config.security.jwtSecret, {
+      subject: address,
+      expiresIn: config.security.jwtExpiresIn,
+    });
+
+    return {
+      token,
+      address,
+      expiresIn: config.security.jwtExpiresIn,
+    };
+  }
+
+  /**
+   * Verify a JWT and return its session. Throws JsonWebTokenError or
+   * TokenExpiredError, which the error handler maps to 401 responses.
+   */
+  verifyToken(token) {
+    const payload = jwt.verify(token, config.security.jwtSecret);
+    return { address: payload.address };
+  }
+
+  /**
+   * Drop expired challenges, and the oldest ones while there are too many
+   * to make room for a new one. Challenges share one TTL, so they expire
+   * in the order they were created.
+   */
+  pruneChallenges() {
+    const now = Date.now();
+    for (const [nonce, challenge] of this.challenges) {
+      if (challenge.expiresAt >= now && this.challenges.size < MAX_CHALLENGES) {
+        break;
+      }
+      this.challenges.delete(nonce);
+    }
+  }
+}
+
+module.exports = new AuthService();
@@ -1,11 +1,20 @@
 const { ethers } = require("ethers");
-const { blockchainService } = require("../config");
-// const { DataRequest, Submission } = require('../models'); // Models are not used, comment out or remove
+const { blockchainService, config } = require("../config");
+const readStore = require("./readStore");
+const acceptanceService = require("./acceptanceService");
+const {
+  requestRepository,
+  submissionRepository,
+} = require("../repositories");
 const {
   decodeFormatsMask,
   DATA_FORMAT_NAMES,
   REQUEST_STATUS_NAMES,
   SUBMISSION_STATUS_NAMES,
+  HTTP_STATUS,
+  ERROR_CODES,
+  CONTRACT_EVENTS,
+  APIError,
 } = require("../utils");
 
 /**
@@ -13,6 +22,23 @@ const {
  * Handles all blockchain interactions with the smart contract
  */
 
+/**
+ * Error for a listing too long to scan on chain before the indexer has
+ * caught up
+ */
+const indexNotSynced = (records, filter) =>
+  new APIError(
+    `Listing all ${records} needs the event indexer to have synced; filter by ${filter} or retry later`,
+    HTTP_STATUS.SERVICE_UNAVAILABLE,
+    ERROR_CODES.SERVICE_UNAVAILABLE
+  );
+
+// Records read by id when listing without the indexer
+const SCAN_LIMIT = 100;
+
+// Blocks searched for a verification when the indexer has not synced
+const VERIFICATION_LOOKBACK_BLOCKS = 10000;
+
 class BlockchainInteraction {
   /**
    * Sync request from blockchain to database
@@ -27,29 +53,37 @@ class BlockchainInteraction {
 
       // Check if request exists on chain
       if (contractRequest.id.toString() === "0") {
-        throw new Error(`Request ${requestId} not found on blockchain`);
+        throw new APIError(
+          `Request ${requestId} not found on blockchain`,
+          HTTP_STATUS.NOT_FOUND,
+          ERROR_CODES.REQUEST_NOT_FOUND
+        );
       }
 
-      const formats = decodeFormatsMask(contractRequest.formatsMask);
+      const formatsMask = Number(contractRequest.formatsMask);
+      const formats = decodeFormatsMask(formatsMask);
 
       const requestData = {
         requestId: Number(contractRequest.id),
         buyerAddress: contractRequest.buyer.toLowerCase(),
         description: contractRequest.description,
+        acceptanceSpecCid: acceptanceService.parseSpecCid(
+          contractRequest.description
+        ),
         budget: contractRequest.budget.toString(),
-        formatsMask: contractRequest.formatsMask,
+        formatsMask,
         acceptedFormats: formats,
         status: REQUEST_STATUS_NAMES[contractRequest.status],
-        qualityScore: contractRequest.qualityScore || null,
+        qualityScore: Number(contractRequest.qualityScore) || null,
         ipfsReportCid: contractRequest.qualityReportCid || null,
         finalizedSubmissionId:
           contractRequest.finalizedSubmissionId.toString() !== "0"
             ? Number(contractRequest.finalizedSubmissionId)
             : null,
+        createdAt: Number(contractRequest.createdAt),
       };
 
-      // No database model, just return requestData
-      return requestData;
+      return await requestRepository.upsert(requestData);
     } catch (error) {
       console.error(`Error syncing request ${requestId}:`, error);
       throw error;
@@ -68,7 +102,11 @@ class BlockchainInteraction {
       );
 
       if (contractSubmission.id.toString() === "0") {
-        throw new Error(`Submission ${submissionId} not found on blockchain`);
+        throw new APIError(
+          `Submission ${submissionId} not found on blockchain`,
+          HTTP_STATUS.NOT_FOUND,
+          ERROR_CODES.SUBMISSION_NOT_FOUND
+        );
       }
 
       const submissionData = {
@@ -83,16 +121,28 @@ class BlockchainInteraction {
         datasetReference: contractSubmission.datasetReference,
         status: SUBMISSION_STATUS_NAMES[contractSubmission.status],
         qualityChecked: contractSubmission.qualityChecked,
+        createdAt: Number(contractSubmission.createdAt),
       };
 
-      // No database model, just return submissionData
-      return submissionData;
+      return await submissionRepository.upsert(submissionData);
     } catch (error) {
       console.error(`Error syncing submission ${submissionId}:`, error);
       throw error;
     }
   }
 
+  /**
+   * Re-sync the stored submissions of a request, e.g. after a refund
+   */
+  async syncRequestSubmissions(requestId) {
+    const submissions = await submissionRepository.find({ requestId });
+    return Promise.all(
+      submissions.map((submission) =>
+        this.syncSubmission(submission.submissionId)
+      )
+    );
+  }
+
   /**
    * Create a new request on the blockchain
    */
@@ -210,6 +260,114 @@ class BlockchainInteraction {
     }
   }
 
+  /**
+   * Prepare an unsigned contract call for a user's own wallet to sign
+   */
+  async buildTransaction(from, method, args, value = 0n) {
+    try {
+      blockchainService.ensureInitialized();
+
+      const contract = blockchainService.contract;
+      const provider = blockchainService.provider;
+
+      const sender = ethers.getAddress(from);
+      const to = await contract.getAddress();
+      const data = contract.interface.encodeFunctionData(method, args);
+
+      let gasEstimate;
+      try {
+        gasEstimate = await provider.estimateGas({
+          from: sender,
+          to,
+          data,
+          value,
+        });
+      } catch (error) {
+        throw new APIError(
+          `Transaction would fail: ${error.shortMessage || error.message}`,
+          HTTP_STATUS.UNPROCESSABLE_ENTITY,
+          ERROR_CODES.TRANSACTION_FAILED
+        );
+      }
+
+      const [network, feeData] = await Promise.all([
+        provider.getNetwork(),
+        provider.getFeeData(),
+      ]);
+
+      // Pad fee suggestions the same way server-sent transactions are
+      const multiplier = BigInt(
+        Math.round(config.blockchain.gasPriceMultiplier * 100)
+      );
+      const scaleFee = (fee) =>
+        fee != null ? ((fee * multiplier) / 100n).toString() : null;
+
+      return {
+        method,
+        from: sender,
+        to,
+        data,
+        value: value.toString(),
+        gasEstimate: gasEstimate.toString(),
+        chainId: Number(network.chainId),
+        maxFeePerGas: scaleFee(feeData.maxFeePerGas),
+        maxPriorityFeePerGas: scaleFee(feeData.maxPriorityFeePerGas),
+        gasPrice: scaleFee(feeData.gasPrice),
+      };
+    } catch (error) {
+      console.error(`Error preparing ${method} transaction:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Prepare an unsigned createRequest transaction
+   */
+  async buildCreateRequestTx(from, formatsMask, description, budgetInWei) {
+    return this.buildTransaction(
+      from,
+      "createRequest",
+      [formatsMask, description],
+      BigInt(budgetInWei)
+    );
+  }
+
+  /**
+   * Prepare an unsigned submitDataset transaction
+   */
+  async buildSubmitDatasetTx(
+    from,
+    requestId,
+    format,
+    fileSize,
+    sampleCount,
+    fileExtensions,
+    datasetReference,
+    modelAddress
+  ) {
+    const formatIndex = DATA_FORMAT_NAMES.indexOf(format);
+    if (formatIndex === -1) {
+      throw new Error("Invalid format");
+    }
+
+    return this.buildTransaction(from, "submitDataset", [
+      requestId,
+      formatIndex,
+      fileSize,
+      sampleCount,
+      fileExtensions,
+      datasetReference,
+      modelAddress,
+    ]);
+  }
+
+  /**
+   * Prepare an unsigned cancelRequest transaction
+   */
+  async buildCancelRequestTx(from, requestId) {
+    return this.buildTransaction(from, "cancelRequest", [requestId]);
+  }
+
   /**
    * Verify submission on blockchain
    */
@@ -240,9 +398,8 @@ class BlockchainInteraction {
       const receipt = await tx.wait();
 
       // Sync both submission and request
-      await this.syncSubmission(submissionId);
-
-      // No database model, skip syncing request
+      const submission = await this.syncSubmission(submissionId);
+      await this.syncRequest(submission.requestId);
 
       return { txHash: tx.hash, receipt };
     } catch (error) {
@@ -251,6 +408,94 @@ class BlockchainInteraction {
     }
   }
 
+  /**
+   * Send an owner-only transaction with the admin signer
+   */
+  async sendAdminTransaction(method, ...args) {
+    try {
+      blockchainService.ensureInitialized();
+
+      const contract = blockchainService.getContractWithAdminSigner();
+
+      const tx = await contract[method](...args);
+
+      console.log(`${method} transaction sent: ${tx.hash}`);
+
+      const receipt = await tx.wait();
+
+      return { txHash: tx.hash, receipt };
+    } catch (error) {
+      console.error(`Error sending ${method} transaction:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set the quality verifier address
+   */
+  async setQualityVerifier(verifierAddress) {
+    return this.sendAdminTransaction("setQualityVerifier", verifierAddress);
+  }
+
+  /**
+   * Add or remove a seller from the whitelist
+   */
+  async updateSellerWhitelist(sellerAddress, allowed) {
+    return this.sendAdminTransaction(
+      "updateSellerWhitelist",
+      sellerAddress,
+      allowed
+    );
+  }
+
+  /**
+   * Add or remove a model from the registry
+   */
+  async updateModelRegistry(modelAddress, allowed) {
+    return this.sendAdminTransaction(
+      "updateModelRegistry",
+      modelAddress,
+      allowed
+    );
+  }
+
+  /**
+   * Enable or disable the seller whitelist
+   */
+  async setWhitelistEnabled(enabled) {
+    return this.sendAdminTransaction("setWhitelistEnabled", enabled);
+  }
+
+  /**
+   * Enable or disable the model registry
+   */
+  async setModelRegistryEnabled(enabled) {
+    return this.sendAdminTransaction("setModelRegistryEnabled", enabled);
+  }
+
+  /**
+   * Allow or disallow models verifying their own submissions
+   */
+  async setAllowModelSelfVerify(allow) {
+    return this.sendAdminTransaction("setAllowModelSelfVerify", allow);
+  }
+
+  /**
+   * Read records by id from 1 up, as the contract numbers them, and sync
+   * them all. Returns null if there are more than SCAN_LIMIT
+   */
+  async scanRecords(read, sync) {
+    const ids = [];
+    for (let id = 1; id <= SCAN_LIMIT + 1; id++) {
+      const record = await read(id);
+      if (record.id.toString() === "0") {
+        return Promise.all(ids.map((known) => sync(known)));
+      }
+      ids.push(id);
+    }
+    return null;
+  }
+
   /**
    * Get buyer's requests from blockchain
    */
@@ -268,6 +513,49 @@ class BlockchainInteraction {
     }
   }
 
+  /**
+   * List requests from blockchain, optionally filtered by buyer, status and format
+   *
+   * Served from the repository once the indexer has caught up. Until then
+   * a buyer's requests are read from the contract's per-buyer index, and
+   * other listings scan requests by id up to SCAN_LIMIT, as the contract
+   * has no request counter.
+   */
+  async listRequests({ buyer, status, format } = {}) {
+    try {
+      blockchainService.ensureInitialized();
+
+      let requests = [];
+
+      if (readStore.isSynced()) {
+        requests = await requestRepository.find(
+          buyer ? { buyerAddress: buyer } : {},
+          { sort: { requestId: 1 } }
+        );
+      } else if (buyer) {
+        const requestIds = await this.getBuyerRequests(buyer);
+        requests = await Promise.all(
+          requestIds.map((id) => this.syncRequest(id))
+        );
+      } else {
+        requests = await this.scanRecords(
+          (id) => blockchainService.contract.requests(id),
+          (id) => this.syncRequest(id)
+        );
+        if (!requests) throw indexNotSynced("requests", "buyer");
+      }
+
+      return requests.filter(
+        (request) =>
+          (!status || request.status === status) &&
+          (!format || request.acceptedFormats.includes(format))
+      );
+    } catch (error) {
+      console.error("Error listing requests:", error);
+      throw error;
+    }
+  }
+
   /**
    * Get seller's submissions from blockchain
    */
@@ -284,6 +572,136 @@ class BlockchainInteraction {
     }
   }
 
+  /**
+   * List submissions from blockchain, optionally filtered by request, seller,
+   * status and format
+   *
+   * Served from the repository once the indexer has caught up. Until then
+   * a seller's submissions are read from the contract's per-seller index,
+   * and other listings scan submissions by id up to SCAN_LIMIT, as the
+   * contract keeps no per-request index.
+   */
+  async listSubmissions({ requestId, seller, status, format } = {}) {
+    try {
+      blockchainService.ensureInitialized();
+
+      let submissions = [];
+
+      if (readStore.isSynced()) {
+        submissions = await submissionRepository.find(
+          seller ? { sellerAddress: seller } : {},
+          { sort: { submissionId: 1 } }
+        );
+      } else if (seller) {
+        const submissionIds = await this.getSellerSubmissions(seller);
+        submissions = await Promise.all(
+          submissionIds.map((id) => this.syncSubmission(id))
+        );
+      } else {
+        submissions = await this.scanRecords(
+          (id) => blockchainService.contract.submissions(id),
+          (id) => this.syncSubmission(id)
+        );
+        if (!submissions) throw indexNotSynced("submissions", "seller");
+      }
+
+      return submissions.filter(
+        (submission) =>
+          (!requestId || submission.requestId === requestId) &&
+          (!status || submission.status === status) &&
+          (!format || submission.format === format)
+      );
+    } catch (error) {
+      console.error("Error listing submissions:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the contract owner address
+   */
+  async getOwner() {
+    try {
+      blockchainService.ensureInitialized();
+
+      const owner = await blockchainService.contract.owner();
+      return owner.toLowerCase();
+    } catch (error) {
+      console.error("Error fetching contract owner:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the quality verifier address configured on the contract
+   */
+  async getQualityVerifier() {
+    try {
+      blockchainService.ensureInitialized();
+
+      const verifier = await blockchainService.contract.qualityVerifier();
+      return verifier.toLowerCase();
+    } catch (error) {
+      console.error("Error fetching quality verifier:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the SubmissionVerified event of a submission: the report CID
+   * recorded on chain and the address that sent the verification. Read
+   * from the indexed events once the indexer has synced
+   *
+   * @returns {Promise<Object|null>} null when the submission is unverified
+   */
+  async getSubmissionVerification(submissionId) {
+    try {
+      blockchainService.ensureInitialized();
+
+      const { contract, provider } = blockchainService;
+      let event;
+      if (readStore.isSynced()) {
+        event = readStore
+          .getEvents({ name: CONTRACT_EVENTS.SUBMISSION_VERIFIED })
+          .findLast(
+            ({ args }) => Number(args.submissionId) === Number(submissionId)
+          );
+      } else {
+        // Without the indexer, only recent blocks are searched
+        const headBlock = await provider.getBlockNumber();
+        const fromBlock = Math.max(
+          config.indexer.startBlock ?? 0,
+          headBlock - VERIFICATION_LOOKBACK_BLOCKS + 1
+        );
+        const events = await contract.queryFilter(
+          contract.filters.SubmissionVerified(submissionId),
+          fromBlock,
+          headBlock
+        );
+        event = events[events.length - 1];
+      }
+      if (!event) return null;
+
+      const tx = await provider.getTransaction(event.transactionHash);
+      return {
+        submissionId: Number(event.args.submissionId),
+        requestId: Number(event.args.requestId),
+        approved: event.args.approved,
+        qualityScore: Number(event.args.qualityScore),
+        qualityReportCid: event.args.qualityReportCid,
+        verifiedBy: tx ? tx.from.toLowerCase() : null,
+        transactionHash: event.transactionHash,
+        blockNumber: event.blockNumber,
+      };
+    } catch (error) {
+      console.error(
+        `Error fetching verification of submission ${submissionId}:`,
+        error
+      );
+      throw error;
+    }
+  }
+
   /**
    * Get total escrowed amount
    */
@@ -312,16 +730,20 @@ class BlockchainInteraction {
         contract.on(
           "RequestCreated",
           async (requestId, buyer, budget, formatsMask, description, event) => {
-            console.log(`📝 RequestCreated event: ${requestId}`);
-            await this.syncRequest(Number(requestId));
-            handlers.onRequestCreated({
-              requestId: Number(requestId),
-              buyer,
-              budget,
-              formatsMask,
-              description,
-              event,
-            });
+            try {
+              console.log(`📝 RequestCreated event: ${requestId}`);
+              await this.syncRequest(Number(requestId));
+              handlers.onRequestCreated({
+                requestId: Number(requestId),
+                buyer,
+                budget,
+                formatsMask,
+                description,
+                event,
+              });
+            } catch (error) {
+              console.error("Error handling RequestCreated event:", error);
+            }
           }
         );
       }
@@ -341,15 +763,19 @@ class BlockchainInteraction {
             datasetReference,
             event
           ) => {
-            console.log(`📤 SubmissionSubmitted event: ${submissionId}`);
-            await this.syncSubmission(Number(submissionId));
-            handlers.onSubmissionSubmitted({
-              submissionId: Number(submissionId),
-              requestId: Number(requestId),
-              seller,
-              model,
-              event,
-            });
+            try {
+              console.log(`📤 SubmissionSubmitted event: ${submissionId}`);
+              await this.syncSubmission(Number(submissionId));
+              handlers.onSubmissionSubmitted({
+                submissionId: Number(submissionId),
+                requestId: Number(requestId),
+                seller,
+                model,
+                event,
+              });
+            } catch (error) {
+              console.error("Error handling SubmissionSubmitted event:", error);
+            }
           }
         );
       }
@@ -365,21 +791,112 @@ class BlockchainInteraction {
             qualityReportCid,
             event
           ) => {
-            console.log(`✅ SubmissionVerified event: ${submissionId}`);
-            await this.syncSubmission(Number(submissionId));
-            await this.syncRequest(Number(requestId));
-            handlers.onSubmissionVerified({
-              submissionId: Number(submissionId),
-              requestId: Number(requestId),
-              approved,
-              qualityScore,
-              qualityReportCid,
-              event,
-            });
+            try {
+              console.log(`✅ SubmissionVerified event: ${submissionId}`);
+              await this.syncSubmission(Number(submissionId));
+              await this.syncRequest(Number(requestId));
+              handlers.onSubmissionVerified({
+                submissionId: Number(submissionId),
+                requestId: Number(requestId),
+                approved,
+                qualityScore,
+                qualityReportCid,
+                event,
+              });
+            } catch (error) {
+              console.error("Error handling SubmissionVerified event:", error);
+            }
+          }
+        );
+      }
+
+      if (handlers.onPaymentReleased) {
+        contract.on(
+          "PaymentReleased",
+          async (submissionId, seller, amount, event) => {
+            try {
+              console.log(`💰 PaymentReleased event: ${submissionId}`);
+              const submission = await this.syncSubmission(
+                Number(submissionId)
+              );
+              await this.syncRequest(submission.requestId);
+              handlers.onPaymentReleased({
+                submissionId: Number(submissionId),
+                requestId: submission.requestId,
+                seller,
+                amount,
+                event,
+              });
+            } catch (error) {
+              console.error("Error handling PaymentReleased event:", error);
+            }
+          }
+        );
+      }
+
+      if (handlers.onRefundIssued) {
+        contract.on(
+          "RefundIssued",
+          async (requestId, buyer, amount, event) => {
+            try {
+              console.log(`↩️ RefundIssued event: ${requestId}`);
+              await this.syncRequest(Number(requestId));
+              await this.syncRequestSubmissions(Number(requestId));
+              handlers.onRefundIssued({
+                requestId: Number(requestId),
+                buyer,
+                amount,
+                event,
+              });
+            } catch (error) {
+              console.error("Error handling RefundIssued event:", error);
+            }
           }
         );
       }
 
+      if (handlers.onQualityVerifierUpdated) {
+        contract.on("QualityVerifierUpdated", async (verifier, event) => {
+          try {
+            console.log(`🛡️ QualityVerifierUpdated event: ${verifier}`);
+            handlers.onQualityVerifierUpdated({ verifier, event });
+          } catch (error) {
+            console.error(
+              "Error handling QualityVerifierUpdated event:",
+              error
+            );
+          }
+        });
+      }
+
+      if (handlers.onSellerWhitelistUpdated) {
+        contract.on(
+          "SellerWhitelistUpdated",
+          async (seller, allowed, event) => {
+            try {
+              console.log(`📋 SellerWhitelistUpdated event: ${seller}`);
+              handlers.onSellerWhitelistUpdated({ seller, allowed, event });
+            } catch (error) {
+              console.error(
+                "Error handling SellerWhitelistUpdated event:",
+                error
+              );
+            }
+          }
+        );
+      }
+
+      if (handlers.onModelRegistryUpdated) {
+        contract.on("ModelRegistryUpdated", async (model, allowed, event) => {
+          try {
+            console.log(`🤖 ModelRegistryUpdated event: ${model}`);
+            handlers.onModelRegistryUpdated({ model, allowed, event });
+          } catch (error) {
+            console.error("Error handling ModelRegistryUpdated event:", error);
+          }
+        });
+      }
+
       console.log("✅ Event listeners set up");
     } catch (error) {
       console.error("Error setting up event listeners:", error);
@@ -0,0 +1,450 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const Busboy = require("busboy");
+const { config } = require("../config");
+const ipfsService = require("./ipfsService");
+const {
+  HTTP_STATUS,
+  ERROR_CODES,
+  APIError,
+  DATA_FORMAT_NAMES,
+  FILE_EXTENSIONS,
+  FILE_SIZE_LIMITS,
+  isValidFileExtension,
+} = require("../utils");
+
+/**
+ * Dataset Service
+ * Receives multipart dataset uploads, derives submission metadata and
+ * publishes the files to IPFS
+ */
+
+const TEMP_FILE_PREFIX = "upload-";
+
+// Bytes that don't make a line count as a sample
+const WHITESPACE = new Set([0x20, 0x09, 0x0d]);
+
+/**
+ * Counts non-empty lines; `skipHeader` drops the first one (CSV/TSV)
+ */
+class LineCounter {
+  constructor(skipHeader = false) {
+    this.skipHeader = skipHeader;
+    this.count = 0;
+    this.lineHasContent = false;
+  }
+
+  update(chunk) {
+    for (const byte of chunk) {
+      if (byte === 0x0a) {
+        if (this.lineHasContent) this.count++;
+        this.lineHasContent = false;
+      } else if (!WHITESPACE.has(byte)) {
+        this.lineHasContent = true;
+      }
+    }
+  }
+
+  finish() {
+    const count = this.count + (this.lineHasContent ? 1 : 0);
+    return this.skipHeader ? Math.max(0, count - 1) : count;
+  }
+}
+
+/**
+ * Counts the elements of a top-level JSON array; any other document is one
+ * sample
+ */
+class JSONArrayCounter {
+  constructor() {
+    this.count = 0;
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false;
+    this.isArray = null;
+    this.expectingElement = false;
+  }
+
+  update(chunk) {
+    for (const byte of chunk) {
+      if (this.inString) {
+        if (this.escaped) this.escaped = false;
+        else if (byte === 0x5c) this.escaped = true; // backslash
+        else if (byte === 0x22) this.inString = false; // quote
+        continue;
+      }
+
+      if (byte === 0x0a || WHITESPACE.has(byte)) continue;
+
+      if (this.isArray === null) {
+        this.isArray = byte === 0x5b; // [
+      }
+
+      if (this.depth === 1 && this.isArray) {
+        if (byte === 0x2c) {
+          // comma between top-level elements
+          this.expectingElement = true;
+          continue;
+        }
+        if (this.expectingElement && byte !== 0x5d) {
+          this.count++;
+          this.expectingElement = false;
+        }
+      }
+
+      if (byte === 0x22) {
+        this.inString = true;
+      } else if (byte === 0x5b || byte === 0x7b) {
+        this.depth++;
+        if (this.depth === 1 && this.isArray) this.expectingElement = true;
+      } else if (byte === 0x5d || byte === 0x7d) {
+        this.depth--;
+      }
+    }
+  }
+
+  finish() {
+    if (this.isArray === null) return 0;
+    return this.isArray ? this.count : 1;
+  }
+}
+
+/**
+ * Treats every file as a single sample (images, audio, video)
+ */
+class FileCounter {
+  update() {}
+
+  finish() {
+    return 1;
+  }
+}
+
+/**
+ * Pick the sample counter for a file extension
+ */
+const createSampleCounter = (extension) => {
+  switch (extension) {
+    case "csv":
+    case "tsv":
+      return new LineCounter(true);
+    case "json":
+      return new JSONArrayCounter();
+    case "txt":
+    case "md":
+    case "jsonl":
+    case "xml":
+    case "html":
+      return new LineCounter();
+    default:
+      return new FileCounter();
+  }
+};
+
+// Lookup order for extensions listed under several formats (txt, csv)
+const EXTENSION_FORMAT_ORDER = ["AUDIO", "IMAGE", "VIDEO", "TEXT", "CSV"];
+
+/**
+ * Work out which format a file belongs to from its extension
+ */
+const formatForExtension = (extension, declaredFormat) => {
+  if (declaredFormat !== "MIXED") return declaredFormat;
+  if (extension === "csv" || extension === "tsv") return "CSV";
+  return (
+    EXTENSION_FORMAT_ORDER.find((format) =>
+      FILE_EXTENSIONS[format].includes(extension)
+    ) || "MIXED"
+  );
+};
+
+class DatasetService {
+  constructor() {
+    this.cleanupTimer = null;
+  }
+
+  /**
+   * Receive a multipart upload into temp files. Expects a `format` field
+   * before the file parts so size limits can be enforced while streaming.
+   */
+  receiveUpload(req) {
+    return new Promise((resolve, reject) => {
+      let busboy;
+      try {
+        busboy = Busboy({ headers: req.headers });
+      } catch (error) {
+        return reject(
+          new APIError(
+            `Invalid multipart upload: ${error.message}`,
+            HTTP_STATUS.BAD_REQUEST,
+            ERROR_CODES.INVALID_PARAMETERS
+          )
+        );
+      }
+
+      const files = [];
+      const pending = [];
+      let format = null;
+      let totalSize = 0;
+      let failed = false;
+
+      const fail = async (error) => {
+        if (failed) return;
+        failed = true;
+        req.unpipe(busboy);
+        req.resume();
+        await Promise.allSettled(pending);
+        await this.removeTempFiles(files);
+        reject(error);
+      };
+
+      busboy.on("field", (name, value) => {
+        if (name !== "format") return;
+
+        format = String(value).toUpperCase();
+        if (!DATA_FORMAT_NAMES.includes(format)) {
+          fail(
+            new APIError(
+              `Invalid data format: ${value}`,
+              HTTP_STATUS.BAD_REQUEST,
+              ERROR_CODES.INVALID_FORMAT
+            )
+          );
+        }
+      });
+
+      busboy.on("file", (name, stream, info) => {
+        if (failed) return stream.resume();
+
+        if (!format) {
+          stream.resume();
+          return fail(
+            new APIError(
+              "The format field must be sent before any files",
+              HTTP_STATUS.BAD_REQUEST,
+              ERROR_CODES.INVALID_PARAMETERS
+            )
+          );
+        }
+
+        const fileName = path.basename(info.filename || name);
+        const extension = path.extname(fileName).slice(1).toLowerCase();
+
+        // Files are published under their names, so a later file with the
+        // same name would replace an earlier one
+        if (files.some((file) => file.name === fileName)) {
+          stream.resume();
+          return fail(
+            new APIError(
+              `Duplicate file name in upload: ${fileName}`,
+              HTTP_STATUS.BAD_REQUEST,
+              ERROR_CODES.INVALID_PARAMETERS
+            )
+          );
+        }
+
+        if (
+          !config.upload.allowedFormats.includes(extension) ||
+          !isValidFileExtension(extension, format)
+        ) {
+          stream.resume();
+          return fail(
+            new APIError(
+              `File type .${extension} is not allowed for ${format} datasets`,
+              HTTP_STATUS.BAD_REQUEST,
+              ERROR_CODES.INVALID_FORMAT
+            )
+          );
+        }
+
+        const fileFormat = formatForExtension(extension, format);
+        const sizeLimit = FILE_SIZE_LIMITS[fileFormat];
+        const counter = createSampleCounter(extension);
+        const file = {
+          name: fileName,
+          extension,
+          format: fileFormat,
+          size: 0,
+          sampleCount: 0,
+          tempPath: path.join(
+            config.upload.tempDir,
+            `${TEMP_FILE_PREFIX}${crypto.randomBytes(8).toString("hex")}-${fileName}`
+          ),
+        };
+        files.push(file);
+
+        const meter = new Transform({
+          transform(chunk, encoding, callback) {
+            file.size += chunk.length;
+            totalSize += chunk.length;
+
+            if (file.size > sizeLimit) {
+              return callback(
+                new APIError(
+                  `${fileName} exceeds the ${fileFormat} limit of ${sizeLimit} bytes`,
+                  HTTP_STATUS.BAD_REQUEST,
+                  ERROR_CODES.FILE_TOO_LARGE
+                )
+              );
+            }
+            if (totalSize > FILE_SIZE_LIMITS.MIXED) {
+              return callback(
+                new APIError(
+                  `Upload exceeds the dataset limit of ${FILE_SIZE_LIMITS.MIXED} bytes`,
+                  HTTP_STATUS.BAD_REQUEST,
+                  ERROR_CODES.FILE_TOO_LARGE
+                )
+              );
+            }
+
+            counter.update(chunk);
+            callback(null, chunk);
+          },
+        });
+
+        const written = fs.promises
+          .mkdir(config.upload.tempDir, { recursive: true })
+          .then(() =>
+            pipeline(stream, meter, fs.createWriteStream(file.tempPath))
+          )
+          .then(() => {
+            file.sampleCount = counter.finish();
+          })
+          .catch((error) => {
+            stream.resume();
+            fail(error);
+          });
+        pending.push(written);
+      });
+
+      busboy.on("error", (error) =>
+        fail(
+          new APIError(
+            `Invalid multipart upload: ${error.message}`,
+            HTTP_STATUS.BAD_REQUEST,
+            ERROR_CODES.INVALID_PARAMETERS
+          )
+        )
+      );
+
+      busboy.on("close", async () => {
+        await Promise.all(pending);
+        if (failed) return;
+
+        if (!format || files.length === 0) {
+          return fail(
+            new APIError(
+              "A format field and at least one file are required",
+              HTTP_STATUS.BAD_REQUEST,
+              ERROR_CODES.INVALID_PARAMETERS
+            )
+          );
+        }
+
+        resolve({ format, files });
+      });
+
+      req.pipe(busboy);
+    });
+  }
+
+  /**
+   * Publish received files to IPFS and derive the submission metadata.
+   * A single file is added as-is; several are wrapped in a directory.
+   */
+  async publish({ format, files }) {
+    try {
+      let datasetReference;
+      try {
+        if (files.length === 1) {
+          datasetReference = await ipfsService.uploadFile(
+            fs.createReadStream(files[0].tempPath)
+          );
+        } else {
+          datasetReference = await ipfsService.uploadDirectory(
+            files.map((file) => ({
+              path: file.name,
+              content: fs.createReadStream(file.tempPath),
+            }))
+          );
+        }
+      } catch (error) {
+        throw new APIError(
+          error.message,
+          HTTP_STATUS.SERVICE_UNAVAILABLE,
+          ERROR_CODES.UPLOAD_FAILED
+        );
+      }
+
+      const extensions = [...new Set(files.map((file) => file.extension))];
+
+      return {
+        datasetReference,
+        gatewayUrl: ipfsService.getGatewayUrl(datasetReference),
+        format,
+        fileSize: files.reduce((sum, file) => sum + file.size, 0),
+        sampleCount: files.reduce((sum, file) => sum + file.sampleCount, 0),
+        fileExtensions: extensions.join(","),
+        files: files.map(({ name, format, size, sampleCount }) => ({
+          name,
+          format,
+          size,
+          sampleCount,
+        })),
+      };
+    } finally {
+      await this.removeTempFiles(files);
+    }
+  }
+
+  /**
+   * Delete the temp files of an upload
+   */
+  async removeTempFiles(files) {
+    await Promise.all(
+      files.map((file) => fs.promises.rm(file.tempPath, { force: true }))
+    );
+  }
+
+  /**
+   * Delete upload temp files older than the cleanup interval, left behind
+   * by aborted or crashed uploads
+   */
+  async cleanupTempFiles() {
+    try {
+      const entries = await fs.promises.readdir(config.upload.tempDir);
+      const cutoff = Date.now() - config.upload.cleanupInterval;
+
+      for (const entry of entries) {
+        if (!entry.startsWith(TEMP_FILE_PREFIX)) continue;
+
+        const filePath = path.join(config.upload.tempDir, entry);
+        const stats = await fs.promises.stat(filePath);
+        if (stats.mtimeMs < cutoff) {
+          await fs.promises.rm(filePath, { force: true });
+        }
+      }
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error("Error cleaning up upload temp files:", error);
+      }
+    }
+  }
+
+  /**
+   * Run the temp file cleanup on the configured interval
+   */
+  startCleanup() {
+    if (this.cleanupTimer) return;
+
+    this.cleanupTimer = setInterval(
+      () => this.cleanupTempFiles(),
+      config.upload.cleanupInterval
+    );
+    this.cleanupTimer.unref();
+  }
+}
+
+module.exports = new DatasetService();
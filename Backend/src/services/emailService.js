@@ -0,0 +1,270 @@
+const crypto = require("crypto");
+const nodemailer = require("nodemailer");
+const { config } = require("../config");
+const indexerService = require("./indexerService");
+const notificationBuilder = require("./notificationBuilder");
+const emailTemplates = require("./emailTemplates");
+const {
+  emailSubscriptionRepository,
+  emailNotificationRepository,
+} = require("../repositories");
+const { HTTP_STATUS, ERROR_CODES, APIError } = require("../utils");
+
+/**
+ * Email Service
+ * Emails buyers and sellers about indexed contract events over SMTP, using
+ * the addresses their wallets registered and confirmed
+ */
+
+const CONFIRMATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+// Limits on confirmation emails, so registrations can't be used to spam
+const CONFIRMATION_RESEND_INTERVAL_MS = 60 * 1000; // per wallet
+const MAX_PENDING_PER_EMAIL = 3; // wallets awaiting confirmation of one address
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+class EmailService {
+  constructor() {
+    this.transporter = null;
+    this.started = false;
+    this.onEvent = (event) =>
+      this.notify(event).catch((error) =>
+        console.error("Error sending email notifications:", error)
+      );
+  }
+
+  /**
+   * Whether email notifications are enabled and SMTP is configured
+   */
+  isEnabled() {
+    return Boolean(
+      config.features.enableEmailNotifications && config.email.host
+    );
+  }
+
+  /**
+   * SMTP transport, created on first use
+   */
+  getTransporter() {
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport({
+        host: config.email.host,
+        port: config.email.port,
+        secure: config.email.port === 465,
+        auth: config.email.user
+          ? { user: config.email.user, pass: config.email.password }
+          : undefined,
+      });
+    }
+    return this.transporter;
+  }
+
+  /**
+   * Start emailing for indexed events
+   */
+  start() {
+    if (this.started) return;
+    if (!this.isEnabled()) {
+      console.warn("⚠️  Email notifications enabled but EMAIL_HOST is not set");
+      return;
+    }
+
+    this.getTransporter();
+    indexerService.on("event", this.onEvent);
+    this.started = true;
+    console.log(`✅ Email notifications started (${config.email.host})`);
+  }
+
+  /**
+   * Refuse a confirmation email if the wallet was sent one within
+   * CONFIRMATION_RESEND_INTERVAL_MS, or if the address already awaits
+   * confirmation by MAX_PENDING_PER_EMAIL other wallets
+   */
+  async checkConfirmationLimits(existing, address, email) {
+    const now = Date.now();
+    const sentAt = existing?.confirmationSentAt
+      ? new Date(existing.confirmationSentAt).getTime()
+      : 0;
+    if (
+      existing &&
+      !existing.confirmed &&
+      now - sentAt < CONFIRMATION_RESEND_INTERVAL_MS
+    ) {
+      throw new APIError(
+        "A confirmation email was just sent; retry later",
+        HTTP_STATUS.TOO_MANY_REQUESTS,
+        ERROR_CODES.RATE_LIMITED
+      );
+    }
+
+    const pending = await emailSubscriptionRepository.find({
+      email,
+      confirmed: false,
+    });
+    const waiting = pending.filter(
+      (subscription) =>
+        subscription.address !== address &&
+        new Date(subscription.confirmationExpiresAt).getTime() > now
+    );
+    if (waiting.length >= MAX_PENDING_PER_EMAIL) {
+      throw new APIError(
+        "Too many wallets are awaiting confirmation of this email",
+        HTTP_STATUS.TOO_MANY_REQUESTS,
+        ERROR_CODES.RATE_LIMITED
+      );
+    }
+  }
+
+  /**
+   * Register a wallet's email. A new or changed address only receives
+   * notifications once it is confirmed through the emailed link
+   */
+  async subscribe(address, email, types) {
+    const existing = await emailSubscriptionRepository.findById(address);
+    if (existing?.confirmed && existing.email === email) {
+      return emailSubscriptionRepository.upsert({ address, email, types });
+    }
+    await this.checkConfirmationLimits(existing, address, email);
+
+    const token = crypto.randomBytes(32).toString("hex");
+    const confirmUrl = `${config.app.baseUrl}/api/notifications/email/confirm?token=${token}`;
+    const message = emailTemplates.renderConfirmation(address, confirmUrl);
+
+    try {
+      await this.getTransporter().sendMail({
+        from: config.email.from,
+        to: email,
+        subject: message.subject,
+        text: message.text,
+      });
+    } catch (error) {
+      console.error(
+        `Error emailing confirmation to ${address}:`,
+        error.message
+      );
+      throw new APIError(
+        "Could not send the confirmation email",
+        HTTP_STATUS.SERVICE_UNAVAILABLE,
+        ERROR_CODES.SERVICE_UNAVAILABLE
+      );
+    }
+
+    return emailSubscriptionRepository.upsert({
+      address,
+      email,
+      types,
+      confirmed: false,
+      confirmationTokenHash: hashToken(token),
+      confirmationExpiresAt: new Date(
+        Date.now() + CONFIRMATION_TTL_MS
+      ).toISOString(),
+      confirmationSentAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Confirm the email of a registration by the token sent to it
+   */
+  async confirm(token) {
+    const [subscription] =
+      typeof token === "string" && token
+        ? await emailSubscriptionRepository.find({
+            confirmationTokenHash: hashToken(token),
+          })
+        : [];
+    const expired =
+      subscription &&
+      new Date(subscription.confirmationExpiresAt).getTime() < Date.now();
+
+    if (!subscription || expired) {
+      throw new APIError(
+        "Invalid or expired confirmation token",
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.INVALID_PARAMETERS
+      );
+    }
+
+    return emailSubscriptionRepository.update(subscription.address, {
+      confirmed: true,
+      confirmationTokenHash: null,
+      confirmationExpiresAt: null,
+      confirmationSentAt: null,
+    });
+  }
+
+  /**
+   * Email the buyer and seller an event concerns, if they confirmed an
+   * address and subscribed to its notification type
+   */
+  async notify(event) {
+    const notification = await notificationBuilder.build(event);
+    if (!notification) return [];
+
+    const recipients = [
+      [emailTemplates.BUYER, notification.parties.buyer],
+      [emailTemplates.SELLER, notification.parties.seller],
+    ];
+
+    const sent = [];
+    for (const [role, address] of recipients) {
+      if (!address) continue;
+
+      const subscription = await emailSubscriptionRepository.findById(address);
+      if (
+        !subscription?.confirmed ||
+        !subscription.types.includes(notification.type)
+      ) {
+        continue;
+      }
+
+      const message = emailTemplates.render(notification, role);
+      if (!message) continue;
+
+      // A reorg can re-mine an event in another block and emit it again
+      const alreadySent = await emailNotificationRepository.count({
+        address,
+        eventId: notification.id,
+      });
+      if (alreadySent > 0) continue;
+
+      sent.push(
+        await this.send(address, subscription.email, notification, message)
+      );
+    }
+
+    return sent;
+  }
+
+  /**
+   * Send one email and record the outcome
+   */
+  async send(address, email, notification, message) {
+    const record = {
+      address,
+      email,
+      eventId: notification.id,
+      type: notification.type,
+      subject: message.subject,
+      messageId: null,
+      error: null,
+    };
+
+    try {
+      const info = await this.getTransporter().sendMail({
+        from: config.email.from,
+        to: email,
+        subject: message.subject,
+        text: message.text,
+      });
+      record.messageId = info.messageId;
+    } catch (error) {
+      console.error(`Error emailing ${address}:`, error.message);
+      record.error = error.message;
+    }
+
+    return emailNotificationRepository.create(record);
+  }
+}
+
+module.exports = new EmailService();
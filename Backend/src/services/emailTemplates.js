@@ -0,0 +1,146 @@
+const {
+  NOTIFICATION_TYPES,
+  formatWeiToEth,
+  formatQualityScore,
+} = require("../utils");
+
+/**
+ * Email Templates
+ * Subject and plain-text body for each notification type, per recipient.
+ * A template returns null when the recipient gets no email for the type.
+ */
+
+const BUYER = "buyer";
+const SELLER = "seller";
+
+const signature = "\n\n— Synthetic Data Market";
+
+/**
+ * Short description of a request for message bodies
+ */
+const describeRequest = (notification) => {
+  const requestId =
+    notification.request?.requestId ?? notification.event.args.requestId;
+  const description = notification.request?.description;
+  return description
+    ? `request #${requestId} ("${description}")`
+    : `request #${requestId}`;
+};
+
+const templates = {
+  [NOTIFICATION_TYPES.REQUEST_CREATED]: (notification, recipient) => {
+    if (recipient !== BUYER) return null;
+    const { budget } = notification.event.args;
+    return {
+      subject: `Request #${notification.event.args.requestId} created`,
+      text:
+        `Your ${describeRequest(notification)} is live with a budget of ` +
+        `${formatWeiToEth(budget)} ETH. Sellers can now submit datasets.` +
+        signature,
+    };
+  },
+
+  [NOTIFICATION_TYPES.SUBMISSION_RECEIVED]: (notification, recipient) => {
+    const { submissionId, sampleCount } = notification.event.args;
+    const request = describeRequest(notification);
+
+    if (recipient === BUYER) {
+      return {
+        subject: `New submission #${submissionId} on your request`,
+        text:
+          `Submission #${submissionId} was made on your ${request}: ` +
+          `${sampleCount} samples. It will be quality checked before ` +
+          `payment is released.` +
+          signature,
+      };
+    }
+
+    return {
+      subject: `Submission #${submissionId} received`,
+      text:
+        `Your submission #${submissionId} on ${request} was recorded. ` +
+        `You will get another email once it has been verified.` +
+        signature,
+    };
+  },
+
+  [NOTIFICATION_TYPES.VERIFICATION_COMPLETED]: (notification, recipient) => {
+    const { submissionId, approved, qualityScore, qualityReportCid } =
+      notification.event.args;
+    const { score, grade } = formatQualityScore(Number(qualityScore));
+    const outcome = approved ? "approved" : "rejected";
+    const whose = recipient === SELLER ? "Your submission" : "Submission";
+
+    return {
+      subject: `Submission #${submissionId} ${outcome} (score ${score})`,
+      text:
+        `${whose} #${submissionId} on ${describeRequest(notification)} ` +
+        `was ${outcome} with a quality score of ${score}/100 ` +
+        `(grade ${grade}).\n\nQuality report: ipfs://${qualityReportCid}` +
+        signature,
+    };
+  },
+
+  [NOTIFICATION_TYPES.PAYMENT_RELEASED]: (notification, recipient) => {
+    const { submissionId, amount } = notification.event.args;
+    const eth = formatWeiToEth(amount);
+
+    if (recipient === SELLER) {
+      return {
+        subject: `Payment of ${eth} ETH released`,
+        text:
+          `${eth} ETH was released to you for submission #${submissionId} ` +
+          `on ${describeRequest(notification)}.` +
+          signature,
+      };
+    }
+
+    return {
+      subject: `Payment released for submission #${submissionId}`,
+      text:
+        `${eth} ETH from your ${describeRequest(notification)} was paid ` +
+        `out for submission #${submissionId}. The dataset is yours.` +
+        signature,
+    };
+  },
+
+  [NOTIFICATION_TYPES.REFUND_ISSUED]: (notification, recipient) => {
+    if (recipient !== BUYER) return null;
+    const eth = formatWeiToEth(notification.event.args.amount);
+    return {
+      subject: `Refund of ${eth} ETH issued`,
+      text:
+        `${eth} ETH was refunded to you for your ` +
+        `${describeRequest(notification)}.` +
+        signature,
+    };
+  },
+};
+
+/**
+ * Render the email for a notification recipient, or null when there is
+ * none
+ */
+const render = (notification, recipient) => {
+  const template = templates[notification.type];
+  return template ? template(notification, recipient) : null;
+};
+
+/**
+ * Email asking to confirm a registered address
+ */
+const renderConfirmation = (address, confirmUrl) => ({
+  subject: "Confirm your email for Synthetic Data Market",
+  text:
+    `Wallet ${address} asked to send its notifications to this address. ` +
+    `To confirm, open:\n\n${confirmUrl}\n\n` +
+    "If you didn't ask for this, ignore this email." +
+    signature,
+});
+
+module.exports = {
+  BUYER,
+  SELLER,
+  render,
+  renderConfirmation,
+};
@@ -0,0 +1,173 @@
+const indexerService = require("./indexerService");
+const roleService = require("./roleService");
+const {
+  requestRepository,
+  submissionRepository,
+} = require("../repositories");
+const { CONTRACT_EVENTS, formatRequest } = require("../utils");
+
+/**
+ * Event Stream Service
+ * Fans indexed contract events out to Server-Sent Events clients once they
+ * are confirmed, so clients never see events a reorg drops. Recent events
+ * are kept in memory so reconnecting clients can resume from `Last-Event-ID`.
+ */
+
+// Events about requests and submissions; admin events are not streamed
+const STREAMED_EVENTS = new Set([
+  CONTRACT_EVENTS.REQUEST_CREATED,
+  CONTRACT_EVENTS.SUBMISSION_SUBMITTED,
+  CONTRACT_EVENTS.SUBMISSION_VERIFIED,
+  CONTRACT_EVENTS.PAYMENT_RELEASED,
+  CONTRACT_EVENTS.REFUND_ISSUED,
+]);
+
+// Recent events kept for resuming clients
+const HISTORY_SIZE = 500;
+// Comment sent to idle connections so proxies keep them open
+const HEARTBEAT_INTERVAL_MS = 25000;
+// Delay clients wait before reconnecting
+const RETRY_MS = 5000;
+
+class EventStreamService {
+  constructor() {
+    this.started = false;
+    this.clients = new Set();
+    this.history = [];
+    this.heartbeat = null;
+    this.onEvent = (event) =>
+      this.publish(event).catch((error) =>
+        console.error(`Error streaming ${event.name} event:`, error)
+      );
+  }
+
+  /**
+   * Start streaming indexed contract events
+   */
+  start() {
+    if (this.started) return;
+
+    indexerService.on("event", this.onEvent);
+
+    this.heartbeat = setInterval(() => {
+      for (const client of this.clients) client.res.write(": ping\n\n");
+    }, HEARTBEAT_INTERVAL_MS);
+    this.heartbeat.unref();
+
+    this.started = true;
+    console.log("✅ Event stream started");
+  }
+
+  /**
+   * Record an indexed event with the synced request and submission it
+   * affected, and send it to matching clients
+   */
+  async publish(event) {
+    if (!STREAMED_EVENTS.has(event.name)) return;
+
+    const { args } = event;
+    const submission =
+      args.submissionId !== undefined
+        ? await submissionRepository.findById(Number(args.submissionId))
+        : null;
+    const requestId =
+      args.requestId !== undefined
+        ? Number(args.requestId)
+        : submission?.requestId;
+    const request =
+      requestId !== undefined
+        ? await requestRepository.findById(requestId)
+        : null;
+
+    const entry = {
+      id: event.id,
+      name: event.name,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      request,
+      submission,
+    };
+
+    this.history.push(entry);
+    if (this.history.length > HISTORY_SIZE) this.history.shift();
+
+    for (const client of this.clients) this.enqueue(client, entry);
+  }
+
+  /**
+   * Open a stream on a response. Events after `lastEventId` are replayed
+   * first; when that id is no longer in the history every recent event is
+   * replayed, and clients skip ids they have already seen.
+   *
+   * @param {Object} res - Express response
+   * @param {Object} options - { address, filter: { requestId, buyer, seller }, lastEventId }
+   * @returns {Function} Closes the stream
+   */
+  subscribe(res, { address = null, filter = {}, lastEventId = null } = {}) {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const client = { res, address, filter, queue: Promise.resolve() };
+    this.clients.add(client);
+
+    if (lastEventId) {
+      const index = this.history.findIndex(({ id }) => id === lastEventId);
+      for (const entry of this.history.slice(index + 1)) {
+        this.enqueue(client, entry);
+      }
+    }
+
+    return () => this.clients.delete(client);
+  }
+
+  /**
+   * Whether an event passes a client's filters
+   */
+  matches({ requestId, buyer, seller }, entry) {
+    if (requestId !== undefined && entry.request?.requestId !== requestId) {
+      return false;
+    }
+    if (buyer && entry.request?.buyerAddress !== buyer) return false;
+    if (seller && entry.submission?.sellerAddress !== seller) return false;
+    return true;
+  }
+
+  /**
+   * Queue an event for a client, keeping the client's events in order
+   */
+  enqueue(client, entry) {
+    if (!this.matches(client.filter, entry)) return;
+
+    client.queue = client.queue
+      .then(async () => {
+        const data = {
+          event: {
+            name: entry.name,
+            blockNumber: entry.blockNumber,
+            transactionHash: entry.transactionHash,
+          },
+          request: entry.request ? formatRequest(entry.request) : null,
+          submission: entry.submission
+            ? await roleService.formatSubmissionFor(
+                client.address,
+                entry.submission
+              )
+            : null,
+        };
+
+        if (!this.clients.has(client)) return;
+        client.res.write(
+          `id: ${entry.id}\nevent: ${entry.name}\n` +
+            `data: ${JSON.stringify(data)}\n\n`
+        );
+      })
+      .catch((error) => console.error("Error writing stream event:", error));
+  }
+}
+
+module.exports = new EventStreamService();
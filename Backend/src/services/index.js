@@ -5,10 +5,36 @@
 
 const blockchainService = require("./blockchainService");
 const ipfsService = require("./ipfsService");
+const acceptanceService = require("./acceptanceService");
 const qualityService = require("./qualityService");
+const verificationService = require("./verificationService");
+const reportService = require("./reportService");
+const authService = require("./authService");
+const roleService = require("./roleService");
+const auditService = require("./auditService");
+const datasetService = require("./datasetService");
+const readStore = require("./readStore");
+const indexerService = require("./indexerService");
+const notificationBuilder = require("./notificationBuilder");
+const webhookService = require("./webhookService");
+const emailService = require("./emailService");
+const eventStreamService = require("./eventStreamService");
 
 module.exports = {
   blockchainService,
   ipfsService,
+  acceptanceService,
   qualityService,
+  verificationService,
+  reportService,
+  authService,
+  roleService,
+  auditService,
+  datasetService,
+  readStore,
+  indexerService,
+  notificationBuilder,
+  webhookService,
+  emailService,
+  eventStreamService,
 };
@@ -0,0 +1,284 @@
+const { EventEmitter } = require("events");
+const { blockchainService: blockchainConnection, config } = require("../config");
+const blockchainService = require("./blockchainService");
+const readStore = require("./readStore");
+const roleService = require("./roleService");
+const {
+  requestRepository,
+  submissionRepository,
+} = require("../repositories");
+const { CONTRACT_EVENTS, ERROR_CODES } = require("../utils");
+
+/**
+ * Indexer Service
+ * Backfills contract events from a start block in chunks, then follows the
+ * chain head. Events are only applied once they have the configured number
+ * of confirmations, and data from orphaned blocks is rolled back on reorgs.
+ *
+ * Emits `event` with each stored event once it is final.
+ */
+
+const INDEXED_EVENTS = new Set(Object.values(CONTRACT_EVENTS));
+
+/**
+ * Convert decoded event values to JSON-safe values
+ */
+const normalizeValue = (value) => {
+  if (typeof value === "bigint") return value.toString();
+  if (typeof value === "string" && /^0x[0-9a-fA-F]{40}$/.test(value)) {
+    return value.toLowerCase();
+  }
+  return value;
+};
+
+class IndexerService extends EventEmitter {
+  constructor() {
+    super();
+    this.timer = null;
+    this.running = false;
+    this.headBlock = null;
+    this.targetBlock = null;
+    this.lastError = null;
+    // Events rolled back on a reorg: id -> block hash
+    this.rolledBackEvents = new Map();
+  }
+
+  /**
+   * Load the read store and start following the chain. The backfill runs
+   * in the background; its progress is reported by getStatus
+   */
+  async start() {
+    if (this.timer) return;
+
+    if (!Number.isInteger(config.indexer.startBlock)) {
+      throw new Error(
+        "INDEXER_START_BLOCK must be set to the contract deploy block when the indexer is enabled"
+      );
+    }
+    blockchainConnection.ensureInitialized();
+    await readStore.load();
+
+    console.log(
+      `✅ Indexer starting from block ${
+        readStore.lastProcessedBlock !== null
+          ? readStore.lastProcessedBlock + 1
+          : config.indexer.startBlock
+      }`
+    );
+
+    this.timer = setInterval(() => this.tick(), config.indexer.pollInterval);
+    this.timer.unref();
+    this.tick();
+  }
+
+  /**
+   * Stop following the chain
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Process all newly confirmed blocks
+   */
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      await this.handleReorg();
+
+      const provider = blockchainConnection.provider;
+      this.headBlock = await provider.getBlockNumber();
+      const targetBlock = this.headBlock - config.blockchain.confirmations;
+      this.targetBlock = targetBlock;
+
+      let fromBlock =
+        readStore.lastProcessedBlock !== null
+          ? readStore.lastProcessedBlock + 1
+          : config.indexer.startBlock;
+
+      while (fromBlock <= targetBlock) {
+        const toBlock = Math.min(
+          fromBlock + config.indexer.chunkSize - 1,
+          targetBlock
+        );
+
+        const events = await this.fetchEvents(fromBlock, toBlock);
+        await this.syncAffectedRecords(events);
+        const added = readStore.addEvents(events);
+
+        const block = await provider.getBlock(toBlock);
+        readStore.setCursor(toBlock, block.hash);
+        await readStore.save();
+
+        // Events re-added from a block that survived the reorg were
+        // already emitted
+        added
+          .filter(
+            (event) => this.rolledBackEvents.get(event.id) !== event.blockHash
+          )
+          .forEach((event) => this.emit("event", event));
+        added.forEach((event) => this.rolledBackEvents.delete(event.id));
+        fromBlock = toBlock + 1;
+      }
+
+      readStore.synced = true;
+      this.lastError = null;
+    } catch (error) {
+      console.error("Indexer error:", error);
+      this.lastError = { message: error.message, at: new Date().toISOString() };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Query and decode contract events in a block range
+   */
+  async fetchEvents(fromBlock, toBlock) {
+    const contract = blockchainConnection.contract;
+    const logs = await contract.queryFilter("*", fromBlock, toBlock);
+
+    const events = [];
+    for (const log of logs) {
+      let parsed;
+      try {
+        parsed = contract.interface.parseLog(log);
+      } catch {
+        parsed = null;
+      }
+      if (!parsed || !INDEXED_EVENTS.has(parsed.name)) continue;
+
+      events.push({
+        id: `${log.transactionHash}:${log.index}`,
+        name: parsed.name,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+        args: Object.fromEntries(
+          parsed.fragment.inputs.map((input, i) => [
+            input.name,
+            normalizeValue(parsed.args[i]),
+          ])
+        ),
+      });
+    }
+
+    return events;
+  }
+
+  /**
+   * Detect a reorg below the processed cursor and roll back to the newest
+   * checkpoint that is still on the canonical chain
+   */
+  async handleReorg() {
+    const checkpoints = readStore.checkpoints;
+    if (checkpoints.length === 0) return;
+
+    const provider = blockchainConnection.provider;
+    const latest = checkpoints[checkpoints.length - 1];
+    const latestBlock = await provider.getBlock(latest.blockNumber);
+    if (latestBlock && latestBlock.hash === latest.blockHash) return;
+
+    let rollbackBlock = config.indexer.startBlock - 1;
+    for (let i = checkpoints.length - 2; i >= 0; i--) {
+      const block = await provider.getBlock(checkpoints[i].blockNumber);
+      if (block && block.hash === checkpoints[i].blockHash) {
+        rollbackBlock = checkpoints[i].blockNumber;
+        break;
+      }
+    }
+
+    console.warn(`⚠️ Reorg detected, rolling back to block ${rollbackBlock}`);
+
+    const orphaned = readStore.rollbackTo(rollbackBlock);
+    orphaned.forEach((event) =>
+      this.rolledBackEvents.set(event.id, event.blockHash)
+    );
+    await this.syncAffectedRecords(orphaned);
+    await readStore.save();
+  }
+
+  /**
+   * Refresh the requests and submissions touched by a set of events from
+   * the contract, dropping ones that no longer exist
+   */
+  async syncAffectedRecords(events) {
+    const requestIds = new Set();
+    const submissionIds = new Set();
+
+    for (const { name, args } of events) {
+      if (args.requestId !== undefined) requestIds.add(Number(args.requestId));
+      if (args.submissionId !== undefined) {
+        submissionIds.add(Number(args.submissionId));
+      }
+
+      // A refund moves every submission of the request to REFUNDED
+      if (name === CONTRACT_EVENTS.REFUND_ISSUED) {
+        const submissions = await submissionRepository.find({
+          requestId: Number(args.requestId),
+        });
+        submissions.forEach((submission) =>
+          submissionIds.add(submission.submissionId)
+        );
+      }
+
+      if (name === CONTRACT_EVENTS.QUALITY_VERIFIER_UPDATED) {
+        roleService.clearCache();
+      }
+    }
+
+    for (const submissionId of submissionIds) {
+      try {
+        const submission = await blockchainService.syncSubmission(submissionId);
+        requestIds.add(submission.requestId);
+      } catch (error) {
+        if (error.errorCode !== ERROR_CODES.SUBMISSION_NOT_FOUND) throw error;
+        await submissionRepository.delete(submissionId);
+      }
+    }
+
+    for (const requestId of requestIds) {
+      try {
+        await blockchainService.syncRequest(requestId);
+      } catch (error) {
+        if (error.errorCode !== ERROR_CODES.REQUEST_NOT_FOUND) throw error;
+        await requestRepository.delete(requestId);
+      }
+    }
+  }
+
+  /**
+   * Indexer progress
+   */
+  async getStatus() {
+    const { startBlock } = config.indexer;
+    const lastProcessedBlock = readStore.lastProcessedBlock;
+    let progress = null;
+    if (this.targetBlock !== null && this.targetBlock >= startBlock) {
+      const processed = (lastProcessedBlock ?? startBlock - 1) - startBlock + 1;
+      const total = this.targetBlock - startBlock + 1;
+      progress = Math.min(100, Math.round((processed / total) * 10000) / 100);
+    }
+
+    return {
+      synced: readStore.isSynced(),
+      syncing: this.running,
+      startBlock,
+      lastProcessedBlock,
+      targetBlock: this.targetBlock,
+      progress,
+      headBlock: this.headBlock,
+      confirmations: config.blockchain.confirmations,
+      eventCount: readStore.getEvents().length,
+      requestCount: await requestRepository.count(),
+      submissionCount: await submissionRepository.count(),
+      lastError: this.lastError,
+    };
+  }
+}
+
+module.exports = new IndexerService();
@@ -1,6 +1,12 @@
 // Use CommonJS-compatible import for ipfs-http-client v56.0.3
 const { create } = require("ipfs-http-client");
 const { config } = require("../config");
+const {
+  REPORT_VERSION,
+  validateReport,
+  isQualityReport,
+  migrateReport,
+} = require("./reportSchemas");
 
 /**
  * IPFS Service
@@ -100,6 +106,33 @@ class IPFSService {
     }
   }
 
+  /**
+   * Upload several files (buffers or streams) wrapped in a directory
+   * Returns the CID of the wrapping directory
+   */
+  async uploadDirectory(files, options = {}) {
+    this.ensureInitialized();
+
+    try {
+      let rootCid = null;
+      for await (const result of this.client.addAll(files, {
+        pin: true,
+        wrapWithDirectory: true,
+        ...options,
+      })) {
+        if (result.path === "") {
+          rootCid = result.cid.toString();
+        }
+      }
+
+      console.log(`📤 Uploaded directory to IPFS: ${rootCid}`);
+      return rootCid;
+    } catch (error) {
+      console.error("Error uploading directory to IPFS:", error);
+      throw new Error(`IPFS directory upload failed: ${error.message}`);
+    }
+  }
+
   /**
    * Get content from IPFS
    */
@@ -120,16 +153,80 @@ class IPFSService {
     }
   }
 
+  /**
+   * Stream content from IPFS as Buffer chunks
+   * Options are passed to `cat`, e.g. { offset, length }
+   */
+  async *getContentStream(cid, options = {}) {
+    this.ensureInitialized();
+
+    try {
+      for await (const chunk of this.client.cat(cid, options)) {
+        yield Buffer.from(chunk);
+      }
+    } catch (error) {
+      console.error(`Error streaming from IPFS (${cid}):`, error);
+      throw new Error(`IPFS retrieval failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get content from IPFS as a Buffer
+   * Options are passed to `cat`, e.g. { offset, length }
+   */
+  async getContentBuffer(cid, options = {}) {
+    const chunks = [];
+    for await (const chunk of this.getContentStream(cid, options)) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * List the files under a CID, recursing into directories
+   * A file CID lists as itself, with its CID as the path
+   */
+  async listFiles(cid) {
+    this.ensureInitialized();
+
+    try {
+      const files = [];
+      for await (const entry of this.client.ls(cid)) {
+        if (entry.type === "dir") {
+          const children = await this.listFiles(entry.cid.toString());
+          for (const child of children) {
+            files.push({ ...child, path: `${entry.name}/${child.path}` });
+          }
+        } else {
+          files.push({
+            path: entry.name || entry.path,
+            cid: entry.cid.toString(),
+            size: entry.size,
+          });
+        }
+      }
+      return files;
+    } catch (error) {
+      console.error(`Error listing IPFS content (${cid}):`, error);
+      throw new Error(`IPFS listing failed: ${error.message}`);
+    }
+  }
+
   /**
    * Get JSON object from IPFS
+   * Quality reports of older versions are upgraded to the current one;
+   * other JSON, including reports that don't match their schema, is
+   * returned as is
    */
   async getJSON(cid) {
     const content = await this.getContent(cid);
+    let json;
     try {
-      return JSON.parse(content);
+      json = JSON.parse(content);
     } catch (error) {
       throw new Error("Invalid JSON content in IPFS");
     }
+    return isQualityReport(json) ? migrateReport(json) : json;
   }
 
   /**
@@ -173,13 +270,22 @@ class IPFSService {
 
   /**
    * Upload quality report to IPFS
+   * The report must match the current report schema; options.sign returns
+   * a proof of the final report to embed in it
    */
-  async uploadQualityReport(reportData) {
+  async uploadQualityReport(reportData, options = {}) {
     const report = {
-      version: "1.0",
+      version: REPORT_VERSION,
       timestamp: new Date().toISOString(),
       ...reportData,
     };
+    const problems = validateReport(report);
+    if (problems.length > 0) {
+      throw new Error(
+        `Quality report does not match schema ${REPORT_VERSION}: ${problems.join("; ")}`
+      );
+    }
+    if (options.sign) report.proof = await options.sign(report);
 
     const cid = await this.uploadJSON(report);
 
@@ -192,6 +298,19 @@ class IPFSService {
     };
   }
 
+  /**
+   * Upload a request's acceptance spec to IPFS and pin it
+   */
+  async uploadAcceptanceSpec(spec) {
+    const cid = await this.uploadJSON(spec);
+    await this.pinContent(cid);
+
+    return {
+      cid,
+      gatewayUrl: this.getGatewayUrl(cid),
+    };
+  }
+
   /**
    * Upload dataset metadata to IPFS
    */
@@ -0,0 +1,65 @@
+const {
+  requestRepository,
+  submissionRepository,
+} = require("../repositories");
+const { CONTRACT_EVENT_NOTIFICATIONS } = require("../utils");
+
+/**
+ * Notification Builder
+ * Turns indexed contract events into notifications carrying the affected
+ * request and submission, for the outbound notification channels
+ */
+
+class NotificationBuilder {
+  /**
+   * Build the notification for an indexed event, or null when the event
+   * has no notification type
+   */
+  async build(event) {
+    const type = CONTRACT_EVENT_NOTIFICATIONS[event.name];
+    if (!type) return null;
+
+    const { args } = event;
+    const submission =
+      args.submissionId !== undefined
+        ? await submissionRepository.findById(Number(args.submissionId))
+        : null;
+
+    const requestId = args.requestId ?? submission?.requestId;
+    const request =
+      requestId !== undefined
+        ? await requestRepository.findById(Number(requestId))
+        : null;
+
+    return {
+      id: event.id,
+      type,
+      createdAt: new Date().toISOString(),
+      event: {
+        name: event.name,
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash,
+        args,
+      },
+      request,
+      submission,
+      parties: {
+        buyer: request?.buyerAddress ?? args.buyer ?? null,
+        seller: submission?.sellerAddress ?? args.seller ?? null,
+      },
+    };
+  }
+
+  /**
+   * Whether an address is the buyer or seller a notification concerns
+   */
+  isParty(notification, address) {
+    const normalized = address.toLowerCase();
+    return (
+      notification.parties.buyer === normalized ||
+      notification.parties.seller === normalized
+    );
+  }
+}
+
+module.exports = new NotificationBuilder();
@@ -1,5 +1,43 @@
-// Models removed, no database logic
 const ipfsService = require("./ipfsService");
+const archiveService = require("./archiveService");
+const acceptanceService = require("./acceptanceService");
+const reportService = require("./reportService");
+const { config, resolveScoringProfile } = require("../config");
+const {
+  analyzeCSV,
+  scoreCSV,
+  analyzeImage,
+  summarizeImages,
+  scoreImages,
+  analyzeAudio,
+  summarizeAudio,
+  scoreAudio,
+  loadLexicon,
+  TextCorpus,
+  scoreText,
+  analyzeVideo,
+  summarizeVideos,
+  scoreVideos,
+  PrivacyScanner,
+  scorePrivacy,
+  SNIFF_BYTES,
+  sniffFormat,
+} = require("./analyzers");
+const { extensionOf } = require("./analyzers/helpers");
+const {
+  verificationRepository,
+  aiModelLogRepository,
+} = require("../repositories");
+const {
+  AI_OPERATION_TYPES,
+  FILE_EXTENSIONS,
+  FILE_SIZE_LIMITS,
+} = require("../utils");
+
+// Files analyzed per submission
+const MAX_ANALYZED_FILES = 2000;
+// Dataset file holding the JSON Schema of a text dataset's JSON records
+const DECLARED_SCHEMA_FILE = "schema.json";
 
 /**
  * Quality Verification Service
@@ -9,26 +47,95 @@ const ipfsService = require("./ipfsService");
 class QualityService {
   /**
    * Perform quality verification on a submission
+   * options.profile names the scoring profile, config.ai.qualityCheckModel
+   * by default. options.acceptanceSpecCid is the request's acceptance spec,
+   * whose criteria must all pass and whose threshold takes precedence. A
+   * submission to a request whose spec is invalid is never approved.
    */
   async verifySubmission(submission, options = {}) {
+    let modelLog = null;
+
     try {
       const startTime = Date.now();
+      const acceptance = options.acceptanceSpecCid
+        ? await acceptanceService.load(options.acceptanceSpecCid)
+        : null;
+      const spec = acceptance?.spec || null;
+      const threshold =
+        spec?.threshold ?? options.threshold ?? config.ai.qualityThreshold;
+      const scoring = resolveScoringProfile(
+        options.profile || config.ai.qualityCheckModel,
+        submission.format
+      );
 
       // Create AI model log for this verification
-      // No model log creation
+      modelLog = await aiModelLogRepository.create({
+        modelAddress: submission.modelAddress,
+        modelInfo: { name: options.model || "default" },
+        submissionId: submission.submissionId,
+        requestId: submission.requestId,
+        operationType: AI_OPERATION_TYPES.QUALITY_CHECK,
+        inputParameters: {
+          format: submission.format,
+          threshold,
+          scoringProfile: scoring.profile,
+          acceptanceSpecCid: acceptance?.cid || null,
+        },
+        status: "processing",
+      });
 
       // Perform quality checks based on format
-      const metrics = await this.runQualityChecks(submission);
+      const { metrics, analysis } = await this.runQualityChecks(
+        submission,
+        spec
+      );
 
       // Calculate overall score
-      const overallScore = this.calculateOverallScore(metrics);
-
-      // Determine approval based on threshold
-      const threshold = options.threshold || 70;
-      const approved = overallScore >= threshold;
+      const overallScore = this.calculateOverallScore(metrics, scoring);
+
+      // Evaluate the buyer's acceptance criteria
+      const criteria = spec
+        ? acceptanceService.evaluate(spec, { submission, metrics, analysis })
+        : [];
+      const failedCriteria = criteria.filter((criterion) => !criterion.passed);
+
+      // Determine approval based on threshold, the profile's minimums and
+      // the acceptance criteria, which can't be checked against an invalid
+      // spec
+      const failedMinimums = this.checkMinimums(metrics, scoring);
+      const acceptanceError = acceptance?.error || null;
+      const approved =
+        overallScore >= threshold &&
+        failedMinimums.length === 0 &&
+        failedCriteria.length === 0 &&
+        !acceptanceError;
 
       // Identify issues
-      const issues = this.identifyIssues(metrics, submission);
+      const issues = [
+        ...failedMinimums.map(({ metric, score, minimum }) => ({
+          severity: "critical",
+          category: metric,
+          description: `${metric} score ${score}% is below the ${scoring.profile} profile's minimum of ${minimum}%`,
+          location: "dataset",
+        })),
+        ...failedCriteria.map(({ criterion, detail }) => ({
+          severity: "critical",
+          category: "acceptance",
+          description: `Acceptance criterion ${criterion} failed: ${detail}`,
+          location: "dataset",
+        })),
+        ...(acceptanceError
+          ? [
+              {
+                severity: "critical",
+                category: "acceptance",
+                description: `Acceptance spec ${acceptance.cid} is invalid, so the submission can't be approved: ${acceptanceError}`,
+                location: "acceptanceSpec",
+              },
+            ]
+          : []),
+        ...this.identifyIssues(metrics, submission, analysis),
+      ];
 
       // Generate quality report
       const reportData = {
@@ -39,7 +146,30 @@ class QualityService {
         overallScore,
         metrics,
         issues,
-        summary: this.generateSummary(metrics, overallScore, approved),
+        analysis,
+        scoring: {
+          profile: scoring.profile,
+          threshold,
+          weights: this.metricWeights(metrics, scoring),
+          minimums: scoring.minimums,
+          failedMinimums,
+        },
+        acceptance: acceptance
+          ? {
+              specCid: acceptance.cid,
+              error: acceptance.error,
+              passed: spec ? failedCriteria.length === 0 : false,
+              criteria,
+            }
+          : null,
+        summary: this.generateSummary(
+          metrics,
+          overallScore,
+          approved,
+          failedMinimums,
+          failedCriteria,
+          acceptanceError
+        ),
         datasetInfo: {
           format: submission.format,
           fileSize: submission.fileSize,
@@ -53,24 +183,66 @@ class QualityService {
       let reportUrl = null;
 
       if (ipfsService.initialized) {
-        const ipfsResult = await ipfsService.uploadQualityReport(reportData);
+        // Reports are signed by the verifier wallet when one is configured
+        const ipfsResult = await ipfsService.uploadQualityReport(reportData, {
+          sign: reportService.canSign()
+            ? (report) => reportService.sign(report)
+            : null,
+        });
         reportCid = ipfsResult.cid;
         reportUrl = ipfsResult.gatewayUrl;
       }
 
       // Create verification record
-      // No verification record creation
+      const verification = await verificationRepository.create({
+        submissionId: submission.submissionId,
+        requestId: submission.requestId,
+        verifiedBy: options.verifiedBy || null,
+        approved,
+        overallScore,
+        metrics,
+        reportCid,
+        reportMetadata: {
+          reportUrl,
+          threshold,
+          scoringProfile: scoring.profile,
+          acceptanceSpecCid: acceptance?.cid || null,
+        },
+        notes: options.notes || null,
+        issues,
+        verificationTxHash: null,
+        verifiedAt: new Date().toISOString(),
+      });
 
       // Update AI model log
-      // No model log update
+      const completedAt = new Date().toISOString();
+      await aiModelLogRepository.update(modelLog._id, {
+        status: "completed",
+        outputMetadata: { overallScore, approved, reportCid },
+        performance: { durationMs: Date.now() - startTime },
+        completedAt,
+      });
 
       return {
+        verificationId: verification._id,
         reportCid,
         reportUrl,
         approved,
         overallScore,
+        report: reportData,
       };
     } catch (error) {
+      if (modelLog) {
+        await aiModelLogRepository
+          .update(modelLog._id, {
+            status: "failed",
+            error: error.message,
+            completedAt: new Date().toISOString(),
+          })
+          .catch((logError) =>
+            console.error("Error updating AI model log:", logError)
+          );
+      }
       console.error("Error in quality verification:", error);
       throw error;
     }
@@ -78,8 +250,10 @@ class QualityService {
 
   /**
    * Run quality checks based on format
+   * Returns the metric scores and the format check's content analysis; an
+   * acceptance spec with labels has the record labels counted
    */
-  async runQualityChecks(submission) {
+  async runQualityChecks(submission, spec = null) {
     const metrics = {
       accuracy: null,
       completeness: null,
@@ -99,25 +273,30 @@ class QualityService {
     metrics.formatCompliance = this.checkFormatCompliance(submission);
 
     // Format-specific checks
+    let result = null;
     switch (submission.format) {
       case "CSV":
-        Object.assign(metrics, await this.checkCSVQuality(submission));
+        result = await this.checkCSVQuality(submission, null, spec);
         break;
       case "IMAGE":
-        Object.assign(metrics, await this.checkImageQuality(submission));
+        result = await this.checkImageQuality(submission);
         break;
       case "AUDIO":
-        Object.assign(metrics, await this.checkAudioQuality(submission));
+        result = await this.checkAudioQuality(submission);
         break;
       case "TEXT":
-        Object.assign(metrics, await this.checkTextQuality(submission));
+        result = await this.checkTextQuality(submission, null, spec);
         break;
       case "VIDEO":
-        Object.assign(metrics, await this.checkVideoQuality(submission));
+        result = await this.checkVideoQuality(submission);
+        break;
+      case "MIXED":
+        result = await this.checkMixedQuality(submission, spec);
         break;
       default:
         metrics.validity = 80; // Default validity score
     }
+    if (result) Object.assign(metrics, result.metrics);
 
     // Remove null values
     Object.keys(metrics).forEach((key) => {
@@ -126,7 +305,7 @@ class QualityService {
       }
     });
 
-    return metrics;
+    return { metrics, analysis: result?.analysis ?? null };
   }
 
   /**
@@ -153,20 +332,13 @@ class QualityService {
    * Check format compliance
    */
   checkFormatCompliance(submission) {
-    // Check if file extensions match format
-    const expectedExtensions = {
-      CSV: ["csv", "tsv"],
-      IMAGE: ["jpg", "jpeg", "png", "gif", "bmp", "webp"],
-      AUDIO: ["mp3", "wav", "flac", "aac", "ogg"],
-      TEXT: ["txt", "json", "xml", "md"],
-      VIDEO: ["mp4", "avi", "mov", "mkv", "webm"],
-    };
-
+    // Check if file extensions match format, using the extensions uploads
+    // of the format are accepted with
     const extensions = submission.fileExtensions
       .toLowerCase()
       .split(",")
       .map((e) => e.trim());
-    const expected = expectedExtensions[submission.format] || [];
+    const expected = FILE_EXTENSIONS[submission.format] || [];
 
     if (expected.length === 0) return 100; // MIXED format or unknown
 
@@ -174,77 +346,541 @@ class QualityService {
     return (matches.length / extensions.length) * 100;
   }
 
+  /**
+   * List the dataset files with one of the given extensions; a dataset of
+   * a single file without a matching extension is returned as is. A single
+   * file uploaded without a name has no extension of its own, so it gets
+   * the matching one the submission declares as `extension`
+   */
+  async listDatasetFiles(submission, extensions) {
+    const files = await ipfsService.listFiles(submission.datasetReference);
+    const matching = files.filter((file) =>
+      extensions.includes(extensionOf(file.path))
+    );
+    if (matching.length > 0 || files.length !== 1) return matching;
+
+    const [file] = files;
+    if (extensionOf(file.path)) return files;
+    const declared = (submission.fileExtensions || "")
+      .toLowerCase()
+      .split(",")
+      .map((extension) => extension.trim())
+      .find((extension) => extensions.includes(extension));
+    return [{ ...file, extension: declared ?? null }];
+  }
+
+  /**
+   * Stream a dataset file, which may be an archive entry
+   * Options select a range, as for ipfsService.getContentStream
+   */
+  streamFile(file, options = {}) {
+    return file.archive
+      ? archiveService.getEntryStream(file, options)
+      : ipfsService.getContentStream(file.cid, options);
+  }
+
+  /**
+   * Read a dataset file, or a range of it, into a Buffer
+   */
+  async readFile(file, options = {}) {
+    const chunks = [];
+    for await (const chunk of this.streamFile(file, options)) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
   /**
    * CSV-specific quality checks
+   * Streams every CSV/TSV file of the dataset from IPFS and scores its
+   * contents, scanning each row for PII (privacyPreservation)
    */
-  async checkCSVQuality(submission) {
+  async checkCSVQuality(submission, files = null, spec = null) {
+    const tabular =
+      files || (await this.listDatasetFiles(submission, ["csv", "tsv"]));
+
+    const privacy = new PrivacyScanner();
+    const labels = spec?.labels?.field
+      ? acceptanceService.createLabelTally(spec.labels.field)
+      : null;
+    const analyses = [];
+    for (const file of tabular) {
+      analyses.push(
+        await analyzeCSV(this.streamFile(file), file.path, (record, location) => {
+          privacy.addRecord(record, location, file.path);
+          if (labels) labels.addRecord(record);
+        })
+      );
+    }
+
+    const privacySummary = privacy.summarize();
     return {
-      accuracy: 85,
-      validity: 90,
-      consistency: 80,
-      distributionScore: 75,
+      metrics: { ...scoreCSV(analyses), ...scorePrivacy(privacySummary) },
+      analysis: {
+        files: analyses,
+        privacy: privacySummary,
+        ...(labels && { labels: labels.summary() }),
+        findings: privacy.findings(privacySummary),
+      },
     };
   }
 
   /**
    * Image-specific quality checks
+   * Decodes the dataset's images to score readable, correctly typed files
+   * (validity) and distinct perceptual-hash clusters (diversityScore)
    */
-  async checkImageQuality(submission) {
+  async checkImageQuality(submission, files = null) {
+    const imageFiles =
+      files ||
+      (await this.listDatasetFiles(submission, FILE_EXTENSIONS.IMAGE));
+
+    const images = [];
+    for (const file of imageFiles.slice(0, MAX_ANALYZED_FILES)) {
+      if (file.size > FILE_SIZE_LIMITS.IMAGE) {
+        images.push({
+          path: file.path,
+          size: file.size,
+          error: "Image exceeds the size limit",
+        });
+        continue;
+      }
+      const buffer = await this.readFile(file);
+      images.push(await analyzeImage(buffer, file.path));
+    }
+
+    const summary = summarizeImages(images);
     return {
-      validity: 90,
-      diversityScore: 80,
-      syntheticQuality: 85,
+      metrics: scoreImages(summary),
+      analysis: {
+        ...summary,
+        truncated: imageFiles.length > MAX_ANALYZED_FILES,
+        images: images.map(({ path, detectedType, width, height, hash }) => ({
+          path,
+          type: detectedType || null,
+          width: width ?? null,
+          height: height ?? null,
+          hash: hash ?? null,
+        })),
+      },
     };
   }
 
   /**
    * Audio-specific quality checks
+   * Decodes the dataset's WAV and FLAC files to check format and duration
+   * consistency, silence, clipping and length, and compares the hours of
+   * audio with the claimed sample count
    */
-  async checkAudioQuality(submission) {
+  async checkAudioQuality(submission, files = null) {
+    const audioFiles =
+      files ||
+      (await this.listDatasetFiles(submission, FILE_EXTENSIONS.AUDIO));
+
+    const analyses = [];
+    for (const file of audioFiles.slice(0, MAX_ANALYZED_FILES)) {
+      if (file.size > FILE_SIZE_LIMITS.AUDIO) {
+        analyses.push({
+          path: file.path,
+          problems: [],
+          error: "Audio file exceeds the size limit",
+        });
+        continue;
+      }
+      analyses.push(await analyzeAudio(this.streamFile(file), file.path));
+    }
+
+    const summary = summarizeAudio(analyses, submission.sampleCount);
     return {
-      validity: 88,
-      syntheticQuality: 82,
+      metrics: scoreAudio(summary),
+      analysis: {
+        ...summary,
+        truncated: audioFiles.length > MAX_ANALYZED_FILES,
+        files: analyses,
+      },
     };
   }
 
   /**
    * Text-specific quality checks
+   * Splits the dataset's text and JSON files into records to score schema
+   * conformity (validity), near-duplicates (uniqueness), vocabulary
+   * diversity, lexicon matches (biasScore) and empty or repetitive records
+   * (syntheticQuality). JSON records are validated against the dataset's
+   * schema.json, or a schema inferred from the first records. Records are
+   * scanned for PII (privacyPreservation).
    */
-  async checkTextQuality(submission) {
+  async checkTextQuality(submission, files = null, spec = null) {
+    const textFiles =
+      files ||
+      (await this.listDatasetFiles(submission, FILE_EXTENSIONS.TEXT));
+    const schemaFile = textFiles.find(
+      (file) => file.path === DECLARED_SCHEMA_FILE
+    );
+    const recordFiles = textFiles.filter((file) => file !== schemaFile);
+
+    const privacy = new PrivacyScanner();
+    const labels = spec?.labels?.field
+      ? acceptanceService.createLabelTally(spec.labels.field)
+      : null;
+    const corpus = new TextCorpus({
+      lexicon: loadLexicon(config.ai.biasLexiconPath),
+      declaredSchema: schemaFile
+        ? (await this.readFile(schemaFile)).toString("utf8")
+        : null,
+      onRecord: (record, filePath) => {
+        // JSON objects are tables; their keys may be quasi-identifiers
+        if (
+          record.json &&
+          record.value !== null &&
+          typeof record.value === "object" &&
+          !Array.isArray(record.value)
+        ) {
+          privacy.addRecord(record.value, record.location, filePath);
+          if (labels) labels.addRecord(record.value);
+        } else {
+          privacy.addText(record.text, record.location);
+          if (labels) labels.add(null);
+        }
+      },
+    });
+    for (const file of recordFiles.slice(0, MAX_ANALYZED_FILES)) {
+      if (corpus.truncated) break;
+      if (file.size > FILE_SIZE_LIMITS.TEXT) {
+        corpus.addUnreadable(file.path, "Text file exceeds the size limit");
+        continue;
+      }
+      corpus.addFile(await this.readFile(file), file.path, file.extension);
+    }
+
+    const summary = corpus.summarize();
+    const privacySummary = privacy.summarize();
+    // Files that are not text don't comply with the format, whatever their
+    // extension
+    const unreadable = summary.files.filter((file) => file.error).length;
     return {
-      validity: 85,
-      diversityScore: 78,
-      biasScore: 75,
-      syntheticQuality: 80,
+      metrics: {
+        ...scoreText(summary),
+        ...scorePrivacy(privacySummary),
+        ...(unreadable > 0 && {
+          formatCompliance: Math.min(
+            this.checkFormatCompliance(submission),
+            (1 - unreadable / summary.files.length) * 100
+          ),
+        }),
+      },
+      analysis: {
+        ...summary,
+        truncated:
+          summary.truncated || recordFiles.length > MAX_ANALYZED_FILES,
+        privacy: privacySummary,
+        ...(labels && { labels: labels.summary() }),
+        findings: [...summary.findings, ...privacy.findings(privacySummary)],
+      },
     };
   }
 
   /**
    * Video-specific quality checks
+   * Inspects the dataset's MP4/MOV and WebM/MKV containers, reading only
+   * their metadata, to check they are complete and consistent in duration,
+   * resolution and frame rate
+   */
+  async checkVideoQuality(submission, files = null) {
+    const videoFiles =
+      files ||
+      (await this.listDatasetFiles(submission, FILE_EXTENSIONS.VIDEO));
+
+    const analyses = [];
+    for (const file of videoFiles.slice(0, MAX_ANALYZED_FILES)) {
+      if (file.size > FILE_SIZE_LIMITS.VIDEO) {
+        analyses.push({
+          path: file.path,
+          size: file.size,
+          problems: [],
+          error: "Video file exceeds the size limit",
+        });
+        continue;
+      }
+      const source = {
+        size: file.size,
+        read: (offset, length) => this.readFile(file, { offset, length }),
+      };
+      analyses.push(await analyzeVideo(source, file.path));
+    }
+
+    const summary = summarizeVideos(analyses, submission.sampleCount);
+    return {
+      metrics: scoreVideos(summary),
+      analysis: {
+        ...summary,
+        truncated: videoFiles.length > MAX_ANALYZED_FILES,
+        files: analyses,
+      },
+    };
+  }
+
+  /**
+   * MIXED-format quality checks
+   * Expands zip and tar(.gz) archives into a manifest of files, classifies
+   * each file by its content, and runs each format's check on its group of
+   * files. Metrics are averaged over the groups weighted by file count,
+   * validity is scaled by the share of readable files and archives, and
+   * formatCompliance is the share of files of a recognized format.
+   */
+  async checkMixedQuality(submission, spec = null) {
+    const archives = [];
+    const manifest = [];
+
+    try {
+      const files = await ipfsService.listFiles(submission.datasetReference);
+      for (const file of files) {
+        const head = await this.readFile(file, { length: SNIFF_BYTES });
+        const type = archiveService.detectArchive(head);
+        if (!type) {
+          manifest.push({ ...file, format: sniffFormat(head, file.path) });
+          continue;
+        }
+
+        if (file.size > FILE_SIZE_LIMITS.MIXED) {
+          archives.push({
+            path: file.path,
+            type,
+            size: file.size,
+            entries: [],
+            error: "Archive exceeds the size limit",
+          });
+          continue;
+        }
+        let archive;
+        try {
+          archive = await archiveService.open(file, type);
+        } catch (error) {
+          archives.push({
+            path: file.path,
+            type,
+            size: file.size,
+            entries: [],
+            error: error.message,
+          });
+          continue;
+        }
+        archives.push({ ...archive, size: file.size });
+
+        for (const entry of archive.entries) {
+          let format = null;
+          if (!entry.error) {
+            try {
+              const entryHead = await this.readFile(entry, {
+                length: SNIFF_BYTES,
+              });
+              format = sniffFormat(entryHead, entry.path);
+            } catch (error) {
+              entry.error = error.message;
+            }
+          }
+          manifest.push({ ...entry, format });
+        }
+      }
+
+      return await this.checkManifest(submission, manifest, archives, spec);
+    } finally {
+      await Promise.all(
+        archives.map((archive) =>
+          archiveService
+            .close(archive)
+            .catch((error) =>
+              console.error(`Error removing extracted ${archive.path}:`, error)
+            )
+        )
+      );
+    }
+  }
+
+  /**
+   * Run the format checks on the classified files of a MIXED dataset and
+   * combine them into one result with a section per format
    */
-  async checkVideoQuality(submission) {
+  async checkManifest(submission, manifest, archives, spec = null) {
+    const groups = {};
+    for (const file of manifest) {
+      if (!file.format) continue;
+      if (!groups[file.format]) groups[file.format] = [];
+      groups[file.format].push(file);
+    }
+
+    const checks = {
+      CSV: this.checkCSVQuality,
+      IMAGE: this.checkImageQuality,
+      AUDIO: this.checkAudioQuality,
+      TEXT: this.checkTextQuality,
+      VIDEO: this.checkVideoQuality,
+    };
+    const sections = {};
+    for (const [format, files] of Object.entries(groups)) {
+      // Each section is checked as a dataset of its own format
+      const section = { ...submission, format, sampleCount: null };
+      const { metrics, analysis } = await checks[format].call(
+        this,
+        section,
+        files,
+        spec
+      );
+      sections[format] = { fileCount: files.length, metrics, analysis };
+    }
+
+    const totals = {};
+    for (const { fileCount, metrics } of Object.values(sections)) {
+      for (const [name, value] of Object.entries(metrics)) {
+        totals[name] ??= { sum: 0, weight: 0 };
+        totals[name].sum += value * fileCount;
+        totals[name].weight += fileCount;
+      }
+    }
+    const metrics = Object.fromEntries(
+      Object.entries(totals).map(([name, { sum, weight }]) => [
+        name,
+        Math.round(sum / weight),
+      ])
+    );
+
+    // Unreadable files and archives that failed to read are items of no
+    // recognized format. Validity drops with the share of unreadable files,
+    // and with the share of the dataset's bytes in failed archives, whose
+    // lost entries can't be counted
+    const unreadable = manifest.filter((file) => file.error);
+    const failedArchives = archives.filter((archive) => archive.error);
+    const unclassified = manifest.filter(
+      (file) => !file.error && !file.format
+    );
+    const classified = manifest.filter((file) => file.format).length;
+    const items = manifest.length + failedArchives.length;
+    metrics.formatCompliance =
+      items > 0 ? Math.round((classified / items) * 100) : 0;
+
+    const sumSizes = (files) =>
+      files.reduce((sum, file) => sum + (file.size || 0), 0);
+    const datasetBytes =
+      sumSizes(manifest.filter((file) => !file.archive)) + sumSizes(archives);
+    const readableShare =
+      (1 - unreadable.length / Math.max(1, manifest.length)) *
+      (datasetBytes > 0 ? 1 - sumSizes(failedArchives) / datasetBytes : 1);
+    metrics.validity =
+      Object.keys(sections).length > 0
+        ? Math.round((metrics.validity ?? 100) * readableShare)
+        : 0;
+
+    const findings = [
+      ...archives
+        .filter((archive) => archive.error)
+        .map((archive) => ({
+          severity: "high",
+          category: "validity",
+          description: `Corrupt ${archive.type} archive: ${archive.error}`,
+          location: archive.path,
+        })),
+      ...unreadable.map((file) => ({
+        severity: "high",
+        category: "validity",
+        description: file.error,
+        location: file.path,
+      })),
+      ...Object.values(sections).flatMap(
+        ({ analysis }) => analysis?.findings || []
+      ),
+    ];
+    if (unclassified.length > 0) {
+      findings.push({
+        severity: "medium",
+        category: "formatCompliance",
+        description: `${unclassified.length} files are of no recognized data format`,
+        location: unclassified
+          .slice(0, 10)
+          .map((file) => file.path)
+          .join(", "),
+      });
+    }
+
     return {
-      validity: 87,
-      syntheticQuality: 83,
+      metrics,
+      analysis: {
+        archives: archives.map(({ path, type, entries, truncated, error }) => ({
+          path,
+          type,
+          fileCount: entries.length,
+          truncated: Boolean(truncated),
+          error,
+        })),
+        manifest: manifest.map(({ path, size, archive, format, error }) => ({
+          path,
+          size,
+          archive: archive || null,
+          format,
+          error: error || null,
+        })),
+        formats: Object.fromEntries(
+          Object.entries(groups).map(([format, files]) => [
+            format,
+            files.length,
+          ])
+        ),
+        sections,
+        findings,
+      },
     };
   }
 
   /**
-   * Calculate overall score from metrics
+   * Weight of each scored metric under a resolved scoring profile; every
+   * metric weighs the same without one
+   */
+  metricWeights(metrics, scoring = null) {
+    return Object.fromEntries(
+      Object.entries(metrics)
+        .filter(([, value]) => typeof value === "number")
+        .map(([metric]) => [
+          metric,
+          scoring ? scoring.weights[metric] ?? scoring.defaultWeight : 1,
+        ])
+    );
+  }
+
+  /**
+   * Calculate overall score from metrics as their weighted average
    */
-  calculateOverallScore(metrics) {
-    const values = Object.values(metrics).filter((v) => typeof v === "number");
+  calculateOverallScore(metrics, scoring = null) {
+    const weights = Object.entries(this.metricWeights(metrics, scoring));
+    const total = weights.reduce((acc, [, weight]) => acc + weight, 0);
+
+    if (total === 0) return 0;
 
-    if (values.length === 0) return 0;
+    const sum = weights.reduce(
+      (acc, [metric, weight]) => acc + metrics[metric] * weight,
+      0
+    );
+    return Math.round(sum / total);
+  }
 
-    const sum = values.reduce((acc, val) => acc + val, 0);
-    return Math.round(sum / values.length);
+  /**
+   * Metrics scoring below the profile's minimum for them
+   */
+  checkMinimums(metrics, scoring) {
+    return Object.entries(scoring.minimums)
+      .filter(
+        ([metric, minimum]) =>
+          typeof metrics[metric] === "number" && metrics[metric] < minimum
+      )
+      .map(([metric, minimum]) => ({
+        metric,
+        score: metrics[metric],
+        minimum,
+      }));
   }
 
   /**
-   * Identify issues based on metrics
+   * Identify issues based on metrics and the content analysis
    */
-  identifyIssues(metrics, submission) {
+  identifyIssues(metrics, submission, analysis = null) {
     const issues = [];
 
     Object.entries(metrics).forEach(([metric, score]) => {
@@ -276,13 +912,23 @@ class QualityService {
       });
     }
 
+    // Per-file findings of the content analysis
+    issues.push(...(analysis?.findings || []));
+
     return issues;
   }
 
   /**
    * Generate quality summary
    */
-  generateSummary(metrics, overallScore, approved) {
+  generateSummary(
+    metrics,
+    overallScore,
+    approved,
+    failedMinimums = [],
+    failedCriteria = [],
+    acceptanceError = null
+  ) {
     const criticalMetrics = ["accuracy", "validity", "formatCompliance"];
     const criticalScores = criticalMetrics
       .filter((m) => metrics[m] !== undefined)
@@ -300,6 +946,16 @@ class QualityService {
       metricsCount: Object.keys(metrics).length,
       recommendation: approved
         ? "Dataset meets quality standards and is approved for use"
+        : acceptanceError
+        ? `The buyer's acceptance spec is invalid: ${acceptanceError}`
+        : failedCriteria.length > 0
+        ? `Dataset fails the buyer's acceptance criteria: ${failedCriteria
+            .map(({ criterion }) => criterion)
+            .join(", ")}`
+        : failedMinimums.length > 0
+        ? `Dataset falls below the minimum ${failedMinimums
+            .map(({ metric }) => metric)
+            .join(", ")} score`
         : "Dataset does not meet minimum quality standards",
     };
   }
@@ -0,0 +1,203 @@
+const fs = require("fs");
+const path = require("path");
+const { config } = require("../config");
+
+/**
+ * Read Store
+ * Local, file-backed log of indexed contract events and the indexer's block
+ * cursor. Events are appended to a JSON Lines log next to the cursor file,
+ * which is only rewritten after a rollback. The requests and submissions the
+ * events touch are kept in the repositories, so reads don't need an RPC call
+ * per record
+ */
+
+// Number of block checkpoints kept for reorg detection
+const MAX_CHECKPOINTS = 64;
+
+const emptyState = () => ({
+  lastProcessedBlock: null,
+  checkpoints: [],
+  events: [],
+});
+
+/**
+ * Write a file atomically
+ */
+const writeFileAtomic = async (filePath, content) => {
+  const tempPath = `${filePath}.tmp`;
+  await fs.promises.writeFile(tempPath, content);
+  await fs.promises.rename(tempPath, filePath);
+};
+
+const toLines = (events) =>
+  events.map((event) => `${JSON.stringify(event)}\n`).join("");
+
+class ReadStore {
+  constructor() {
+    this.filePath = config.indexer.storePath;
+    this.eventsPath = path.join(
+      path.dirname(this.filePath),
+      `${path.basename(this.filePath, ".json")}.events.jsonl`
+    );
+    this.state = emptyState();
+    // Ids of the stored events, for deduplication
+    this.eventIds = new Set();
+    // Events not yet appended to the log
+    this.pendingEvents = [];
+    // Whether the log must be rewritten, after a rollback
+    this.rewriteEvents = false;
+    this.loaded = false;
+    this.synced = false;
+  }
+
+  /**
+   * Load the store from disk
+   */
+  async load() {
+    this.state = emptyState();
+    this.pendingEvents = [];
+    this.rewriteEvents = false;
+    try {
+      const content = await fs.promises.readFile(this.filePath, "utf-8");
+      const { events, ...cursor } = JSON.parse(content);
+      this.state = { ...this.state, ...cursor };
+      // Stores written before the log kept their events inline
+      if (Array.isArray(events) && events.length > 0) {
+        this.state.events = events;
+        this.rewriteEvents = true;
+      }
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error("Error loading read store, starting empty:", error);
+      }
+    }
+
+    if (!this.rewriteEvents) {
+      this.state.events = await this.readEventLog();
+    }
+    this.eventIds = new Set(this.state.events.map((event) => event.id));
+    this.loaded = true;
+  }
+
+  /**
+   * Read the event log, skipping a line cut short by a crash
+   */
+  async readEventLog() {
+    let content;
+    try {
+      content = await fs.promises.readFile(this.eventsPath, "utf-8");
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error("Error loading read store events:", error);
+      }
+      return [];
+    }
+
+    const events = [];
+    for (const line of content.split("\n")) {
+      if (!line) continue;
+      try {
+        events.push(JSON.parse(line));
+      } catch {
+        console.warn("Skipping unreadable read store event");
+      }
+    }
+    return events;
+  }
+
+  /**
+   * Append new events to the log, or rewrite it after a rollback, then
+   * write the cursor. Events beyond the cursor are deduplicated when their
+   * blocks are processed again
+   */
+  async save() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    if (this.rewriteEvents) {
+      await writeFileAtomic(this.eventsPath, toLines(this.state.events));
+      this.rewriteEvents = false;
+    } else if (this.pendingEvents.length > 0) {
+      await fs.promises.appendFile(
+        this.eventsPath,
+        toLines(this.pendingEvents)
+      );
+    }
+    this.pendingEvents = [];
+
+    const { lastProcessedBlock, checkpoints } = this.state;
+    await writeFileAtomic(
+      this.filePath,
+      JSON.stringify({ lastProcessedBlock, checkpoints })
+    );
+  }
+
+  /**
+   * Whether the store has caught up with the chain and can serve reads
+   */
+  isSynced() {
+    return this.loaded && this.synced;
+  }
+
+  get lastProcessedBlock() {
+    return this.state.lastProcessedBlock;
+  }
+
+  get checkpoints() {
+    return this.state.checkpoints;
+  }
+
+  /**
+   * Advance the processed block cursor, remembering its hash
+   */
+  setCursor(blockNumber, blockHash) {
+    this.state.lastProcessedBlock = blockNumber;
+    this.state.checkpoints.push({ blockNumber, blockHash });
+    if (this.state.checkpoints.length > MAX_CHECKPOINTS) {
+      this.state.checkpoints.shift();
+    }
+  }
+
+  /**
+   * Rewind to a block, dropping events and checkpoints after it
+   * Returns the removed events
+   */
+  rollbackTo(blockNumber) {
+    const removed = this.state.events.filter(
+      (event) => event.blockNumber > blockNumber
+    );
+    this.state.events = this.state.events.filter(
+      (event) => event.blockNumber <= blockNumber
+    );
+    this.state.checkpoints = this.state.checkpoints.filter(
+      (checkpoint) => checkpoint.blockNumber <= blockNumber
+    );
+    this.state.lastProcessedBlock = blockNumber;
+    if (removed.length > 0) {
+      removed.forEach((event) => this.eventIds.delete(event.id));
+      this.pendingEvents = [];
+      this.rewriteEvents = true;
+    }
+    return removed;
+  }
+
+  /**
+   * Append events, ignoring ones already stored
+   */
+  addEvents(events) {
+    const added = events.filter((event) => !this.eventIds.has(event.id));
+    added.forEach((event) => this.eventIds.add(event.id));
+    this.state.events.push(...added);
+    this.pendingEvents.push(...added);
+    return added;
+  }
+
+  /**
+   * List stored events, optionally of one name, oldest first
+   */
+  getEvents({ name } = {}) {
+    return name
+      ? this.state.events.filter((event) => event.name === name)
+      : this.state.events;
+  }
+}
+
+module.exports = new ReadStore();
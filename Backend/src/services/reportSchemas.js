@@ -0,0 +1,324 @@
+const Ajv = require("ajv");
+const { QUALITY_METRICS, ISSUE_SEVERITY } = require("../utils");
+
+/**
+ * Quality Report Schemas
+ * JSON Schema of every quality report version, and the migrations that
+ * upgrade a report of an older version to the current one
+ */
+
+const REPORT_VERSION = "2.0";
+
+const SCORE = { type: "number", minimum: 0, maximum: 100 };
+const METRIC_SCORES = {
+  type: "object",
+  propertyNames: { enum: Object.values(QUALITY_METRICS) },
+  additionalProperties: SCORE,
+};
+const METRIC_VALUES = {
+  type: "object",
+  propertyNames: { enum: Object.values(QUALITY_METRICS) },
+  additionalProperties: { type: "number", minimum: 0 },
+};
+
+const ISSUE = {
+  type: "object",
+  additionalProperties: false,
+  required: ["severity", "category", "description"],
+  properties: {
+    severity: { enum: Object.values(ISSUE_SEVERITY) },
+    category: { type: "string" },
+    description: { type: "string" },
+    location: { type: "string" },
+  },
+};
+
+const SUMMARY = {
+  type: "object",
+  additionalProperties: false,
+  required: [
+    "status",
+    "overallScore",
+    "criticalScore",
+    "metricsCount",
+    "recommendation",
+  ],
+  properties: {
+    status: { enum: ["APPROVED", "REJECTED"] },
+    overallScore: SCORE,
+    criticalScore: SCORE,
+    metricsCount: { type: "integer", minimum: 0 },
+    recommendation: { type: "string" },
+  },
+};
+
+const DATASET_INFO = {
+  type: "object",
+  additionalProperties: false,
+  required: ["format"],
+  properties: {
+    format: { type: "string" },
+    fileSize: { type: ["integer", "null"], minimum: 0 },
+    sampleCount: { type: ["integer", "null"], minimum: 0 },
+    fileExtensions: { type: ["string", "null"] },
+  },
+};
+
+// The report layout the baseline verifier published. Fields were later
+// added to 1.0 reports without a version bump, so other fields are allowed.
+const REPORT_1_0_FIELDS = [
+  "version",
+  "timestamp",
+  "submissionId",
+  "requestId",
+  "approved",
+  "overallScore",
+  "metrics",
+  "issues",
+  "summary",
+  "datasetInfo",
+];
+const REPORT_SCHEMA_1_0 = {
+  type: "object",
+  required: REPORT_1_0_FIELDS,
+  properties: {
+    version: { const: "1.0" },
+    timestamp: { type: "string" },
+    submissionId: { type: "integer", minimum: 0 },
+    requestId: { type: "integer", minimum: 0 },
+    approved: { type: "boolean" },
+    overallScore: SCORE,
+    metrics: METRIC_SCORES,
+    issues: { type: "array", items: ISSUE },
+    summary: SUMMARY,
+    datasetInfo: DATASET_INFO,
+  },
+};
+
+const REPORT_SCHEMA_2_0 = {
+  type: "object",
+  additionalProperties: false,
+  required: [
+    "version",
+    "timestamp",
+    "submissionId",
+    "requestId",
+    "approved",
+    "overallScore",
+    "metrics",
+    "issues",
+    "analysis",
+    "scoring",
+    "acceptance",
+    "summary",
+    "datasetInfo",
+  ],
+  properties: {
+    version: { const: "2.0" },
+    // Version of the published report this one was upgraded from
+    migratedFrom: { type: "string" },
+    // Fields of the published report that its version didn't define
+    legacy: { type: "object" },
+    timestamp: { type: "string" },
+    submissionId: { type: "integer", minimum: 0 },
+    requestId: { type: "integer", minimum: 0 },
+    approved: { type: "boolean" },
+    overallScore: SCORE,
+    metrics: METRIC_SCORES,
+    issues: { type: "array", items: ISSUE },
+    // Format-specific details of the quality checks
+    analysis: { type: "object" },
+    scoring: {
+      type: "object",
+      additionalProperties: false,
+      required: [
+        "profile",
+        "threshold",
+        "weights",
+        "minimums",
+        "failedMinimums",
+      ],
+      properties: {
+        profile: { type: "string" },
+        threshold: { anyOf: [SCORE, { type: "null" }] },
+        weights: METRIC_VALUES,
+        minimums: METRIC_SCORES,
+        failedMinimums: {
+          type: "array",
+          items: {
+            type: "object",
+            additionalProperties: false,
+            required: ["metric", "score", "minimum"],
+            properties: {
+              metric: { enum: Object.values(QUALITY_METRICS) },
+              score: SCORE,
+              minimum: SCORE,
+            },
+          },
+        },
+      },
+    },
+    acceptance: {
+      type: ["object", "null"],
+      additionalProperties: false,
+      required: ["specCid", "error", "passed", "criteria"],
+      properties: {
+        specCid: { type: "string" },
+        error: { type: ["string", "null"] },
+        passed: { type: ["boolean", "null"] },
+        criteria: {
+          type: "array",
+          items: {
+            type: "object",
+            additionalProperties: false,
+            required: ["criterion", "expected", "actual", "passed", "detail"],
+            properties: {
+              criterion: { type: "string" },
+              expected: {},
+              actual: {},
+              passed: { type: "boolean" },
+              detail: { type: ["string", "null"] },
+            },
+          },
+        },
+      },
+    },
+    summary: SUMMARY,
+    datasetInfo: DATASET_INFO,
+    // Verifier signature, see reportService
+    proof: {
+      type: "object",
+      additionalProperties: false,
+      required: [
+        "type",
+        "domain",
+        "primaryType",
+        "types",
+        "reportHash",
+        "signer",
+        "signature",
+      ],
+      properties: {
+        type: { const: "EIP712" },
+        domain: { type: "object" },
+        primaryType: { type: "string" },
+        types: { type: "object" },
+        reportHash: { type: "string", pattern: "^0x[0-9a-f]{64}$" },
+        signer: { type: "string", pattern: "^0x[0-9a-f]{40}$" },
+        signature: { type: "string", pattern: "^0x[0-9a-fA-F]+$" },
+      },
+    },
+  },
+};
+
+const REPORT_SCHEMAS = {
+  "1.0": REPORT_SCHEMA_1_0,
+  "2.0": REPORT_SCHEMA_2_0,
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validators = Object.fromEntries(
+  Object.entries(REPORT_SCHEMAS).map(([version, schema]) => [
+    version,
+    ajv.compile(schema),
+  ])
+);
+
+/**
+ * Upgrade of a report of each older version to the next one
+ */
+const MIGRATIONS = {
+  // 1.0 reports predate scoring profiles; their overall score was the
+  // plain average of their metrics, as the "equal" profile computes it.
+  // Fields 1.0 didn't define are kept under `legacy`.
+  "1.0": (report) => {
+    const known = {};
+    const legacy = {};
+    for (const [field, value] of Object.entries(report)) {
+      (REPORT_1_0_FIELDS.includes(field) ? known : legacy)[field] = value;
+    }
+
+    return {
+      ...known,
+      version: "2.0",
+      analysis: {},
+      scoring: {
+        profile: "equal",
+        threshold: null,
+        weights: Object.fromEntries(
+          Object.keys(report.metrics).map((metric) => [metric, 1])
+        ),
+        minimums: {},
+        failedMinimums: [],
+      },
+      acceptance: null,
+      ...(Object.keys(legacy).length > 0 ? { legacy } : {}),
+    };
+  },
+};
+
+/**
+ * Validate a report against the schema of its version
+ *
+ * @param {Object} report - Quality report
+ * @returns {string[]} Problems found, empty for a valid report
+ */
+const validateReport = (report) => {
+  const validate = validators[report?.version];
+  if (!validate) {
+    return [`Unknown quality report version: ${report?.version}`];
+  }
+  if (validate(report)) return [];
+  return validate.errors.map(
+    (error) => `${error.instancePath || "report"} ${error.message}`
+  );
+};
+
+/**
+ * Whether a JSON document is a quality report matching the schema of its
+ * version. Other documents, such as non-conforming reports, are not upgraded
+ */
+const isQualityReport = (json) =>
+  json !== null &&
+  typeof json === "object" &&
+  validateReport(json).length === 0;
+
+/**
+ * Upgrade a report to the current version. The report must match the
+ * schema of its own version, and the upgraded one the current schema.
+ * An upgraded report no longer matches the hash of its signature; verify
+ * the published report instead.
+ *
+ * @param {Object} report - Quality report of any known version
+ * @returns {Object} The report in the current version
+ */
+const migrateReport = (report) => {
+  const problems = validateReport(report);
+  if (problems.length > 0) {
+    throw new Error(`Invalid quality report: ${problems.join("; ")}`);
+  }
+  if (report.version === REPORT_VERSION) return report;
+
+  const migratedFrom = report.version;
+  let migrated = report;
+  while (migrated.version !== REPORT_VERSION) {
+    migrated = MIGRATIONS[migrated.version](migrated);
+  }
+  migrated = { ...migrated, migratedFrom };
+
+  const remaining = validateReport(migrated);
+  if (remaining.length > 0) {
+    throw new Error(
+      `Quality report ${migratedFrom} could not be upgraded to ${REPORT_VERSION}: ${remaining.join("; ")}`
+    );
+  }
+  return migrated;
+};
+
+module.exports = {
+  REPORT_VERSION,
+  REPORT_SCHEMAS,
+  validateReport,
+  isQualityReport,
+  migrateReport,
+};
@@ -0,0 +1,256 @@
+const { ethers } = require("ethers");
+const { blockchainService: blockchainConnection } = require("../config");
+const ipfsService = require("./ipfsService");
+const blockchainService = require("./blockchainService");
+const {
+  HTTP_STATUS,
+  ERROR_CODES,
+  APIError,
+  isValidSubmissionId,
+} = require("../utils");
+
+/**
+ * Report Service
+ * Signs quality reports with the verifier wallet (EIP-712) and verifies
+ * published reports against the contract
+ */
+
+const DOMAIN_NAME = "SyntheticDataMarket Quality Report";
+const DOMAIN_VERSION = "1";
+const PRIMARY_TYPE = "QualityReport";
+const REPORT_TYPES = {
+  [PRIMARY_TYPE]: [
+    { name: "submissionId", type: "uint256" },
+    { name: "requestId", type: "uint256" },
+    { name: "approved", type: "bool" },
+    { name: "overallScore", type: "uint8" },
+    { name: "reportHash", type: "bytes32" },
+  ],
+};
+
+/**
+ * JSON with object keys sorted at every level, so equal reports serialize
+ * to equal strings whatever their key order
+ */
+const canonicalJSON = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(",")}]`;
+  }
+  if (value !== null && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+};
+
+class ReportService {
+  /**
+   * Canonical hash of a report: keccak256 of its canonical JSON without
+   * the proof, as the report reads once published
+   */
+  hashReport(report) {
+    const content = JSON.parse(JSON.stringify(report));
+    delete content.proof;
+    return ethers.keccak256(ethers.toUtf8Bytes(canonicalJSON(content)));
+  }
+
+  /**
+   * EIP-712 domain of the reports of the connected contract
+   */
+  async getDomain() {
+    const { chainId } = await blockchainConnection.provider.getNetwork();
+    return {
+      name: DOMAIN_NAME,
+      version: DOMAIN_VERSION,
+      chainId: Number(chainId),
+      verifyingContract: await blockchainConnection.contract.getAddress(),
+    };
+  }
+
+  /**
+   * Signed fields of a report
+   */
+  messageFor(report, reportHash) {
+    return {
+      submissionId: report.submissionId,
+      requestId: report.requestId,
+      approved: report.approved,
+      overallScore: report.overallScore,
+      reportHash,
+    };
+  }
+
+  /**
+   * Whether reports can be signed: the verifier wallet is configured
+   */
+  canSign() {
+    return (
+      blockchainConnection.initialized && Boolean(blockchainConnection.signer)
+    );
+  }
+
+  /**
+   * Sign a report with the verifier wallet
+   *
+   * @param {Object} report - Report as it will be published
+   * @returns {Promise<Object>} The proof to embed in the report
+   */
+  async sign(report) {
+    if (!this.canSign()) {
+      throw new Error("Verifier signer not available. Cannot sign report.");
+    }
+
+    const domain = await this.getDomain();
+    const reportHash = this.hashReport(report);
+    const signature = await blockchainConnection.signer.signTypedData(
+      domain,
+      REPORT_TYPES,
+      this.messageFor(report, reportHash)
+    );
+
+    return {
+      type: "EIP712",
+      domain,
+      primaryType: PRIMARY_TYPE,
+      types: REPORT_TYPES,
+      reportHash,
+      signer: blockchainConnection.signer.address.toLowerCase(),
+      signature,
+    };
+  }
+
+  /**
+   * Verify a published report: its hash, its signer against the
+   * contract's quality verifier, and its CID against the one recorded on
+   * chain for its submission
+   *
+   * @param {string} cid - Report CID
+   * @returns {Promise<Object>} { valid, checks, ... } where every check
+   * must pass for the report to be valid
+   */
+  async verify(cid) {
+    let content;
+    try {
+      content = await ipfsService.getContent(cid);
+    } catch (error) {
+      throw new APIError(
+        `Could not load report ${cid}: ${error.message}`,
+        HTTP_STATUS.SERVICE_UNAVAILABLE,
+        ERROR_CODES.IPFS_ERROR
+      );
+    }
+
+    const result = {
+      cid,
+      valid: false,
+      submissionId: null,
+      requestId: null,
+      checks: {
+        signed: false,
+        hashMatches: false,
+        signatureValid: false,
+        signerIsVerifier: false,
+        cidOnChain: false,
+      },
+      reportHash: null,
+      signer: null,
+      qualityVerifier: null,
+      onChain: null,
+      errors: [],
+    };
+
+    let report;
+    try {
+      report = JSON.parse(content);
+    } catch (error) {
+      result.errors.push(`Report is not valid JSON: ${error.message}`);
+      return result;
+    }
+    if (
+      report === null ||
+      typeof report !== "object" ||
+      Array.isArray(report)
+    ) {
+      result.errors.push("Report is not a JSON object");
+      return result;
+    }
+    if (isValidSubmissionId(report.submissionId)) {
+      result.submissionId = Number(report.submissionId);
+      result.requestId = report.requestId ?? null;
+    }
+
+    const [expectedDomain, qualityVerifier, onChain] = await Promise.all([
+      this.getDomain(),
+      blockchainService.getQualityVerifier(),
+      result.submissionId !== null
+        ? blockchainService.getSubmissionVerification(result.submissionId)
+        : null,
+    ]);
+    result.qualityVerifier = qualityVerifier;
+    result.onChain = onChain;
+
+    result.reportHash = this.hashReport(report);
+    const { proof } = report;
+    if (!proof || typeof proof.signature !== "string") {
+      result.errors.push("Report carries no signature");
+    } else {
+      result.checks.signed = true;
+      result.checks.hashMatches = proof.reportHash === result.reportHash;
+      if (!result.checks.hashMatches) {
+        result.errors.push("Report content does not match its signed hash");
+      }
+
+      // Recover over the recomputed hash and this contract's domain, not
+      // the values the report claims
+      try {
+        result.signer = ethers
+          .verifyTypedData(
+            expectedDomain,
+            REPORT_TYPES,
+            this.messageFor(report, result.reportHash),
+            proof.signature
+          )
+          .toLowerCase();
+        result.checks.signatureValid =
+          result.signer === String(proof.signer).toLowerCase();
+      } catch (error) {
+        result.errors.push(`Invalid signature: ${error.message}`);
+      }
+      if (result.signer && !result.checks.signatureValid) {
+        result.errors.push(
+          "Signature does not recover to the report's signer for this contract"
+        );
+      }
+
+      // A report signed before the verifier was rotated stays valid when
+      // its signer recorded the verification on chain
+      result.checks.signerIsVerifier =
+        result.checks.signatureValid &&
+        (result.signer === qualityVerifier ||
+          result.signer === onChain?.verifiedBy);
+      if (result.checks.signatureValid && !result.checks.signerIsVerifier) {
+        result.errors.push("Signer is not the contract's quality verifier");
+      }
+    }
+
+    result.checks.cidOnChain = onChain?.qualityReportCid === cid;
+    if (!onChain) {
+      result.errors.push(
+        result.submissionId === null
+          ? "Report names no submission"
+          : `Submission ${result.submissionId} has no verification on chain`
+      );
+    } else if (!result.checks.cidOnChain) {
+      result.errors.push(
+        `Submission ${result.submissionId} was verified on chain with report ${onChain.qualityReportCid}`
+      );
+    }
+
+    result.valid = Object.values(result.checks).every(Boolean);
+    return result;
+  }
+}
+
+module.exports = new ReportService();
@@ -0,0 +1,148 @@
+const blockchainService = require("./blockchainService");
+const {
+  ROLES,
+  CACHE_TTL,
+  formatSubmission,
+  formatPublicSubmission,
+} = require("../utils");
+
+/**
+ * Role Service
+ * Resolves an address's roles from contract state, with cached lookups
+ */
+
+class RoleService {
+  constructor() {
+    // key -> { value, expiresAt }
+    this.cache = new Map();
+  }
+
+  /**
+   * Get a cached value, loading it when missing or stale
+   */
+  async cached(key, ttlSeconds, loader) {
+    const entry = this.cache.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      return entry.value;
+    }
+
+    const value = await loader();
+    this.cache.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+    return value;
+  }
+
+  /**
+   * Contract owner address
+   */
+  getOwner() {
+    return this.cached("owner", CACHE_TTL.BLOCKCHAIN_DATA, () =>
+      blockchainService.getOwner()
+    );
+  }
+
+  /**
+   * Quality verifier address
+   */
+  getQualityVerifier() {
+    return this.cached("verifier", CACHE_TTL.BLOCKCHAIN_DATA, () =>
+      blockchainService.getQualityVerifier()
+    );
+  }
+
+  /**
+   * Buyer address of a request
+   */
+  getRequestBuyer(requestId) {
+    return this.cached(`request:${requestId}`, CACHE_TTL.REQUEST, async () => {
+      const request = await blockchainService.syncRequest(requestId);
+      return request.buyerAddress;
+    });
+  }
+
+  /**
+   * Seller address and request id of a submission
+   */
+  getSubmissionParties(submissionId) {
+    return this.cached(
+      `submission:${submissionId}`,
+      CACHE_TTL.SUBMISSION,
+      async () => {
+        const submission = await blockchainService.syncSubmission(submissionId);
+        return {
+          seller: submission.sellerAddress,
+          requestId: submission.requestId,
+        };
+      }
+    );
+  }
+
+  /**
+   * Resolve the roles an address holds, optionally in the context of a
+   * request (buyer) or a submission (seller, and buyer of its request)
+   */
+  async resolveRoles(address, { requestId, submissionId } = {}) {
+    if (!address) return [];
+
+    const normalized = address.toLowerCase();
+    const roles = [];
+
+    const [owner, verifier] = await Promise.all([
+      this.getOwner(),
+      this.getQualityVerifier(),
+    ]);
+    if (normalized === owner) roles.push(ROLES.OWNER);
+    if (normalized === verifier) roles.push(ROLES.VERIFIER);
+
+    let buyerRequestId = requestId;
+
+    if (submissionId) {
+      const parties = await this.getSubmissionParties(submissionId);
+      if (normalized === parties.seller) roles.push(ROLES.SELLER);
+      buyerRequestId = buyerRequestId || parties.requestId;
+    }
+
+    if (buyerRequestId) {
+      const buyer = await this.getRequestBuyer(buyerRequestId);
+      if (normalized === buyer) roles.push(ROLES.BUYER);
+    }
+
+    return roles;
+  }
+
+  /**
+   * Whether an address may see a submission's private details: its seller,
+   * the verifier or the owner. Buyers are not shown competing sellers'
+   * details before purchase.
+   *
+   * This only limits what the API returns. The dataset reference is also
+   * emitted in the public SubmissionSubmitted event, so anything on chain
+   * must be treated as public; keep datasets encrypted or access
+   * controlled where the reference alone must not grant access.
+   */
+  async canViewSubmissionDetails(address, submission) {
+    if (!address) return false;
+    if (address.toLowerCase() === submission.sellerAddress) return true;
+
+    const roles = await this.resolveRoles(address);
+    return roles.includes(ROLES.OWNER) || roles.includes(ROLES.VERIFIER);
+  }
+
+  /**
+   * Format a submission for a viewer, hiding private details from anyone
+   * who may not see them
+   */
+  async formatSubmissionFor(address, submission) {
+    return (await this.canViewSubmissionDetails(address, submission))
+      ? formatSubmission(submission)
+      : formatPublicSubmission(submission);
+  }
+
+  /**
+   * Drop cached role lookups
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+module.exports = new RoleService();
@@ -0,0 +1,114 @@
+const { blockchainService: blockchainConnection, config } = require("../config");
+const blockchainService = require("./blockchainService");
+const ipfsService = require("./ipfsService");
+const qualityService = require("./qualityService");
+const {
+  verificationRepository,
+  submissionRepository,
+} = require("../repositories");
+const { HTTP_STATUS, ERROR_CODES, APIError } = require("../utils");
+
+/**
+ * Verification Service
+ * Runs quality checks on a submission and records the result on chain
+ */
+
+class VerificationService {
+  /**
+   * Verify a submission end to end: sync it, run the quality checks, upload
+   * the report to IPFS and submit the score and report CID to the contract
+   */
+  async verifyOnChain(submissionId, options = {}) {
+    try {
+      const verifierAddress = await this.getVerifierAddress();
+
+      const submission = await blockchainService.syncSubmission(submissionId);
+
+      if (submission.status !== "PENDING" || submission.qualityChecked) {
+        throw new APIError(
+          `Submission ${submissionId} has already been verified`,
+          HTTP_STATUS.CONFLICT,
+          ERROR_CODES.VERIFICATION_ERROR
+        );
+      }
+
+      if (!ipfsService.initialized) {
+        throw new APIError(
+          "IPFS is not available to store the quality report",
+          HTTP_STATUS.SERVICE_UNAVAILABLE,
+          ERROR_CODES.IPFS_ERROR
+        );
+      }
+
+      // The request may link the buyer's acceptance spec
+      const request = await blockchainService.syncRequest(submission.requestId);
+      const result = await qualityService.verifySubmission(submission, {
+        ...options,
+        threshold: options.threshold ?? config.ai.qualityThreshold,
+        acceptanceSpecCid: request.acceptanceSpecCid,
+        verifiedBy: verifierAddress,
+      });
+
+      const { txHash } = await blockchainService.verifySubmission(
+        submissionId,
+        result.approved,
+        result.overallScore,
+        result.reportCid
+      );
+
+      await verificationRepository.update(result.verificationId, {
+        verificationTxHash: txHash,
+      });
+      await submissionRepository.update(submissionId, {
+        verificationId: result.verificationId,
+        verificationTxHash: txHash,
+      });
+
+      return {
+        submissionId,
+        verificationId: result.verificationId,
+        txHash,
+        approved: result.approved,
+        overallScore: result.overallScore,
+        threshold: result.report.scoring.threshold,
+        scoringProfile: result.report.scoring.profile,
+        acceptance: result.report.acceptance,
+        reportCid: result.reportCid,
+        reportUrl: result.reportUrl,
+        report: result.report,
+      };
+    } catch (error) {
+      console.error(`Error verifying submission ${submissionId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the address of the configured verifier signer, ensuring it is the
+   * quality verifier registered on the contract
+   */
+  async getVerifierAddress() {
+    if (!blockchainConnection.signer) {
+      throw new APIError(
+        "Verifier signer not configured",
+        HTTP_STATUS.SERVICE_UNAVAILABLE,
+        ERROR_CODES.SERVICE_UNAVAILABLE
+      );
+    }
+
+    const signerAddress = blockchainConnection.signer.address.toLowerCase();
+    const onChainVerifier = await blockchainService.getQualityVerifier();
+
+    if (signerAddress !== onChainVerifier) {
+      throw new APIError(
+        "Configured signer is not the contract's quality verifier",
+        HTTP_STATUS.SERVICE_UNAVAILABLE,
+        ERROR_CODES.CONTRACT_ERROR
+      );
+    }
+
+    return signerAddress;
+  }
+}
+
+module.exports = new VerificationService();
@@ -0,0 +1,333 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const { config } = require("../config");
+const indexerService = require("./indexerService");
+const roleService = require("./roleService");
+const notificationBuilder = require("./notificationBuilder");
+const {
+  webhookEndpointRepository,
+  webhookDeliveryRepository,
+} = require("../repositories");
+const {
+  HTTP_STATUS,
+  ERROR_CODES,
+  APIError,
+  formatRequest,
+  isPublicIpAddress,
+} = require("../utils");
+
+/**
+ * Webhook Service
+ * Delivers payloads signed with each endpoint's secret to registered
+ * endpoints, retrying failed deliveries with exponential backoff. Retries
+ * are scheduled on the delivery record, so they survive a restart
+ */
+
+// Delay before the first retry; doubled for each later one
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_POLL_INTERVAL_MS = 1000;
+const DELIVERY_TIMEOUT_MS = 10000;
+
+class WebhookService {
+  constructor() {
+    this.started = false;
+    this.retryTimer = null;
+    // Deliveries being sent by this process
+    this.inFlight = new Set();
+    this.onEvent = (event) =>
+      this.dispatch(event).catch((error) =>
+        console.error("Error dispatching webhooks:", error)
+      );
+  }
+
+  /**
+   * Start delivering webhooks for indexed contract events
+   */
+  start() {
+    if (this.started) return;
+    indexerService.on("event", this.onEvent);
+    this.retryTimer = setInterval(
+      () => this.retryDueDeliveries(),
+      RETRY_POLL_INTERVAL_MS
+    );
+    this.retryTimer.unref();
+    this.started = true;
+    console.log("✅ Webhook delivery started");
+  }
+
+  /**
+   * Generate an endpoint's signing secret
+   */
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(32).toString("hex")}`;
+  }
+
+  /**
+   * Sign a payload body: HMAC-SHA256 over `<timestamp>.<body>`
+   */
+  sign(secret, timestamp, body) {
+    return crypto
+      .createHmac("sha256", secret)
+      .update(`${timestamp}.${body}`)
+      .digest("hex");
+  }
+
+  /**
+   * Check that a webhook URL only resolves to public addresses, so
+   * endpoints can't reach the server's own network. Returns the checked
+   * addresses, or null when private targets are allowed
+   */
+  async checkTarget(url) {
+    if (config.webhooks.allowPrivateTargets) return null;
+
+    const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, "$1");
+    let addresses;
+    try {
+      addresses = await dns.promises.lookup(hostname, { all: true });
+    } catch {
+      throw new APIError(
+        `Webhook host ${hostname} could not be resolved`,
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.INVALID_PARAMETERS
+      );
+    }
+
+    const blocked = addresses.find(
+      ({ address }) => !isPublicIpAddress(address)
+    );
+    if (blocked) {
+      throw new APIError(
+        `Webhook host ${hostname} resolves to non-public address ${blocked.address}`,
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.INVALID_PARAMETERS
+      );
+    }
+    return addresses;
+  }
+
+  /**
+   * POST a body to a webhook URL and resolve with the response status.
+   * When `addresses` is given the connection only goes to those, so the
+   * host can't resolve to another address between the check and the
+   * request. Redirects are not followed
+   */
+  post(url, headers, body, addresses) {
+    const target = new URL(url);
+    const client = target.protocol === "https:" ? https : http;
+    const lookup = addresses
+      ? (hostname, options, callback) =>
+          options.all
+            ? callback(null, addresses)
+            : callback(null, addresses[0].address, addresses[0].family)
+      : undefined;
+
+    return new Promise((resolve, reject) => {
+      const request = client.request(target, {
+        method: "POST",
+        headers: { ...headers, "content-length": Buffer.byteLength(body) },
+        lookup,
+        timeout: DELIVERY_TIMEOUT_MS,
+      });
+      request.on("response", (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      });
+      request.on("timeout", () =>
+        request.destroy(new Error("Webhook delivery timed out"))
+      );
+      request.on("error", reject);
+      request.end(body);
+    });
+  }
+
+  /**
+   * Queue deliveries of an event to every endpoint subscribed to its
+   * notification type. Endpoints only receive events they are a party to,
+   * except the contract owner's, which receive all of them.
+   */
+  async dispatch(event) {
+    const notification = await notificationBuilder.build(event);
+    if (!notification) return [];
+
+    const owner = await roleService.getOwner();
+    const endpoints = await webhookEndpointRepository.find({ active: true });
+
+    const deliveries = [];
+    for (const endpoint of endpoints) {
+      if (!endpoint.events.includes(notification.type)) continue;
+      if (
+        endpoint.owner !== owner &&
+        !notificationBuilder.isParty(notification, endpoint.owner)
+      ) {
+        continue;
+      }
+
+      // A reorg can re-mine an event in another block and emit it again
+      const alreadyQueued = await webhookDeliveryRepository.count({
+        endpointId: endpoint._id,
+        eventId: notification.id,
+        replayOf: null,
+      });
+      if (alreadyQueued > 0) continue;
+
+      const payload = {
+        id: notification.id,
+        type: notification.type,
+        createdAt: notification.createdAt,
+        data: {
+          event: notification.event,
+          request: notification.request
+            ? formatRequest(notification.request)
+            : null,
+          submission: notification.submission
+            ? await roleService.formatSubmissionFor(
+                endpoint.owner,
+                notification.submission
+              )
+            : null,
+        },
+      };
+
+      deliveries.push(await this.createDelivery(endpoint, payload));
+    }
+
+    return deliveries;
+  }
+
+  /**
+   * Record a delivery and send it
+   */
+  async createDelivery(endpoint, payload, replayOf = null) {
+    const delivery = await webhookDeliveryRepository.create({
+      endpointId: endpoint._id,
+      eventId: payload.id,
+      url: endpoint.url,
+      type: payload.type,
+      payload,
+      replayOf,
+      status: "pending",
+      attempts: [],
+      nextAttemptAt: new Date().toISOString(),
+      deliveredAt: null,
+    });
+
+    this.attemptDelivery(delivery._id);
+    return delivery;
+  }
+
+  /**
+   * Send the pending deliveries whose retry is due, including ones
+   * scheduled before a restart
+   */
+  async retryDueDeliveries() {
+    try {
+      const now = new Date().toISOString();
+      const pending = await webhookDeliveryRepository.find({
+        status: "pending",
+      });
+      for (const delivery of pending) {
+        if (!delivery.nextAttemptAt || delivery.nextAttemptAt <= now) {
+          await this.attemptDelivery(delivery._id);
+        }
+      }
+    } catch (error) {
+      console.error("Error retrying webhook deliveries:", error);
+    }
+  }
+
+  /**
+   * Send a delivery once, scheduling a retry with exponential backoff on
+   * failure until `retryAttempts` retries have been used
+   */
+  async attemptDelivery(deliveryId) {
+    if (this.inFlight.has(deliveryId)) return;
+    this.inFlight.add(deliveryId);
+
+    try {
+      const delivery = await webhookDeliveryRepository.findById(deliveryId);
+      if (!delivery || delivery.status !== "pending") return;
+      const endpoint = await webhookEndpointRepository.findById(
+        delivery.endpointId
+      );
+
+      const body = JSON.stringify(delivery.payload);
+      const timestamp = Math.floor(Date.now() / 1000);
+      const startTime = Date.now();
+      const attempt = {
+        attempt: delivery.attempts.length + 1,
+        at: new Date().toISOString(),
+        statusCode: null,
+        error: null,
+        durationMs: null,
+      };
+
+      try {
+        if (!endpoint) {
+          throw new Error("Webhook endpoint was removed");
+        }
+        // Endpoints registered before per-endpoint secrets use the global one
+        const secret = endpoint.secret || config.webhooks.secret;
+        if (!secret) {
+          throw new Error("Webhook endpoint has no signing secret");
+        }
+        // The host's addresses may have changed since registration
+        const addresses = await this.checkTarget(delivery.url);
+
+        const signature = this.sign(secret, timestamp, body);
+        attempt.statusCode = await this.post(
+          delivery.url,
+          {
+            "content-type": "application/json",
+            "x-webhook-id": delivery._id,
+            "x-webhook-event": delivery.type,
+            "x-webhook-timestamp": String(timestamp),
+            "x-webhook-signature": `sha256=${signature}`,
+          },
+          body,
+          addresses
+        );
+        if (attempt.statusCode < 200 || attempt.statusCode >= 300) {
+          attempt.error = `HTTP ${attempt.statusCode}`;
+        }
+      } catch (error) {
+        attempt.error = error.message;
+      }
+      attempt.durationMs = Date.now() - startTime;
+
+      const attempts = [...delivery.attempts, attempt];
+      const delivered = !attempt.error;
+      const retry =
+        !delivered &&
+        Boolean(endpoint) &&
+        attempts.length <= config.webhooks.retryAttempts;
+      const delay = RETRY_BASE_DELAY_MS * 2 ** (attempts.length - 1);
+
+      await webhookDeliveryRepository.update(deliveryId, {
+        attempts,
+        status: delivered ? "delivered" : retry ? "pending" : "failed",
+        nextAttemptAt: retry
+          ? new Date(Date.now() + delay).toISOString()
+          : null,
+        deliveredAt: delivered ? attempt.at : null,
+      });
+    } catch (error) {
+      console.error(`Error delivering webhook ${deliveryId}:`, error);
+    } finally {
+      this.inFlight.delete(deliveryId);
+    }
+  }
+
+  /**
+   * Send a past delivery's payload again as a new delivery
+   */
+  async replay(delivery) {
+    const endpoint = await webhookEndpointRepository.findById(
+      delivery.endpointId
+    );
+    return this.createDelivery(endpoint, delivery.payload, delivery._id);
+  }
+}
+
+module.exports = new WebhookService();
@@ -59,11 +59,14 @@ const FILE_EXTENSIONS = {
   AUDIO: ['mp3', 'wav', 'flac', 'aac', 'ogg', 'm4a'],
   CSV: ['csv', 'tsv', 'txt'],
   IMAGE: ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'webp', 'svg'],
-  TEXT: ['txt', 'json', 'xml', 'md', 'html', 'csv'],
-  VIDEO: ['mp4', 'avi', 'mov', 'wmv', 'flv', 'mkv', 'webm'],
+  TEXT: ['txt', 'json', 'jsonl', 'xml', 'md', 'html', 'csv'],
+  VIDEO: ['mp4', 'm4v', 'avi', 'mov', 'wmv', 'flv', 'mkv', 'webm'],
   MIXED: [] // All formats allowed
 };
 
+// Archive extensions accepted in MIXED datasets
+const ARCHIVE_EXTENSIONS = ['zip', 'tar', 'gz', 'tgz'];
+
 // HTTP status codes
 const HTTP_STATUS = {
   OK: 200,
@@ -123,7 +126,8 @@ const ERROR_CODES = {
   // System errors (9xxx)
   DATABASE_ERROR: 9000,
   INTERNAL_ERROR: 9001,
-  SERVICE_UNAVAILABLE: 9002
+  SERVICE_UNAVAILABLE: 9002,
+  RATE_LIMITED: 9003
 };
 
 // Event names (from smart contract)
@@ -163,6 +167,15 @@ const NOTIFICATION_TYPES = {
   REFUND_ISSUED: 'refund_issued'
 };
 
+// Notification type sent for each contract event
+const CONTRACT_EVENT_NOTIFICATIONS = {
+  [CONTRACT_EVENTS.REQUEST_CREATED]: NOTIFICATION_TYPES.REQUEST_CREATED,
+  [CONTRACT_EVENTS.SUBMISSION_SUBMITTED]: NOTIFICATION_TYPES.SUBMISSION_RECEIVED,
+  [CONTRACT_EVENTS.SUBMISSION_VERIFIED]: NOTIFICATION_TYPES.VERIFICATION_COMPLETED,
+  [CONTRACT_EVENTS.PAYMENT_RELEASED]: NOTIFICATION_TYPES.PAYMENT_RELEASED,
+  [CONTRACT_EVENTS.REFUND_ISSUED]: NOTIFICATION_TYPES.REFUND_ISSUED
+};
+
 // AI model operation types
 const AI_OPERATION_TYPES = {
   GENERATION: 'generation',
@@ -187,6 +200,14 @@ const QUALITY_METRICS = {
   BIAS_SCORE: 'biasScore'
 };
 
+// Access control roles (resolved from contract state)
+const ROLES = {
+  OWNER: 'owner',
+  VERIFIER: 'verifier',
+  BUYER: 'buyer',
+  SELLER: 'seller'
+};
+
 // Issue severity levels
 const ISSUE_SEVERITY = {
   CRITICAL: 'critical',
@@ -205,13 +226,16 @@ module.exports = {
   QUALITY_THRESHOLDS,
   FILE_SIZE_LIMITS,
   FILE_EXTENSIONS,
+  ARCHIVE_EXTENSIONS,
   HTTP_STATUS,
   ERROR_CODES,
   CONTRACT_EVENTS,
   PAGINATION,
   CACHE_TTL,
   NOTIFICATION_TYPES,
+  CONTRACT_EVENT_NOTIFICATIONS,
   AI_OPERATION_TYPES,
   QUALITY_METRICS,
+  ROLES,
   ISSUE_SEVERITY
 };
@@ -0,0 +1,23 @@
+const { HTTP_STATUS, ERROR_CODES } = require('./constants');
+
+/**
+ * Errors
+ * Error types shared by services and routes
+ */
+
+/**
+ * Custom API Error class
+ */
+class APIError extends Error {
+  constructor(message, statusCode = HTTP_STATUS.INTERNAL_SERVER_ERROR, errorCode = ERROR_CODES.INTERNAL_ERROR) {
+    super(message);
+    this.statusCode = statusCode;
+    this.errorCode = errorCode;
+    this.isOperational = true;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+module.exports = {
+  APIError
+};
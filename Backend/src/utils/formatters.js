@@ -80,6 +80,7 @@ const formatRequest = (request) => {
     requestId: request.requestId,
     buyerAddress: formatAddress(request.buyerAddress),
     description: request.description,
+    acceptanceSpecCid: request.acceptanceSpecCid || null,
     budget: request.budget,
     budgetInEth: formatWeiToEth(request.budget),
     formatsMask: request.formatsMask,
@@ -127,6 +128,20 @@ const formatSubmission = (submission) => {
   };
 };
 
+/**
+ * Format submission for API response without its private details
+ * (dataset location and storage metadata)
+ */
+const formatPublicSubmission = (submission) => {
+  const {
+    datasetReference,
+    storageDetails,
+    metadata,
+    ...publicFields
+  } = formatSubmission(submission);
+  return publicFields;
+};
+
 /**
  * Format verification for API response
  */
@@ -173,6 +188,23 @@ const formatAIModelLog = (log) => {
   };
 };
 
+/**
+ * Format transaction receipt for API response
+ */
+const formatReceipt = (receipt) => {
+  if (!receipt) return null;
+
+  return {
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    blockHash: receipt.blockHash,
+    from: receipt.from,
+    to: receipt.to,
+    status: receipt.status,
+    gasUsed: receipt.gasUsed?.toString()
+  };
+};
+
 /**
  * Format pagination metadata
  */
@@ -270,8 +302,10 @@ module.exports = {
   formatAddress,
   formatRequest,
   formatSubmission,
+  formatPublicSubmission,
   formatVerification,
   formatAIModelLog,
+  formatReceipt,
   formatPagination,
   formatError,
   formatSuccess,
@@ -6,9 +6,11 @@
 const constants = require('./constants');
 const validators = require('./validators');
 const formatters = require('./formatters');
+const errors = require('./errors');
 
 module.exports = {
   ...constants,
   ...validators,
-  ...formatters
+  ...formatters,
+  ...errors
 };
@@ -1,3 +1,4 @@
+const net = require('net');
 const { ethers } = require('ethers');
 const { DATA_FORMAT_NAMES, FILE_EXTENSIONS } = require('./constants');
 
@@ -121,6 +122,30 @@ const isValidUrl = (url) => {
   }
 };
 
+// Loopback, private, link-local and other ranges that are not reachable on
+// the public internet
+const NON_PUBLIC_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => NON_PUBLIC_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => NON_PUBLIC_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Check that an IP address is publicly routable
+ */
+const isPublicIpAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) {
+    return false;
+  }
+  return !NON_PUBLIC_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
 /**
  * Validate pagination parameters
  */
@@ -246,6 +271,7 @@ module.exports = {
   isValidFileExtension,
   isValidEmail,
   isValidUrl,
+  isPublicIpAddress,
   validatePagination,
   isValidBudget,
   isValidFileSize,
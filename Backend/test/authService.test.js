@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+const authService = require("../src/services/authService");
+
+const wallet = ethers.Wallet.createRandom();
+
+test("issues a session for a signed challenge", async () => {
+  const { message } = authService.createChallenge(wallet.address);
+  const signature = await wallet.signMessage(message);
+
+  const session = authService.verifyChallenge(message, signature);
+
+  assert.equal(session.address, wallet.address.toLowerCase());
+  assert.deepEqual(authService.verifyToken(session.token), {
+    address: wallet.address.toLowerCase(),
+  });
+});
+
+test("builds an EIP-4361 message for the checksummed address", () => {
+  const { nonce, message } = authService.createChallenge(
+    wallet.address.toLowerCase()
+  );
+  const lines = message.split("\n");
+
+  assert.match(lines[0], / wants you to sign in with your Ethereum account:$/);
+  assert.equal(lines[1], wallet.address);
+  assert.ok(lines.includes("Version: 1"));
+  assert.ok(lines.includes(`Nonce: ${nonce}`));
+});
+
+test("accepts each challenge only once", async () => {
+  const { message } = authService.createChallenge(wallet.address);
+  const signature = await wallet.signMessage(message);
+  authService.verifyChallenge(message, signature);
+
+  assert.throws(() => authService.verifyChallenge(message, signature), {
+    message: "Unknown or already used sign-in challenge",
+  });
+});
+
+test("rejects a signature from another wallet", async () => {
+  const { message } = authService.createChallenge(wallet.address);
+  const signature = await ethers.Wallet.createRandom().signMessage(message);
+
+  assert.throws(() => authService.verifyChallenge(message, signature), {
+    message: "Signature does not match the challenge address",
+  });
+});
+
+test("rejects a challenge whose message was altered", async () => {
+  const { message } = authService.createChallenge(wallet.address);
+  const altered = message.replace("Version: 1", "Version: 2");
+  const signature = await wallet.signMessage(altered);
+
+  assert.throws(() => authService.verifyChallenge(altered, signature), {
+    message: "Unknown or already used sign-in challenge",
+  });
+});
+
+test("rejects an expired challenge", async (t) => {
+  const { message } = authService.createChallenge(wallet.address);
+  const signature = await wallet.signMessage(message);
+  t.mock.timers.enable({ apis: ["Date"], now: Date.now() + 60 * 60 * 1000 });
+
+  assert.throws(() => authService.verifyChallenge(message, signature), {
+    message: "Sign-in challenge expired",
+  });
+});
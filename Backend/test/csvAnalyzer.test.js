@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  analyzeCSV,
+  scoreCSV,
+} = require("../src/services/analyzers/csvAnalyzer");
+
+// Content split into small chunks, so rows cross chunk boundaries
+const chunksOf = async function* (text, size = 7) {
+  const buffer = Buffer.from(text);
+  for (let i = 0; i < buffer.length; i += size) {
+    yield buffer.subarray(i, i + size);
+  }
+};
+
+test("counts rows and types columns across chunk boundaries", async () => {
+  const analysis = await analyzeCSV(
+    chunksOf('id,name,score\n1,"Smith, Ann",9.5\n2,Bob,7\n3,Cy,8.25\n'),
+    "people.csv"
+  );
+
+  assert.equal(analysis.delimiter, ",");
+  assert.equal(analysis.rows, 3);
+  assert.equal(analysis.invalidRows, 0);
+  assert.deepEqual(
+    analysis.columns.map((column) => column.name),
+    ["id", "name", "score"]
+  );
+});
+
+test("picks the delimiter of tab-separated files", async () => {
+  const analysis = await analyzeCSV(chunksOf("a\tb\n1\t2\n3\t4\n"), "t.tsv");
+
+  assert.equal(analysis.delimiter, "\t");
+  assert.equal(analysis.rows, 2);
+});
+
+test("lowers validity and uniqueness for ragged and duplicate rows", async () => {
+  const analysis = await analyzeCSV(
+    chunksOf("a,b\n1,2\n1,2\n3\n4,5\n"),
+    "a.csv"
+  );
+
+  assert.equal(analysis.raggedRows, 1);
+  assert.equal(analysis.duplicateRows, 1);
+  const metrics = scoreCSV([analysis]);
+  assert.equal(metrics.validity, 75);
+  assert.equal(metrics.uniqueness, 75);
+});
+
+test("scores a file without rows as zero", async () => {
+  const analysis = await analyzeCSV(chunksOf("a,b\n"), "empty.csv");
+
+  assert.equal(analysis.rows, 0);
+  assert.deepEqual(Object.values(scoreCSV([analysis])), [0, 0, 0, 0, 0]);
+});
@@ -0,0 +1,27 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { sniffFormat } = require("../src/services/analyzers/formatSniffer");
+
+const PNG = Buffer.from([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00, 0x00, 0x0d,
+]);
+
+test("classifies files by their leading bytes", () => {
+  assert.equal(sniffFormat(PNG, "photo.txt"), "IMAGE");
+  assert.equal(sniffFormat(Buffer.from("ID3\u0003\u0000"), "song"), "AUDIO");
+  assert.equal(sniffFormat(Buffer.from([0x00, 0x01, 0x02]), "blob"), null);
+  assert.equal(sniffFormat(Buffer.alloc(0), "empty.csv"), null);
+});
+
+test("tells tabular text from other text", () => {
+  assert.equal(sniffFormat(Buffer.from("a,b\n"), "data.csv"), "CSV");
+  assert.equal(
+    sniffFormat(Buffer.from("a;b;c\n1;2;3\n4;5;6\n"), "QmData"),
+    "CSV"
+  );
+  assert.equal(sniffFormat(Buffer.from('{"text": "hi"}\n'), "QmData"), "TEXT");
+  assert.equal(
+    sniffFormat(Buffer.from("# Readme\nSome words.\n"), "README"),
+    "TEXT"
+  );
+});
@@ -0,0 +1,126 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-test-"));
+process.env.DATA_DIR = path.join(dataDir, "db");
+process.env.INDEXER_STORE_PATH = path.join(dataDir, "index.json");
+process.env.INDEXER_START_BLOCK = "1";
+process.env.INDEXER_CHUNK_SIZE = "3";
+process.env.CONFIRMATIONS = "0";
+
+const {
+  blockchainService: connection,
+  CONTRACT_ABI,
+} = require("../src/config");
+const indexerService = require("../src/services/indexerService");
+const readStore = require("../src/services/readStore");
+const { requestRepository } = require("../src/repositories");
+
+const iface = new ethers.Interface(CONTRACT_ABI);
+const buyer = ethers.Wallet.createRandom().address;
+
+// A chain of blocks 1..head, each block's hash tagged by its fork
+const chain = { head: 0, forkAt: Infinity, logs: [], requests: new Set() };
+const blockHash = (number) =>
+  ethers.id(`${number >= chain.forkAt ? "fork" : "main"}:${number}`);
+
+const requestCreated = (blockNumber, requestId) => {
+  const { topics, data } = iface.encodeEventLog("RequestCreated", [
+    requestId,
+    buyer,
+    1000,
+    2,
+    `request ${requestId}`,
+  ]);
+  return {
+    topics,
+    data,
+    blockNumber,
+    blockHash: blockHash(blockNumber),
+    transactionHash: ethers.id(`tx:${requestId}:${blockHash(blockNumber)}`),
+    index: 0,
+  };
+};
+
+connection.initialized = true;
+connection.provider = {
+  getBlockNumber: async () => chain.head,
+  getBlock: async (number) =>
+    number <= chain.head ? { number, hash: blockHash(number) } : null,
+};
+connection.contract = {
+  interface: iface,
+  queryFilter: async (filter, fromBlock, toBlock) =>
+    chain.logs.filter(
+      (log) => log.blockNumber >= fromBlock && log.blockNumber <= toBlock
+    ),
+  requests: async (id) => {
+    const exists = chain.requests.has(Number(id));
+    return {
+      id: exists ? BigInt(id) : 0n,
+      buyer,
+      budget: 1000n,
+      formatsMask: 2n,
+      description: `request ${id}`,
+      status: 0n,
+      qualityScore: 0n,
+      qualityReportCid: "",
+      finalizedSubmissionId: 0n,
+      createdAt: 1700000000n,
+    };
+  },
+};
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test("rolls back events from orphaned blocks on a reorg", async () => {
+  await readStore.load();
+  const emitted = [];
+  indexerService.on("event", (event) =>
+    emitted.push(Number(event.args.requestId))
+  );
+
+  chain.head = 10;
+  chain.logs = [requestCreated(2, 1), requestCreated(8, 2)];
+  chain.requests = new Set([1, 2]);
+  await indexerService.tick();
+
+  assert.equal(indexerService.lastError, null);
+  assert.deepEqual(emitted, [1, 2]);
+  assert.equal(readStore.lastProcessedBlock, 10);
+  assert.equal(await requestRepository.count(), 2);
+
+  // Blocks from 7 are replaced: request 2 is gone, request 3 is new
+  chain.forkAt = 7;
+  chain.head = 12;
+  chain.logs = [requestCreated(2, 1), requestCreated(9, 3)];
+  chain.requests = new Set([1, 3]);
+  await indexerService.tick();
+
+  assert.equal(indexerService.lastError, null);
+  assert.deepEqual(emitted, [1, 2, 3]);
+  assert.deepEqual(
+    readStore.getEvents().map((event) => Number(event.args.requestId)),
+    [1, 3]
+  );
+  assert.equal(await requestRepository.findById(2), null);
+  assert.ok(await requestRepository.findById(3));
+  assert.equal(readStore.lastProcessedBlock, 12);
+});
+
+test("keeps the rolled back store across a reload", async () => {
+  await readStore.load();
+
+  assert.deepEqual(
+    readStore.getEvents().map((event) => Number(event.args.requestId)),
+    [1, 3]
+  );
+  assert.equal(
+    readStore.checkpoints.at(-1).blockHash,
+    blockHash(readStore.lastProcessedBlock)
+  );
+});
@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  PrivacyScanner,
+  scorePrivacy,
+  redact,
+} = require("../src/services/analyzers/privacyScanner");
+
+const scan = (rows) => {
+  const scanner = new PrivacyScanner();
+  rows.forEach((row, i) => scanner.addRecord(row, `row ${i + 2}`, "a.csv"));
+  return scanner.summarize();
+};
+
+test("finds emails, card numbers and national IDs in records", () => {
+  const summary = scan([
+    { note: "mail me at john.doe@example.com" },
+    { card: "4111 1111 1111 1111" },
+    { ssn: "123-45-6789" },
+    { note: "nothing to see here" },
+  ]);
+
+  assert.equal(summary.piiRecords, 3);
+  assert.equal(summary.piiRecordShare, 0.75);
+  assert.ok(summary.categories.email);
+  assert.ok(summary.categories.creditCard);
+  assert.ok(summary.categories.nationalId);
+});
+
+test("ignores numbers that fail the card checksum", () => {
+  const summary = scan([{ card: "1234 5678 9012 3456" }]);
+
+  assert.equal(summary.piiRecords, 0);
+});
+
+test("only keeps redacted samples", () => {
+  const summary = scan([{ note: "john.doe@example.com" }]);
+
+  assert.deepEqual(summary.categories.email.samples, [
+    redact("john.doe@example.com"),
+  ]);
+  assert.ok(!JSON.stringify(summary).includes("john.doe"));
+});
+
+test("caps the score of a dataset containing any PII", () => {
+  const rows = Array.from({ length: 100 }, (_, i) => ({ id: String(i) }));
+  rows[0].note = "reach me at jane@example.com";
+
+  assert.equal(scorePrivacy(scan(rows)).privacyPreservation, 50);
+});
+
+test("scores PII in every record near zero", () => {
+  const rows = Array.from({ length: 40 }, (_, i) => ({
+    name: `n${i}`,
+    email: `user${i}@example.com`,
+  }));
+
+  assert.equal(scorePrivacy(scan(rows)).privacyPreservation, 0);
+});
+
+test("measures k-anonymity over quasi-identifier columns", () => {
+  const rows = Array.from({ length: 20 }, (_, i) => ({
+    age: String(20 + (i % 4)),
+    zip: "12345",
+    score: String(i),
+  }));
+  rows.push({ age: "99", zip: "54321", score: "0" });
+
+  const summary = scan(rows);
+  assert.equal(summary.kAnonymity.k, 1);
+  assert.equal(summary.kAnonymity.atRiskRecords, 1);
+  assert.deepEqual(summary.kAnonymity.tables[0].quasiIdentifiers, [
+    "age",
+    "zip",
+  ]);
+});
@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  SCORING_PROFILES,
+  resolveScoringProfile,
+} = require("../src/config/scoringProfiles");
+const qualityService = require("../src/services/qualityService");
+
+const cleanCsv = {
+  completeness: 100,
+  consistency: 100,
+  validity: 100,
+  uniqueness: 100,
+  formatCompliance: 100,
+  distributionScore: 100,
+};
+
+test("merges a format's overrides into the profile", () => {
+  const scoring = resolveScoringProfile("strict", "CSV");
+
+  assert.equal(scoring.weights.privacyPreservation, 3);
+  assert.equal(scoring.minimums.consistency, 70);
+  assert.equal(scoring.minimums.validity, 70);
+  assert.equal(
+    resolveScoringProfile("strict", "AUDIO").minimums.consistency,
+    undefined
+  );
+});
+
+test("rejects unknown profiles", () => {
+  assert.throws(
+    () => resolveScoringProfile("nope", "CSV"),
+    /Unknown scoring profile "nope"/
+  );
+});
+
+test("weights the average by the profile", () => {
+  const metrics = { accuracy: 100, formatCompliance: 0 };
+
+  assert.equal(qualityService.calculateOverallScore(metrics), 50);
+  assert.equal(
+    qualityService.calculateOverallScore(
+      metrics,
+      resolveScoringProfile("default", "CSV")
+    ),
+    86
+  );
+});
+
+test("ignores metrics that were not measured", () => {
+  const metrics = { validity: 80, accuracy: null };
+
+  assert.equal(
+    qualityService.calculateOverallScore(
+      metrics,
+      resolveScoringProfile("default", "CSV")
+    ),
+    80
+  );
+  assert.deepEqual(
+    qualityService.checkMinimums(
+      metrics,
+      resolveScoringProfile("strict", "CSV")
+    ),
+    []
+  );
+});
+
+test("fails the default profile's privacy minimum with PII in every record", () => {
+  const metrics = { ...cleanCsv, privacyPreservation: 2 };
+  const scoring = resolveScoringProfile("default", "CSV");
+
+  assert.ok(qualityService.calculateOverallScore(metrics, scoring) >= 70);
+  assert.deepEqual(qualityService.checkMinimums(metrics, scoring), [
+    { metric: "privacyPreservation", score: 2, minimum: 50 },
+  ]);
+});
+
+test("has no minimums in the equal profile", () => {
+  assert.deepEqual(SCORING_PROFILES.equal.minimums, {});
+  assert.deepEqual(
+    qualityService.checkMinimums(
+      { validity: 0 },
+      resolveScoringProfile("equal", "TEXT")
+    ),
+    []
+  );
+});
@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  TextCorpus,
+  scoreText,
+} = require("../src/services/analyzers/textAnalyzer");
+
+const jsonl = (records) =>
+  Buffer.from(records.map((record) => JSON.stringify(record)).join("\n"));
+
+const sentences = [
+  "The river carried small boats past the old mill every morning.",
+  "A quiet library opened its doors to students after the storm.",
+  "Farmers traded seeds and stories at the market near the bridge.",
+  "Engineers tested the new bridge design under heavy winter loads.",
+];
+
+test("reads JSONL records by file extension", () => {
+  const corpus = new TextCorpus();
+  const file = corpus.addFile(
+    jsonl(sentences.map((text) => ({ text }))),
+    "data/train.jsonl"
+  );
+
+  assert.equal(file.format, "jsonl");
+  assert.equal(file.records, sentences.length);
+  assert.equal(corpus.summarize().parseErrors, 0);
+});
+
+test("sniffs the format of a file without an extension", () => {
+  const corpus = new TextCorpus();
+  const lines = corpus.addFile(
+    jsonl(sentences.map((text) => ({ text }))),
+    "QmDataset"
+  );
+  const array = corpus.addFile(
+    Buffer.from(JSON.stringify(sentences.map((text) => ({ text })))),
+    "QmArray"
+  );
+  const plain = corpus.addFile(Buffer.from(sentences.join("\n")), "QmPlain");
+
+  assert.equal(lines.format, "jsonl");
+  assert.equal(array.format, "json");
+  assert.equal(plain.format, "lines");
+});
+
+test("prefers the declared extension of a file without one", () => {
+  const corpus = new TextCorpus();
+  const file = corpus.addFile(
+    Buffer.from('{"text": "not a json document"}\nsecond line'),
+    "QmDataset",
+    "txt"
+  );
+
+  assert.equal(file.format, "lines");
+  assert.equal(file.parseErrors, 0);
+});
+
+test("counts files that are not UTF-8 text as unreadable", () => {
+  const corpus = new TextCorpus();
+  corpus.addFile(Buffer.from(sentences.join("\n")), "a.txt");
+  const binary = corpus.addFile(Buffer.from([0xff, 0xfe, 0x00, 0x41]), "b.txt");
+
+  assert.equal(binary.error, "File is not valid UTF-8 text");
+  const metrics = scoreText(corpus.summarize());
+  assert.ok(metrics.validity < 100);
+});
+
+test("lowers validity for unparseable JSONL lines", () => {
+  const corpus = new TextCorpus();
+  const text = sentences
+    .map((sentence, i) =>
+      i % 2 ? JSON.stringify({ text: sentence }) : `{"text": "${sentence}`
+    )
+    .join("\n");
+  corpus.addFile(Buffer.from(text), "broken.jsonl");
+
+  const summary = corpus.summarize();
+  assert.equal(summary.parseErrors, 2);
+  assert.equal(scoreText(summary).validity, 50);
+});
+
+test("scores an empty corpus as zero", () => {
+  const metrics = scoreText(new TextCorpus().summarize());
+
+  assert.deepEqual(Object.values(metrics), [0, 0, 0, 0, 0]);
+});
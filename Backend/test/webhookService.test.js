@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+const { config } = require("../src/config");
+const webhookService = require("../src/services/webhookService");
+const { isPublicIpAddress } = require("../src/utils");
+
+test("signs the timestamp and body with HMAC-SHA256", () => {
+  const secret = webhookService.generateSecret();
+  const body = JSON.stringify({ type: "request_created" });
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(`1700000000.${body}`)
+    .digest("hex");
+
+  assert.match(secret, /^whsec_[0-9a-f]{64}$/);
+  assert.equal(webhookService.sign(secret, 1700000000, body), expected);
+  assert.notEqual(webhookService.sign(secret, 1700000001, body), expected);
+});
+
+test("classifies private, loopback and metadata addresses as non-public", () => {
+  for (const address of [
+    "127.0.0.1",
+    "10.0.0.5",
+    "192.168.1.1",
+    "169.254.169.254",
+    "::1",
+    "fd00::1",
+    "::ffff:127.0.0.1",
+  ]) {
+    assert.equal(isPublicIpAddress(address), false, address);
+  }
+  assert.equal(isPublicIpAddress("93.184.216.34"), true);
+  assert.equal(isPublicIpAddress("2606:2800:220:1::1"), true);
+});
+
+test("refuses targets that resolve to non-public addresses", async () => {
+  await assert.rejects(webhookService.checkTarget("http://127.0.0.1/hook"), {
+    message: /resolves to non-public address 127\.0\.0\.1/,
+  });
+  await assert.rejects(webhookService.checkTarget("http://[::1]/hook"), {
+    message: /resolves to non-public address ::1/,
+  });
+});
+
+test("allows any target when private targets are enabled", async (t) => {
+  t.after(() => (config.webhooks.allowPrivateTargets = false));
+  config.webhooks.allowPrivateTargets = true;
+
+  assert.equal(await webhookService.checkTarget("http://127.0.0.1/"), null);
+});
+
+test("connects to the checked address, not the host's current one", async (t) => {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    received.push(req.headers.host);
+    req.resume();
+    req.on("end", () => {
+      res.statusCode = req.url === "/moved" ? 302 : 200;
+      res.setHeader("location", "http://169.254.169.254/");
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+  const { port } = server.address();
+  const checked = [{ address: "127.0.0.1", family: 4 }];
+
+  const status = await webhookService.post(
+    `http://hooks.example.invalid:${port}/hook`,
+    { "content-type": "application/json" },
+    "{}",
+    checked
+  );
+  const redirect = await webhookService.post(
+    `http://hooks.example.invalid:${port}/moved`,
+    {},
+    "{}",
+    checked
+  );
+
+  assert.equal(status, 200);
+  assert.equal(redirect, 302);
+  assert.deepEqual(received, [
+    `hooks.example.invalid:${port}`,
+    `hooks.example.invalid:${port}`,
+  ]);
+});